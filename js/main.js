@@ -177,6 +177,18 @@ export function openRecordingPopup() {
                 h1 { margin: 0 0 10px 0; font-size: 24px; }
                 p { margin: 0 0 20px 0; opacity: 0.9; }
                 .timer { font-size: 32px; font-weight: bold; font-family: monospace; }
+                #recording-countdown {
+                    position: fixed;
+                    inset: 0;
+                    display: flex;
+                    align-items: center;
+                    justify-content: center;
+                    background: rgba(0, 0, 0, 0.6);
+                    font-size: 96px;
+                    font-weight: bold;
+                    font-family: monospace;
+                }
+                #recording-countdown.hidden { display: none; }
             </style>
         </head>
         <body>
@@ -184,15 +196,26 @@ export function openRecordingPopup() {
             <h1>Recording Active</h1>
             <p>Keep this window open to maintain continuous recording.</p>
             <div class="timer" id="timer">00:00</div>
+            <div id="recording-countdown" class="hidden" title="Press Esc to cancel"></div>
             <script>
+                const countdown = document.getElementById('recording-countdown');
                 let seconds = 0;
                 setInterval(() => {
+                    // Nothing is recorded while counting down
+                    if (!countdown.classList.contains('hidden')) return;
                     seconds++;
                     const mins = Math.floor(seconds / 60).toString().padStart(2, '0');
                     const secs = (seconds % 60).toString().padStart(2, '0');
                     document.getElementById('timer').textContent = mins + ':' + secs;
                 }, 1000);
                 
+                // Escape cancels the countdown before recording
+                document.addEventListener('keydown', (e) => {
+                    if (e.key === 'Escape') {
+                        window.opener.postMessage({ type: 'countdown-cancel' }, '*');
+                    }
+                });
+                
                 // Notify parent window this popup is ready
                 window.opener.postMessage({ type: 'popup-ready' }, '*');
             </script>
@@ -268,6 +291,11 @@ export async function initApp() {
     try {
         const ui = await ModuleRegistry.loadUI();
         await ui.initUI();
+        
+        // Offer to rebuild recordings left behind by a crashed or closed tab
+        ui.offerSessionRecovery().catch(err => {
+            console.warn('Session recovery check failed:', err);
+        });
     } catch (err) {
         console.error('Failed to initialize application:', err);
         
@@ -0,0 +1,67 @@
+// ============================================
+// NOISE GATE - AudioWorklet Processor
+// ============================================
+//
+// Loaded with audioWorklet.addModule() and run on the audio thread, so it
+// can't import from the app modules. The gate opens when the mic rises above
+// the threshold and closes once it has stayed below it for the hold time,
+// silencing fan hum and keyboard noise between phrases.
+
+class NoiseGateProcessor extends AudioWorkletProcessor {
+    static get parameterDescriptors() {
+        return [
+            { name: 'threshold', defaultValue: -50, minValue: -100, maxValue: 0, automationRate: 'k-rate' }, // dBFS
+            { name: 'attack', defaultValue: 0.005, minValue: 0.0001, maxValue: 1, automationRate: 'k-rate' }, // Seconds
+            { name: 'hold', defaultValue: 0.12, minValue: 0, maxValue: 2, automationRate: 'k-rate' }, // Seconds
+            { name: 'release', defaultValue: 0.15, minValue: 0.001, maxValue: 2, automationRate: 'k-rate' } // Seconds
+        ];
+    }
+
+    constructor() {
+        super();
+        this.envelope = 0;
+        this.gain = 0;
+        this.holdRemaining = 0;
+    }
+
+    process(inputs, outputs, parameters) {
+        const input = inputs[0];
+        const output = outputs[0];
+        // No input connected yet - outputs are already silent
+        if (!input || input.length === 0) return true;
+
+        const threshold = Math.pow(10, parameters.threshold[0] / 20);
+        const attack = Math.exp(-1 / (parameters.attack[0] * sampleRate));
+        const release = Math.exp(-1 / (parameters.release[0] * sampleRate));
+        const holdLength = parameters.hold[0] * sampleRate;
+
+        for (let i = 0; i < input[0].length; i++) {
+            let level = 0;
+            for (const channel of input) level = Math.max(level, Math.abs(channel[i]));
+
+            // Envelope jumps up with peaks and decays over the release time
+            this.envelope = level > this.envelope ? level : this.envelope * release + level * (1 - release);
+
+            let open = false;
+            if (this.envelope >= threshold) {
+                this.holdRemaining = holdLength;
+                open = true;
+            } else if (this.holdRemaining > 0) {
+                this.holdRemaining--;
+                open = true;
+            }
+
+            // Smooth the gain so opening and closing don't click
+            const target = open ? 1 : 0;
+            this.gain = target + (this.gain - target) * (open ? attack : release);
+
+            for (let c = 0; c < output.length; c++) {
+                output[c][i] = (input[c] || input[0])[i] * this.gain;
+            }
+        }
+
+        return true;
+    }
+}
+
+registerProcessor('noise-gate', NoiseGateProcessor);
@@ -4,9 +4,15 @@
 
 import {
     CONFIG, ErrorHandler, URLManager, AudioContextManager, PerformanceMonitor,
-    waitForVideoDimensions, STATE_VERSION, STORAGE_KEY, PermissionManager, RetryManager
+    waitForVideoDimensions, STATE_VERSION, STORAGE_KEY, PermissionManager, RetryManager, getVideoFormat,
+    generateSmartFilename, CameraAdjustments, DEFAULT_CAMERA_ADJUSTMENTS
 } from './utils.js';
-import { saveRecording, downloadVideo } from './storage.js';
+import {
+    saveRecording, downloadVideo, createRecordingSession, appendRecordingChunk, getSessionChunks,
+    updateRecordingSession, deleteRecordingSession, getAllRecordingSessions, getRecordingSession, getBrandingLogo,
+    getCameraBackground
+} from './storage.js';
+import { concatWebm } from './webm.js';
 
 // ============================================
 // APP STATE (Recording-specific)
@@ -14,16 +20,37 @@ import { saveRecording, downloadVideo } from './storage.js';
 
 export const RecordingState = {
     _mediaRecorder: null,
-    _recordedChunks: [],
+    _sessionId: null,
+    _chunkCount: 0,
+    _chunkWriteQueue: Promise.resolve(),
+    _sessionLockRelease: null,
+    _isStopping: false,
+    _takes: [],
+    _betweenTakes: false,
+    _takeTransition: null,
+    _recorderStream: null,
+    _partBytes: 0,
+    _partStartElapsed: 0,
+    _series: null,
+    _partTransition: null,
+    _partSaves: Promise.resolve(),
     _mediaStream: null,
     _animationId: null,
     _recordingCanvas: null,
     _previewCanvas: null,
+    _overlayRect: null,
+    _sceneLayout: 'pip',
+    _sceneTransition: null,
+    _sceneFrame: null,
+    _screenRegion: null,
+    _regionCropElement: null,
     _screenVideo: null,
     _cameraVideo: null,
     _screenStream: null,
     _cameraStream: null,
     _micStream: null,
+    _config: null,
+    _screenEnded: null,
     _isRecording: false,
     _isPaused: false,
     _audioContext: null,
@@ -33,6 +60,9 @@ export const RecordingState = {
     _pausedStartTime: null,
     _totalPausedDuration: 0,
     _timerAnimationId: null,
+    _timeLimit: null,
+    _limitWarned: false,
+    _limitInterval: null,
     _originalTitle: document.title,
     
     // Getters/Setters
@@ -42,16 +72,87 @@ export const RecordingState = {
     get isPaused() { return this._isPaused; },
     set isPaused(value) { this._isPaused = Boolean(value); },
     
-    get recordedChunks() { return [...this._recordedChunks]; },
-    set recordedChunks(chunks) { 
-        if (Array.isArray(chunks)) this._recordedChunks = chunks; 
+    get sessionId() { return this._sessionId; },
+    set sessionId(id) { this._sessionId = id; },
+    
+    get chunkCount() { return this._chunkCount; },
+    
+    get sessionLockRelease() { return this._sessionLockRelease; },
+    set sessionLockRelease(release) { this._sessionLockRelease = release; },
+    
+    get isStopping() { return this._isStopping; },
+    set isStopping(value) { this._isStopping = Boolean(value); },
+    
+    // Finished takes of a multi-take session in playback order: {number, sessionId, duration, releaseLock}
+    get takes() { return this._takes; },
+    set takes(takes) { this._takes = [...takes]; },
+    
+    // Seconds recorded in the finished takes
+    get takesDuration() { return this._takes.reduce((total, take) => total + take.duration, 0); },
+    
+    // True after a take ended and before the next one starts - streams stay live, nothing is recorded
+    get betweenTakes() { return this._betweenTakes; },
+    set betweenTakes(value) { this._betweenTakes = Boolean(value); },
+    
+    // Pending endTake() - stopping waits for it so the take's last chunk isn't lost
+    get takeTransition() { return this._takeTransition; },
+    set takeTransition(promise) { this._takeTransition = promise; },
+    
+    // Bytes recorded into the current chunk-store session
+    get partBytes() { return this._partBytes; },
+    
+    // Seconds into the recording at which the current part started
+    get partStartElapsed() { return this._partStartElapsed; },
+    set partStartElapsed(seconds) { this._partStartElapsed = seconds; },
+    
+    // Set once a recording has been split: {id, part} - the shared series ID and the part being recorded
+    get series() { return this._series; },
+    set series(series) { this._series = series ? { ...series } : null; },
+    
+    // Pending rollOverPart() - stopping waits for it like it waits for a take
+    get partTransition() { return this._partTransition; },
+    set partTransition(promise) { this._partTransition = promise; },
+    
+    // Finished parts saving in the background, in order
+    get partSaves() { return this._partSaves; },
+    set partSaves(promise) { this._partSaves = promise; },
+    
+    /**
+     * Hand the current chunk-store session over to a finished take or part and
+     * start counting chunks afresh for the next one
+     * @returns {{sessionId: string|null, chunkCount: number, releaseLock: Function|null}}
+     */
+    detachSession() {
+        const session = { sessionId: this._sessionId, chunkCount: this._chunkCount, releaseLock: this._sessionLockRelease };
+        this._sessionId = null;
+        this._chunkCount = 0;
+        this._partBytes = 0;
+        this._sessionLockRelease = null;
+        return session;
     },
     
+    /**
+     * Persist a recorded chunk to the current session's chunk store.
+     * Writes are queued so chunks land in IndexedDB in recording order.
+     * @param {Blob} chunk - Chunk data from MediaRecorder
+     * @returns {Promise<boolean>} - Resolves true once written, rejects if the write failed
+     */
     addRecordedChunk(chunk) {
-        if (chunk && chunk instanceof Blob) this._recordedChunks.push(chunk);
+        if (!chunk || !(chunk instanceof Blob) || !this._sessionId) return Promise.resolve(false);
+        
+        const sessionId = this._sessionId;
+        const index = this._chunkCount++;
+        this._partBytes += chunk.size;
+        const write = this._chunkWriteQueue.then(() => appendRecordingChunk(sessionId, index, chunk));
+        this._chunkWriteQueue = write.catch(() => {});
+        return write.then(() => true);
     },
     
-    clearRecordedChunks() { this._recordedChunks = []; },
+    /**
+     * Wait for all queued chunk writes to finish
+     * @returns {Promise<void>}
+     */
+    flushChunks() { return this._chunkWriteQueue; },
     
     get mediaRecorder() { return this._mediaRecorder; },
     set mediaRecorder(recorder) { this._mediaRecorder = recorder; },
@@ -59,6 +160,10 @@ export const RecordingState = {
     get mediaStream() { return this._mediaStream; },
     set mediaStream(stream) { this._mediaStream = stream; },
     
+    // Stream the MediaRecorder records (the canvas capture, or mediaStream in simple mode)
+    get recorderStream() { return this._recorderStream; },
+    set recorderStream(stream) { this._recorderStream = stream; },
+    
     get animationId() { return this._animationId; },
     set animationId(id) { this._animationId = id; },
     
@@ -68,6 +173,28 @@ export const RecordingState = {
     get previewCanvas() { return this._previewCanvas; },
     set previewCanvas(canvas) { this._previewCanvas = canvas; },
     
+    // Camera overlay geometry in canvas pixels - read every frame, so edits apply live
+    get overlayRect() { return this._overlayRect; },
+    set overlayRect(rect) { this._overlayRect = rect ? { ...rect } : null; },
+    
+    get sceneLayout() { return this._sceneLayout; },
+    set sceneLayout(layout) { this._sceneLayout = layout; },
+    
+    get sceneTransition() { return this._sceneTransition; },
+    set sceneTransition(transition) { this._sceneTransition = transition; },
+    
+    // Last composited scene frame - the starting point for the next transition
+    get sceneFrame() { return this._sceneFrame; },
+    set sceneFrame(frame) { this._sceneFrame = frame; },
+    
+    // Recorded part of the shared screen, normalized to 0..1 - null records the whole surface
+    get screenRegion() { return this._screenRegion; },
+    set screenRegion(region) { this._screenRegion = region ? { ...region } : null; },
+    
+    // Page element the screen track is cropped to via Region Capture, if any
+    get regionCropElement() { return this._regionCropElement; },
+    set regionCropElement(element) { this._regionCropElement = element; },
+    
     get screenVideo() { return this._screenVideo; },
     set screenVideo(video) { this._screenVideo = video; },
     
@@ -83,6 +210,14 @@ export const RecordingState = {
     get micStream() { return this._micStream; },
     set micStream(stream) { this._micStream = stream; },
     
+    // Config the current recording was started with - device switches reuse its quality and processing
+    get config() { return this._config; },
+    set config(config) { this._config = config ? { ...config } : null; },
+    
+    // Set while the shared screen is gone: {pausedRecording, layout} to undo on re-share
+    get screenEnded() { return this._screenEnded; },
+    set screenEnded(state) { this._screenEnded = state; },
+    
     get audioContext() { return this._audioContext; },
     set audioContext(ctx) { this._audioContext = ctx; },
     
@@ -104,18 +239,63 @@ export const RecordingState = {
     get timerAnimationId() { return this._timerAnimationId; },
     set timerAnimationId(id) { this._timerAnimationId = id; },
     
+    // Extra stop conditions from a scheduled job: {maxDuration: seconds, stopAt: clock ms}
+    get timeLimit() { return this._timeLimit; },
+    set timeLimit(limit) { this._timeLimit = limit ? { ...limit } : null; },
+    
+    get limitWarned() { return this._limitWarned; },
+    set limitWarned(value) { this._limitWarned = Boolean(value); },
+    
+    get limitInterval() { return this._limitInterval; },
+    set limitInterval(interval) { this._limitInterval = interval; },
+    
     reset() {
-        this._recordedChunks = [];
+        // Release the session lock so the (now finished) session is no longer treated as live
+        if (this._sessionLockRelease) {
+            this._sessionLockRelease();
+            this._sessionLockRelease = null;
+        }
+        this._takes.forEach(take => take.releaseLock?.());
+        this._takes = [];
+        this._betweenTakes = false;
+        this._takeTransition = null;
+        this._sessionId = null;
+        this._chunkCount = 0;
+        this._chunkWriteQueue = Promise.resolve();
+        this._isStopping = false;
         this._mediaRecorder = null;
+        this._recorderStream = null;
+        this._partBytes = 0;
+        this._partStartElapsed = 0;
+        this._series = null;
+        this._partTransition = null;
+        this._partSaves = Promise.resolve();
         this._mediaStream = null;
         this._animationId = null;
         this._recordingCanvas = null;
         this._previewCanvas = null;
+        this._overlayRect = null;
+        this._sceneLayout = 'pip';
+        this._sceneTransition = null;
+        this._sceneFrame = null;
+        this._screenRegion = null;
+        AudioMixer.reset();
+        CursorTracker.stop();
+        ScreenZoom.reset();
+        Annotations.clear();
+        TextOverlays.clear();
+        CameraEffects.reset();
+        if (this._regionCropElement) {
+            this._regionCropElement.remove();
+            this._regionCropElement = null;
+        }
         this._screenVideo = null;
         this._cameraVideo = null;
         this._screenStream = null;
         this._cameraStream = null;
         this._micStream = null;
+        this._config = null;
+        this._screenEnded = null;
         this._isRecording = false;
         this._isPaused = false;
         this._audioContext = null;
@@ -123,6 +303,12 @@ export const RecordingState = {
         this._recordingStartTime = null;
         this._pausedStartTime = null;
         this._totalPausedDuration = 0;
+        this._timeLimit = null;
+        this._limitWarned = false;
+        if (this._limitInterval) {
+            clearInterval(this._limitInterval);
+            this._limitInterval = null;
+        }
         
         // Stop timer animation
         if (this._timerAnimationId) {
@@ -145,8 +331,7 @@ export const RecordingState = {
 // ============================================
 
 // Timer configuration
-const TIMER_WARNING_THRESHOLD = 3600; // 60 minutes - start flashing warning
-const TIMER_FLASH_INTERVAL = 500; // Flash every 500ms when approaching max duration
+const TIMER_FLASH_INTERVAL = 500; // Flash every 500ms when approaching a time limit
 
 /**
  * Format duration in MM:SS format
@@ -159,48 +344,187 @@ export function formatTimerDuration(seconds) {
     return `${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
 }
 
+// ============================================
+// TIME LIMITS
+// ============================================
+
+/**
+ * Add a scheduled job's stop conditions to the current recording, on top of config.maxRecordingMinutes
+ * @param {Object} limit - {maxDuration: seconds of recording, stopAt: clock time in ms} - either may be null
+ */
+export function setRecordingTimeLimit({ maxDuration = null, stopAt = null } = {}) {
+    RecordingState.timeLimit = { maxDuration, stopAt };
+    RecordingState.limitWarned = false;
+}
+
+/**
+ * Seconds until a time limit stops the recording
+ * @returns {number|null} - null when no limit applies
+ */
+export function getTimeLimitRemaining() {
+    const recorded = RecordingState.takesDuration + getTakeElapsed();
+    const remaining = [];
+    
+    const maxMinutes = RecordingState.config?.maxRecordingMinutes;
+    if (maxMinutes) remaining.push(maxMinutes * 60 - recorded);
+    
+    const { maxDuration, stopAt } = RecordingState.timeLimit || {};
+    if (maxDuration) remaining.push(maxDuration - recorded);
+    if (stopAt) remaining.push((stopAt - Date.now()) / 1000);
+    
+    return remaining.length > 0 ? Math.min(...remaining) : null;
+}
+
+/**
+ * Warn once as a time limit approaches, then stop and save the recording
+ * @param {Function} showToast - Toast notification function
+ */
+function checkTimeLimit(showToast = null) {
+    if (!RecordingState.isRecording || RecordingState.isStopping || RecordingState.betweenTakes) return;
+    
+    const remaining = getTimeLimitRemaining();
+    if (remaining === null) return;
+    
+    if (remaining <= 0) {
+        if (showToast) showToast('Time limit reached - saving your recording', 'info');
+        stopRecording(showToast);
+        return;
+    }
+    
+    const warning = (RecordingState.config?.limitWarningMinutes || 0) * 60;
+    if (!RecordingState.limitWarned && remaining <= warning) {
+        RecordingState.limitWarned = true;
+        const minutes = Math.ceil(remaining / 60);
+        if (showToast) showToast(`Recording stops automatically in ${minutes} ${minutes === 1 ? 'minute' : 'minutes'}`, 'warning');
+    }
+}
+
 // ============================================
 // WATERMARK DRAWING
 // ============================================
 
+/**
+ * Resolve watermark settings from a recording config
+ * @param {Object} config - Recording config (see AppConfig)
+ * @param {HTMLImageElement|null} logo - Decoded custom logo, if any
+ * @returns {{enabled: boolean, position: string, opacity: number, scale: number, logo: HTMLImageElement|null}}
+ */
+export function getWatermarkStyle(config = {}, logo = null) {
+    const opacity = (config.watermarkOpacity ?? 100) / 100;
+    const scale = (config.watermarkScale ?? CONFIG.WATERMARK_SCALE * 100) / 100;
+    
+    return {
+        enabled: config.watermarkEnabled !== false,
+        position: config.watermarkPosition || 'top-left',
+        opacity: Math.min(Math.max(opacity, 0), 1),
+        scale: Math.min(Math.max(scale, CONFIG.WATERMARK_MIN_SCALE), CONFIG.WATERMARK_MAX_SCALE),
+        logo: config.watermarkLogo === 'custom' ? logo : null
+    };
+}
+
+/**
+ * Decode an image blob for drawing on a canvas (works for SVG too)
+ * @param {Blob} blob - Image data
+ * @returns {Promise<HTMLImageElement>}
+ */
+export function loadImageFromBlob(blob) {
+    return new Promise((resolve, reject) => {
+        const url = URL.createObjectURL(blob);
+        const image = new Image();
+        image.onload = () => {
+            URL.revokeObjectURL(url);
+            resolve(image);
+        };
+        image.onerror = () => {
+            URL.revokeObjectURL(url);
+            reject(new Error('Could not decode image'));
+        };
+        image.src = url;
+    });
+}
+
+/**
+ * Load the stored custom logo if the config asks for one
+ * @param {Object} config - Recording config
+ * @returns {Promise<HTMLImageElement|null>} - null falls back to the default logo
+ */
+export async function loadWatermarkLogo(config = {}) {
+    if (config.watermarkEnabled === false || config.watermarkLogo !== 'custom') return null;
+    
+    try {
+        const record = await getBrandingLogo();
+        return record?.blob ? await loadImageFromBlob(record.blob) : null;
+    } catch (err) {
+        console.warn('Failed to load watermark logo:', err);
+        return null;
+    }
+}
+
+/**
+ * Top-left corner for a box placed in a canvas corner
+ * @returns {{x: number, y: number}}
+ */
+function placeInCorner(boxWidth, boxHeight, width, height, position, padding) {
+    const [vertical, horizontal] = position.split('-');
+    return {
+        x: horizontal === 'right' ? width - boxWidth - padding : padding,
+        y: vertical === 'bottom' ? height - boxHeight - padding : padding
+    };
+}
+
 /**
  * Draw watermark logo on canvas
  * @param {CanvasRenderingContext2D} ctx - Canvas 2D context
  * @param {number} width - Canvas width
  * @param {number} height - Canvas height
+ * @param {Object} style - Watermark style from getWatermarkStyle()
  */
-function drawWatermark(ctx, width, height) {
-    const watermarkScale = 0.08; // Scale relative to canvas size
+export function drawWatermark(ctx, width, height, style = getWatermarkStyle()) {
+    if (!style.enabled || style.opacity <= 0) return;
+    
     const padding = 30;
+    const logoSize = Math.min(width, height) * style.scale;
     
-    // Calculate dimensions based on canvas size
-    const logoSize = Math.min(width, height) * watermarkScale;
-    const textSize = logoSize * 0.5;
+    ctx.save();
+    ctx.globalAlpha = style.opacity;
     
-    // Position: top-left corner
-    const x = padding + logoSize / 2;
-    const y = padding + textSize / 2 + textSize * 0.3;
+    if (style.logo) {
+        // Custom logo - logoSize tall, capped to a share of the canvas width
+        const aspect = (style.logo.naturalWidth || style.logo.width) / (style.logo.naturalHeight || style.logo.height) || 1;
+        const logoWidth = Math.min(logoSize * aspect, width * CONFIG.WATERMARK_MAX_WIDTH);
+        const logoHeight = logoWidth / aspect;
+        const { x, y } = placeInCorner(logoWidth, logoHeight, width, height, style.position, padding);
+        ctx.drawImage(style.logo, x, y, logoWidth, logoHeight);
+        ctx.restore();
+        return;
+    }
+    
+    const textSize = logoSize * 0.5;
+    ctx.font = `500 ${textSize}px -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif`;
+    const textGap = logoSize * 0.15;
+    const textWidth = ctx.measureText('ScreenRecord.in').width;
+    const { x, y } = placeInCorner(logoSize + textGap + textWidth, logoSize, width, height, style.position, padding);
+    const centerX = x + logoSize / 2;
+    const centerY = y + logoSize / 2;
     
     // Draw outer circle (ring)
-    ctx.save();
     ctx.strokeStyle = 'rgba(139, 156, 244, 0.7)';
     ctx.lineWidth = Math.max(1, logoSize * 0.04);
     ctx.beginPath();
-    ctx.arc(x, y - textSize * 0.3, logoSize * 0.45, 0, Math.PI * 2);
+    ctx.arc(centerX, centerY, logoSize * 0.45, 0, Math.PI * 2);
     ctx.stroke();
     
     // Draw inner circle (filled)
     ctx.fillStyle = 'rgba(139, 156, 244, 0.7)';
     ctx.beginPath();
-    ctx.arc(x, y - textSize * 0.3, logoSize * 0.2, 0, Math.PI * 2);
+    ctx.arc(centerX, centerY, logoSize * 0.2, 0, Math.PI * 2);
     ctx.fill();
     
     // Draw text
-    ctx.font = `500 ${textSize}px -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif`;
     ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
     ctx.textAlign = 'left';
     ctx.textBaseline = 'middle';
-    ctx.fillText('ScreenRecord.in', x + logoSize * 0.6, y - 10);
+    ctx.fillText('ScreenRecord.in', x + logoSize + textGap, centerY);
     
     ctx.restore();
 }
@@ -212,9 +536,9 @@ function drawWatermark(ctx, width, height) {
 function updateRecordingTimer(showToast = null) {
     if (!RecordingState.isRecording || !RecordingState.recordingStartTime) return;
     
-    // Calculate elapsed time, excluding paused duration
+    // Calculate elapsed time, excluding paused duration - multi-take sessions count every take
     const currentTime = Date.now();
-    const elapsed = (currentTime - RecordingState.recordingStartTime - RecordingState.totalPausedDuration) / 1000;
+    const elapsed = RecordingState.takesDuration + (currentTime - RecordingState.recordingStartTime - RecordingState.totalPausedDuration) / 1000;
     const formattedTime = formatTimerDuration(elapsed);
     
     // Update document title with timer
@@ -226,8 +550,9 @@ function updateRecordingTimer(showToast = null) {
     if (timerElement) {
         timerElement.textContent = formattedTime;
         
-        // Flash warning when approaching max duration (5 minutes)
-        if (elapsed >= TIMER_WARNING_THRESHOLD) {
+        // Flash warning when a time limit is about to stop the recording
+        const remaining = getTimeLimitRemaining();
+        if (remaining !== null && remaining <= (RecordingState.config?.limitWarningMinutes || 0) * 60) {
             const shouldShowWarning = Math.floor(Date.now() / TIMER_FLASH_INTERVAL) % 2 === 0;
             timerElement.classList.toggle('timer-warning-flash', shouldShowWarning);
         } else {
@@ -246,6 +571,10 @@ function updateRecordingTimer(showToast = null) {
 export function startRecordingTimer(showToast = null) {
     RecordingState.recordingStartTime = Date.now();
     RecordingState.timerAnimationId = requestAnimationFrame(() => updateRecordingTimer(showToast));
+    
+    // Time limits are checked on an interval - animation frames stop in background tabs
+    if (RecordingState.limitInterval) clearInterval(RecordingState.limitInterval);
+    RecordingState.limitInterval = setInterval(() => checkTimeLimit(showToast), 1000);
 }
 
 /**
@@ -256,6 +585,10 @@ export function stopRecordingTimer() {
         cancelAnimationFrame(RecordingState.timerAnimationId);
         RecordingState.timerAnimationId = null;
     }
+    if (RecordingState.limitInterval) {
+        clearInterval(RecordingState.limitInterval);
+        RecordingState.limitInterval = null;
+    }
     
     // Restore original title
     document.title = RecordingState._originalTitle;
@@ -268,217 +601,2914 @@ export function stopRecordingTimer() {
 }
 
 // ============================================
-// CLEANUP
+// CAMERA OVERLAY
 // ============================================
 
-export function cleanupRecording() {
-    // Stop draft interval
-    if (RecordingState.draftInterval) {
-        clearInterval(RecordingState.draftInterval);
-        RecordingState.draftInterval = null;
-    }
+/**
+ * Resolve overlay settings from a recording config
+ * @param {Object} config - Recording config (see AppConfig)
+ * @returns {{position: string, scale: number, shape: string, borderColor: string, borderWidth: number, shadow: boolean}}
+ */
+export function getOverlayStyle(config = {}) {
+    const presets = CONFIG.OVERLAY_SIZE_PRESETS;
+    const scale = config.overlaySize === 'custom'
+        ? (config.overlayCustomSize || 0) / 100
+        : presets[config.overlaySize] || CONFIG.OVERLAY_SCALE;
     
-    // Cancel animation frames
-    if (RecordingState.animationId) {
-        cancelAnimationFrame(RecordingState.animationId);
-        RecordingState.animationId = null;
-    }
+    return {
+        position: config.overlayPosition || 'bottom-right',
+        scale: Math.min(Math.max(scale, CONFIG.OVERLAY_MIN_SCALE), CONFIG.OVERLAY_MAX_SCALE),
+        shape: config.overlayShape || 'rounded',
+        borderColor: config.overlayBorderColor || '#ffffff',
+        borderWidth: Math.max(0, config.overlayBorderWidth || 0),
+        shadow: !!config.overlayShadow
+    };
+}
+
+/**
+ * Compute where the camera overlay sits on the canvas
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ * @param {number} sourceAspect - Camera aspect ratio (width / height)
+ * @param {Object} style - Overlay style from getOverlayStyle()
+ * @returns {{x: number, y: number, width: number, height: number}}
+ */
+export function getOverlayRect(width, height, sourceAspect, style) {
+    const overlayWidth = width * style.scale;
+    // Circles and squares are cropped to 1:1, rounded keeps the camera's aspect
+    const aspect = style.shape === 'rounded' ? (sourceAspect || 16 / 9) : 1;
+    const overlayHeight = overlayWidth / aspect;
+    const margin = CONFIG.OVERLAY_MARGIN + style.borderWidth;
     
-    // Stop media recorder
-    if (RecordingState.mediaRecorder && RecordingState.mediaRecorder.state !== 'inactive') {
-        try {
-            RecordingState.mediaRecorder.stop();
-        } catch (e) {
-            // Ignore
-        }
-    }
+    const [vertical, horizontal] = style.position.split('-');
+    const x = horizontal === 'left' ? margin : width - overlayWidth - margin;
+    const y = vertical === 'top' ? margin : height - overlayHeight - margin;
     
-    // Stop all media streams
-    [RecordingState.mediaStream, RecordingState.screenStream, RecordingState.cameraStream, RecordingState.micStream].forEach(stream => {
-        if (stream) {
-            stream.getTracks().forEach(track => {
-                try {
-                    track.stop();
-                } catch (e) {
-                    // Ignore
-                }
-            });
-        }
-    });
+    return { x, y, width: overlayWidth, height: overlayHeight };
+}
+
+/**
+ * Move an overlay rect, keeping it inside the canvas
+ * @param {Object} rect - Starting overlay rect
+ * @param {number} dx - Horizontal offset in canvas pixels
+ * @param {number} dy - Vertical offset in canvas pixels
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ * @returns {{x: number, y: number, width: number, height: number}}
+ */
+export function moveOverlayRect(rect, dx, dy, width, height) {
+    return {
+        ...rect,
+        x: Math.min(Math.max(rect.x + dx, 0), width - rect.width),
+        y: Math.min(Math.max(rect.y + dy, 0), height - rect.height)
+    };
+}
+
+/**
+ * Resize an overlay rect from one corner, keeping its aspect ratio.
+ * The opposite corner stays anchored.
+ * @param {Object} rect - Starting overlay rect
+ * @param {string} corner - Dragged corner: 'top-left' | 'top-right' | 'bottom-left' | 'bottom-right'
+ * @param {number} dx - Horizontal pointer offset in canvas pixels
+ * @param {number} dy - Vertical pointer offset in canvas pixels
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ * @returns {{x: number, y: number, width: number, height: number}}
+ */
+export function resizeOverlayRect(rect, corner, dx, dy, width, height) {
+    const [vertical, horizontal] = corner.split('-');
+    const aspect = rect.width / rect.height;
+    const right = rect.x + rect.width;
+    const bottom = rect.y + rect.height;
     
-    // Close audio contexts
-    AudioContextManager.closeAll();
-    RecordingState.audioContext = null;
+    // Follow whichever axis the pointer moved further along
+    const growX = horizontal === 'left' ? -dx : dx;
+    const growY = (vertical === 'top' ? -dy : dy) * aspect;
+    const proposed = rect.width + (Math.abs(growX) > Math.abs(growY) ? growX : growY);
     
-    // Revoke all object URLs
-    URLManager.revokeAll();
+    // Room left between the anchored corner and the canvas edges
+    const maxWidth = Math.min(
+        horizontal === 'left' ? right : width - rect.x,
+        (vertical === 'top' ? bottom : height - rect.y) * aspect,
+        width * CONFIG.OVERLAY_MAX_SCALE
+    );
+    const minWidth = Math.min(width * CONFIG.OVERLAY_MIN_SCALE, maxWidth);
+    const newWidth = Math.min(Math.max(proposed, minWidth), maxWidth);
+    const newHeight = newWidth / aspect;
     
-    // Clean up video elements
-    [RecordingState.screenVideo, RecordingState.cameraVideo].forEach(video => {
-        if (video) {
-            video.pause();
-            video.srcObject = null;
-        }
-    });
+    return {
+        x: horizontal === 'left' ? right - newWidth : rect.x,
+        y: vertical === 'top' ? bottom - newHeight : rect.y,
+        width: newWidth,
+        height: newHeight
+    };
+}
+
+/**
+ * Trace the overlay outline as the current path
+ * @param {CanvasRenderingContext2D} ctx - Canvas 2D context
+ * @param {Object} rect - Overlay rect
+ * @param {string} shape - 'rounded' | 'circle' | 'square'
+ */
+function traceOverlayPath(ctx, rect, shape) {
+    const { x, y, width, height } = rect;
+    ctx.beginPath();
     
-    // Remove preview canvas
-    if (RecordingState.previewCanvas) {
-        RecordingState.previewCanvas.remove();
-        RecordingState.previewCanvas = null;
+    if (shape === 'circle') {
+        ctx.arc(x + width / 2, y + height / 2, Math.min(width, height) / 2, 0, Math.PI * 2);
+    } else if (shape === 'square') {
+        ctx.rect(x, y, width, height);
+    } else {
+        const r = Math.min(CONFIG.OVERLAY_CORNER_RADIUS, width / 2, height / 2);
+        ctx.moveTo(x + r, y);
+        ctx.lineTo(x + width - r, y);
+        ctx.quadraticCurveTo(x + width, y, x + width, y + r);
+        ctx.lineTo(x + width, y + height - r);
+        ctx.quadraticCurveTo(x + width, y + height, x + width - r, y + height);
+        ctx.lineTo(x + r, y + height);
+        ctx.quadraticCurveTo(x, y + height, x, y + height - r);
+        ctx.lineTo(x, y + r);
+        ctx.quadraticCurveTo(x, y, x + r, y);
     }
     
-    // Stop performance monitoring
-    PerformanceMonitor.stop();
-    
-    // Reset state
-    RecordingState.reset();
+    ctx.closePath();
 }
 
-// ============================================
-// STREAM SETUP
-// ============================================
+/**
+ * Canvas filter for a camera's colour adjustments
+ * @param {Object} adjustments - Camera adjustments (see CameraAdjustments)
+ * @returns {string} - 'none' when nothing is adjusted
+ */
+function getCameraFilter({ brightness, contrast, saturation }) {
+    const parts = [];
+    if (brightness !== 100) parts.push(`brightness(${brightness}%)`);
+    if (contrast !== 100) parts.push(`contrast(${contrast}%)`);
+    if (saturation !== 100) parts.push(`saturate(${saturation}%)`);
+    return parts.length ? parts.join(' ') : 'none';
+}
 
-export async function getMediaStream(config, showToast = null) {
-    const streams = [];
-    let audioStream = null;
-    let mixedAudioTrack = null;
+/**
+ * Draw a camera frame filling a rect: centre-cropped to the rect's aspect ratio,
+ * then zoomed, mirrored and colour-adjusted
+ * @param {CanvasRenderingContext2D} ctx - Canvas 2D context
+ * @param {HTMLVideoElement|HTMLCanvasElement} source - Camera video or processed frame
+ * @param {Object} rect - Where to draw
+ * @param {Object} adjustments - Camera adjustments (see CameraAdjustments)
+ */
+export function drawCameraFrame(ctx, source, rect, adjustments = DEFAULT_CAMERA_ADJUSTMENTS) {
+    const sourceWidth = source.videoWidth || source.width;
+    const sourceHeight = source.videoHeight || source.height;
+    if (!sourceWidth || !sourceHeight) return;
     
-    if (config.screen) {
-        try {
-            // Check if we have a pre-acquired screen stream (Safari)
-            if (window._safariScreenStream) {
-                RecordingState.screenStream = window._safariScreenStream;
-                window._safariScreenStream = null; // Clear the stored stream
-            } else {
-                RecordingState.screenStream = await PermissionManager.requestScreenShare({
-                    audio: config.systemAudio
-                }, showToast);
-            }
-            
-            if (RecordingState.screenStream) {
-                
-                const videoTrack = RecordingState.screenStream.getVideoTracks()[0];
-                const settings = videoTrack.getSettings();
-                
-                if (settings.displaySurface === 'browser' || settings.displaySurface === 'window') {
-                    // CaptureController is only supported in Chrome/Edge, not Safari
-                    if (window.CaptureController) {
-                        const controller = new CaptureController();
-                        controller.setFocusBehavior('no-focus-change');
-                    }
-                }
-                
-                streams.push(RecordingState.screenStream);
-            } else {
-                console.error('[Recording] Screen stream is null');
-            }
-        } catch (err) {
-            console.error('[Recording] Screen share error:', err);
-            if (err.name === 'NotAllowedError') {
-                ErrorHandler.handlePermissionDenied('screen', showToast);
-            } else {
-                ErrorHandler.handle(err, `Screen share failed: ${err.message}`, showToast);
-            }
-            return null;
-        }
+    // Center-crop the source to the rect's aspect ratio
+    const targetAspect = rect.width / rect.height;
+    let sw = sourceWidth;
+    let sh = sourceHeight;
+    if (sw / sh > targetAspect) {
+        sw = sh * targetAspect;
+    } else {
+        sh = sw / targetAspect;
     }
+    sw /= adjustments.zoom;
+    sh /= adjustments.zoom;
+    // Offsets pan across the area the crop leaves out - flipped when mirrored so they follow the picture
+    const offsetX = adjustments.mirror ? -adjustments.offsetX : adjustments.offsetX;
+    const sx = (sourceWidth - sw) / 2 * (1 + offsetX);
+    const sy = (sourceHeight - sh) / 2 * (1 + adjustments.offsetY);
     
-    if (config.camera) {
-        try {
-            RecordingState.cameraStream = await PermissionManager.requestCamera({}, showToast);
-            if (RecordingState.cameraStream) {
-                streams.push(RecordingState.cameraStream);
-            } else {
-                console.error('[Recording] Camera stream is null');
-            }
-        } catch (err) {
-            console.error('[Recording] Camera access error:', err);
-            if (err.name === 'NotAllowedError') {
-                ErrorHandler.handlePermissionDenied('camera', showToast);
-            } else {
-                ErrorHandler.handle(err, `Camera access failed: ${err.message}`, showToast);
-            }
-            return null;
-        }
+    ctx.save();
+    ctx.filter = getCameraFilter(adjustments);
+    if (adjustments.mirror) {
+        ctx.translate(rect.x * 2 + rect.width, 0);
+        ctx.scale(-1, 1);
     }
+    ctx.drawImage(source, sx, sy, sw, sh, rect.x, rect.y, rect.width, rect.height);
+    ctx.restore();
+}
+
+/**
+ * Draw a camera frame into the overlay rect with shadow, clip and border
+ * @param {CanvasRenderingContext2D} ctx - Canvas 2D context
+ * @param {HTMLVideoElement|HTMLCanvasElement} source - Camera video (or placeholder canvas)
+ * @param {Object} rect - Overlay rect from getOverlayRect()
+ * @param {Object} style - Overlay style from getOverlayStyle()
+ * @param {Object} adjustments - Camera adjustments (see CameraAdjustments)
+ */
+export function drawCameraOverlay(ctx, source, rect, style, adjustments = DEFAULT_CAMERA_ADJUSTMENTS) {
+    const sourceWidth = source.videoWidth || source.width;
+    const sourceHeight = source.videoHeight || source.height;
+    if (!sourceWidth || !sourceHeight) return;
     
-    if (config.mic) {
-        try {
-            RecordingState.micStream = await PermissionManager.requestMicrophone({}, showToast);
-            if (streams.length === 0) streams.push(new MediaStream());
-        } catch (err) {
-            if (err.name === 'NotAllowedError') {
-                ErrorHandler.handlePermissionDenied('microphone', showToast);
-            } else {
-                ErrorHandler.handle(err, `Microphone access failed: ${err.message}`, showToast);
-            }
-            return null;
-        }
+    if (style.shadow) {
+        ctx.save();
+        ctx.shadowColor = 'rgba(0, 0, 0, 0.5)';
+        ctx.shadowBlur = CONFIG.OVERLAY_SHADOW_BLUR;
+        ctx.shadowOffsetY = CONFIG.OVERLAY_SHADOW_BLUR / 4;
+        ctx.fillStyle = '#000';
+        traceOverlayPath(ctx, rect, style.shape);
+        ctx.fill();
+        ctx.restore();
+    }
+    
+    ctx.save();
+    traceOverlayPath(ctx, rect, style.shape);
+    ctx.clip();
+    drawCameraFrame(ctx, source, rect, adjustments);
+    ctx.restore();
+    
+    if (style.borderWidth > 0) {
+        ctx.save();
+        ctx.strokeStyle = style.borderColor;
+        ctx.lineWidth = style.borderWidth;
+        traceOverlayPath(ctx, rect, style.shape);
+        ctx.stroke();
+        ctx.restore();
+    }
+}
+
+// ============================================
+// CAMERA EFFECTS
+// ============================================
+//
+// Background blur and replacement for the camera feed. A selfie segmentation
+// model (MediaPipe Tasks, WASM on the CPU) finds the person in the camera
+// frame, and the compositor draws the processed frame wherever it would have
+// drawn the raw camera video, before the overlay shape clips it. Segmentation
+// runs at CAMERA_EFFECT_FPS and frames in between reuse the latest mask.
+
+// @mediapipe/tasks-vision 0.10.14 is vendored so no third-party code runs next to the streams.
+// The model is data, not code - pinned to a fixed version so it can't change under us.
+const SEGMENTER_BUNDLE = new URL('./vendor/mediapipe-tasks-vision/vision_bundle.mjs', import.meta.url).href;
+const SEGMENTER_WASM = new URL('./vendor/mediapipe-tasks-vision/wasm', import.meta.url).href;
+const SEGMENTER_MODEL = 'https://storage.googleapis.com/mediapipe-models/image_segmenter/selfie_segmenter/float16/1/selfie_segmenter.tflite';
+
+// Shared across recordings once loaded
+let segmenterPromise = null;
+
+/**
+ * Load the segmentation model (downloaded once, then cached by the browser)
+ * @returns {Promise<Object>} - MediaPipe ImageSegmenter
+ */
+function loadSegmenter() {
+    if (!segmenterPromise) {
+        segmenterPromise = (async () => {
+            const { FilesetResolver, ImageSegmenter } = await import(SEGMENTER_BUNDLE);
+            const fileset = await FilesetResolver.forVisionTasks(SEGMENTER_WASM);
+            return ImageSegmenter.createFromOptions(fileset, {
+                baseOptions: { modelAssetPath: SEGMENTER_MODEL, delegate: 'CPU' },
+                runningMode: 'VIDEO',
+                outputCategoryMask: false,
+                outputConfidenceMasks: true
+            });
+        })();
+        // Let a later attempt retry, e.g. after going back online
+        segmenterPromise.catch(() => { segmenterPromise = null; });
+    }
+    return segmenterPromise;
+}
+
+/**
+ * Resolve camera effect settings from a recording config
+ * @param {Object} config - Recording config (see AppConfig)
+ * @param {HTMLImageElement|null} image - Decoded background image, if any
+ * @returns {{effect: string, blur: number, color: string, image: HTMLImageElement|null}}
+ */
+export function getCameraEffectStyle(config = {}, image = null) {
+    let effect = CONFIG.CAMERA_EFFECT_OPTIONS.includes(config.cameraEffect) ? config.cameraEffect : 'none';
+    // No image to show - fall back to the solid colour
+    if (effect === 'image' && !image) effect = 'color';
+    
+    return {
+        effect,
+        blur: (config.cameraBlur || CONFIG.CAMERA_BLUR_OPTIONS[1]) / 100,
+        color: config.cameraBackgroundColor || '#1F2937',
+        image: effect === 'image' ? image : null
+    };
+}
+
+/**
+ * Load the stored background image if the config asks for one
+ * @param {Object} config - Recording config
+ * @returns {Promise<HTMLImageElement|null>}
+ */
+export async function loadCameraBackground(config = {}) {
+    if (config.cameraEffect !== 'image') return null;
+    
+    try {
+        const record = await getCameraBackground();
+        return record?.blob ? await loadImageFromBlob(record.blob) : null;
+    } catch (err) {
+        console.warn('Failed to load camera background:', err);
+        return null;
+    }
+}
+
+/**
+ * Draw an image filling the canvas, centre-cropped to its aspect ratio
+ */
+function drawImageCover(ctx, image, width, height) {
+    const imageWidth = image.naturalWidth || image.width;
+    const imageHeight = image.naturalHeight || image.height;
+    const scale = Math.max(width / imageWidth, height / imageHeight);
+    const drawWidth = imageWidth * scale;
+    const drawHeight = imageHeight * scale;
+    ctx.drawImage(image, (width - drawWidth) / 2, (height - drawHeight) / 2, drawWidth, drawHeight);
+}
+
+/**
+ * The effect applied to the camera in the current recording
+ */
+export const CameraEffects = {
+    _style: null,
+    _segmenter: null,
+    _mask: null, // Person confidence in the alpha channel, at the model's resolution
+    _maskData: null,
+    _person: null, // Camera frame cut out by the mask
+    _output: null, // Finished frame handed to the compositor
+    _lastRun: 0,
+    _lastTimestamp: 0,
+    
+    get active() { return !!this._style && this._style.effect !== 'none' && !!this._segmenter; },
+    
+    /**
+     * Switch effect, loading the segmentation model on first use. Can be called mid-recording.
+     * @param {Object} style - Effect style from getCameraEffectStyle()
+     * @param {Function} showToast - Optional toast notification function
+     * @returns {Promise<boolean>} - False when the model couldn't be loaded
+     */
+    async configure(style, showToast = null) {
+        this._style = style;
+        if (style.effect === 'none' || this._segmenter) return true;
+        
+        try {
+            const segmenter = await loadSegmenter();
+            // Another configure() or a reset may have happened meanwhile
+            if (this._style === style) this._segmenter = segmenter;
+            return true;
+        } catch (err) {
+            console.warn('Failed to load background segmentation:', err);
+            if (this._style === style) this._style = null;
+            if (showToast) showToast('Could not load the camera background effect - showing the camera as is', 'warning');
+            return false;
+        }
+    },
+    
+    reset() {
+        this._style = null;
+        this._mask = null;
+        this._lastRun = 0;
+    },
+    
+    /**
+     * Camera frame to draw this frame - the processed frame while an effect is on, else the video itself
+     * @param {HTMLVideoElement} video - Camera video element
+     * @returns {HTMLVideoElement|HTMLCanvasElement}
+     */
+    frame(video) {
+        if (!this.active || !video.videoWidth) return video;
+        
+        const now = performance.now();
+        if (now - this._lastRun >= 1000 / CONFIG.CAMERA_EFFECT_FPS) {
+            this._lastRun = now;
+            this._segment(video, now);
+        }
+        // Nothing to cut out with until the first mask arrives
+        return this._mask ? this._compose(video) : video;
+    },
+    
+    _segment(video, now) {
+        // VIDEO mode rejects timestamps that don't increase
+        const timestamp = Math.max(now, this._lastTimestamp + 1);
+        this._lastTimestamp = timestamp;
+        
+        try {
+            // Masks are only valid inside the callback
+            this._segmenter.segmentForVideo(video, timestamp, (result) => {
+                const mask = result.confidenceMasks?.[0];
+                if (mask) this._storeMask(mask.getAsFloat32Array(), mask.width, mask.height);
+            });
+        } catch (err) {
+            console.warn('Background segmentation failed - showing the camera as is:', err);
+            this._style = null;
+        }
+    },
+    
+    _storeMask(confidence, width, height) {
+        if (!this._mask || this._mask.width !== width || this._mask.height !== height) {
+            this._mask = Object.assign(document.createElement('canvas'), { width, height });
+            this._maskData = new ImageData(width, height);
+        }
+        const data = this._maskData.data;
+        for (let i = 0; i < confidence.length; i++) {
+            data[i * 4 + 3] = confidence[i] * 255;
+        }
+        this._mask.getContext('2d').putImageData(this._maskData, 0, 0);
+    },
+    
+    _compose(video) {
+        const { videoWidth: width, videoHeight: height } = video;
+        const unit = Math.min(width, height);
+        const style = this._style;
+        
+        if (!this._output) {
+            this._output = document.createElement('canvas');
+            this._person = document.createElement('canvas');
+        }
+        [this._output, this._person].forEach(canvas => {
+            if (canvas.width !== width) canvas.width = width;
+            if (canvas.height !== height) canvas.height = height;
+        });
+        
+        // Person: the upscaled mask with softened edges, filled with the camera frame
+        const person = this._person.getContext('2d');
+        person.globalCompositeOperation = 'copy';
+        person.filter = `blur(${Math.max(1, Math.round(unit * CONFIG.CAMERA_EFFECT_EDGE_BLUR))}px)`;
+        person.drawImage(this._mask, 0, 0, width, height);
+        person.filter = 'none';
+        person.globalCompositeOperation = 'source-in';
+        person.drawImage(video, 0, 0, width, height);
+        person.globalCompositeOperation = 'source-over';
+        
+        const ctx = this._output.getContext('2d');
+        if (style.effect === 'blur') {
+            // Sharp frame underneath keeps the blurred edges from fading to transparent
+            ctx.drawImage(video, 0, 0, width, height);
+            ctx.filter = `blur(${Math.max(1, Math.round(unit * style.blur))}px)`;
+            ctx.drawImage(video, 0, 0, width, height);
+            ctx.filter = 'none';
+        } else if (style.effect === 'image' && style.image) {
+            drawImageCover(ctx, style.image, width, height);
+        } else {
+            ctx.fillStyle = style.color;
+            ctx.fillRect(0, 0, width, height);
+        }
+        ctx.drawImage(this._person, 0, 0);
+        return this._output;
+    }
+};
+
+// ============================================
+// SCENE LAYOUTS
+// ============================================
+
+// Named layouts for screen + camera recordings, in shortcut order (Alt+1..4)
+export const SCENE_LAYOUTS = {
+    'pip': 'Picture-in-picture',
+    'side-by-side': 'Side by side',
+    'camera': 'Camera fullscreen',
+    'screen': 'Screen fullscreen'
+};
+
+// Camera drawn edge-to-edge (split and fullscreen layouts)
+const FULL_FRAME_STYLE = { shape: 'square', borderWidth: 0, borderColor: '#000000', shadow: false };
+
+const lerp = (a, b, t) => a + (b - a) * t;
+const easeInOut = (t) => (t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2);
+
+/**
+ * Interpolate between two rects (either may be null while the camera warms up)
+ * @returns {Object|null}
+ */
+function lerpRect(from, to, t) {
+    if (!from || !to) return to || from;
+    return {
+        x: lerp(from.x, to.x, t),
+        y: lerp(from.y, to.y, t),
+        width: lerp(from.width, to.width, t),
+        height: lerp(from.height, to.height, t)
+    };
+}
+
+/**
+ * Fit a source inside a rect without cropping (letterboxed)
+ * @returns {{x: number, y: number, width: number, height: number}}
+ */
+function containRect(sourceWidth, sourceHeight, rect) {
+    const scale = Math.min(rect.width / sourceWidth, rect.height / sourceHeight);
+    const width = sourceWidth * scale;
+    const height = sourceHeight * scale;
+    return { x: rect.x + (rect.width - width) / 2, y: rect.y + (rect.height - height) / 2, width, height };
+}
+
+/**
+ * Where each source sits in a layout
+ * @param {string} layout - Key of SCENE_LAYOUTS
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ * @param {Object|null} overlayRect - Camera bubble geometry for the PiP layout
+ * @returns {{screen: Object, screenAlpha: number, camera: Object|null, cameraAlpha: number, styled: boolean}}
+ */
+function getSceneFrame(layout, width, height, overlayRect) {
+    const full = { x: 0, y: 0, width, height };
+    
+    switch (layout) {
+        case 'side-by-side': {
+            const split = width * CONFIG.SCENE_SPLIT_RATIO;
+            return {
+                screen: { x: 0, y: 0, width: split, height },
+                screenAlpha: 1,
+                camera: { x: split, y: 0, width: width - split, height },
+                cameraAlpha: 1,
+                styled: false
+            };
+        }
+        case 'camera':
+            return { screen: full, screenAlpha: 0, camera: full, cameraAlpha: 1, styled: false };
+        case 'screen':
+            // Bubble fades out in place so switching back to PiP fades it in again
+            return { screen: full, screenAlpha: 1, camera: overlayRect, cameraAlpha: 0, styled: true };
+        default:
+            return { screen: full, screenAlpha: 1, camera: overlayRect, cameraAlpha: 1, styled: true };
+    }
+}
+
+/**
+ * Resolve the scene for the current frame, animating between layouts
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ * @param {number} now - Frame timestamp (performance.now())
+ * @returns {Object} Scene frame (see getSceneFrame)
+ */
+function getSceneState(width, height, now) {
+    const target = getSceneFrame(RecordingState.sceneLayout, width, height, RecordingState.overlayRect);
+    const transition = RecordingState.sceneTransition;
+    let frame = target;
+    
+    if (transition) {
+        const progress = Math.min((now - transition.startedAt) / CONFIG.SCENE_TRANSITION_DURATION, 1);
+        if (progress >= 1) {
+            RecordingState.sceneTransition = null;
+        } else {
+            const from = transition.from || getSceneFrame(transition.fromLayout, width, height, RecordingState.overlayRect);
+            const t = easeInOut(progress);
+            frame = {
+                screen: lerpRect(from.screen, target.screen, t),
+                screenAlpha: lerp(from.screenAlpha, target.screenAlpha, t),
+                camera: lerpRect(from.camera, target.camera, t),
+                cameraAlpha: lerp(from.cameraAlpha, target.cameraAlpha, t),
+                styled: t < 0.5 ? from.styled : target.styled
+            };
+        }
+    }
+    
+    RecordingState.sceneFrame = frame;
+    return frame;
+}
+
+/**
+ * Draw one composited screen + camera frame
+ * @param {CanvasRenderingContext2D} ctx - Canvas 2D context
+ * @param {HTMLCanvasElement} canvas - Target canvas
+ * @param {Object} overlayStyle - Camera bubble style from getOverlayStyle()
+ */
+function drawScene(ctx, canvas, overlayStyle) {
+    const { screenVideo, cameraVideo } = RecordingState;
+    const scene = getSceneState(canvas.width, canvas.height, performance.now());
+    
+    ctx.fillStyle = '#000';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    
+    if (screenVideo.readyState >= 2 && scene.screenAlpha > 0 && screenVideo.videoWidth) {
+        const fullSource = getScreenSourceRect(screenVideo);
+        const rect = containRect(fullSource.width, fullSource.height, scene.screen);
+        const source = ScreenZoom.apply(screenVideo, fullSource);
+        ScreenZoom.setView(fullSource, rect, screenVideo);
+        ctx.save();
+        ctx.globalAlpha = scene.screenAlpha;
+        ctx.drawImage(screenVideo, source.x, source.y, source.width, source.height, rect.x, rect.y, rect.width, rect.height);
+        CursorTracker.draw(ctx, screenVideo, source, rect);
+        ctx.restore();
+    }
+    
+    if (cameraVideo.readyState >= 2 && scene.cameraAlpha > 0 && scene.camera) {
+        ctx.save();
+        ctx.globalAlpha = scene.cameraAlpha;
+        drawCameraOverlay(
+            ctx,
+            CameraEffects.frame(cameraVideo),
+            scene.camera,
+            scene.styled ? overlayStyle : FULL_FRAME_STYLE,
+            CameraAdjustments.get(getActiveDeviceId('camera'))
+        );
+        ctx.restore();
+    }
+}
+
+/**
+ * Switch the scene layout of the current screen + camera recording.
+ * The change animates in over CONFIG.SCENE_TRANSITION_DURATION.
+ * @param {string} layout - Key of SCENE_LAYOUTS
+ * @param {Function} showToast - Optional toast notification function
+ * @returns {boolean} - Whether the layout is now active
+ */
+export function setSceneLayout(layout, showToast = null) {
+    if (!SCENE_LAYOUTS[layout]) return false;
+    
+    if (!RecordingState.isRecording || !RecordingState.screenVideo || !RecordingState.cameraVideo) {
+        if (showToast) showToast('Scene layouts need a recording with both screen and camera', 'warning');
+        return false;
+    }
+    
+    if (layout === RecordingState.sceneLayout) return true;
+    
+    // Start from whatever is on screen, so switching mid-transition doesn't jump
+    RecordingState.sceneTransition = {
+        from: RecordingState.sceneFrame,
+        fromLayout: RecordingState.sceneLayout,
+        startedAt: performance.now()
+    };
+    RecordingState.sceneLayout = layout;
+    return true;
+}
+
+/**
+ * Whether the current recording can switch scene layouts
+ * @returns {boolean}
+ */
+export function canSwitchSceneLayout() {
+    return RecordingState.isRecording && !!RecordingState.screenVideo && !!RecordingState.cameraVideo;
+}
+
+// ============================================
+// SCREEN REGION
+// ============================================
+
+// Aspect presets for the region picker (null = freeform)
+export const REGION_ASPECTS = {
+    'free': null,
+    '16:9': 16 / 9,
+    '9:16': 9 / 16,
+    '1:1': 1
+};
+
+/**
+ * Build a region from a drag, holding an aspect ratio if one is chosen.
+ * The drag start stays anchored and the region never leaves the source.
+ * @param {number} startX - Drag start in source pixels
+ * @param {number} startY - Drag start in source pixels
+ * @param {number} endX - Pointer position in source pixels
+ * @param {number} endY - Pointer position in source pixels
+ * @param {number|null} aspect - Width / height, or null for freeform
+ * @param {number} width - Source width
+ * @param {number} height - Source height
+ * @returns {{x: number, y: number, width: number, height: number}}
+ */
+export function getRegionFromDrag(startX, startY, endX, endY, aspect, width, height) {
+    const right = endX >= startX;
+    const down = endY >= startY;
+    // Room between the anchor and the source edges in the drag direction
+    const roomX = right ? width - startX : startX;
+    const roomY = down ? height - startY : startY;
+    
+    let regionWidth = Math.min(Math.abs(endX - startX), roomX);
+    let regionHeight = Math.min(Math.abs(endY - startY), roomY);
+    if (aspect) {
+        // Follow whichever axis the pointer moved further along, then shrink to fit
+        regionWidth = Math.min(Math.max(regionWidth, regionHeight * aspect), roomX, roomY * aspect);
+        regionHeight = regionWidth / aspect;
+    }
+    
+    return {
+        x: right ? startX : startX - regionWidth,
+        y: down ? startY : startY - regionHeight,
+        width: regionWidth,
+        height: regionHeight
+    };
+}
+
+/**
+ * Reshape a region to an aspect ratio: the largest such rect inside it, centered.
+ * Without a region, the largest centered rect in the whole source.
+ * @param {Object|null} rect - Current region in source pixels
+ * @param {number|null} aspect - Width / height, or null to keep the region as is
+ * @param {number} width - Source width
+ * @param {number} height - Source height
+ * @returns {{x: number, y: number, width: number, height: number}}
+ */
+export function fitRegionToAspect(rect, aspect, width, height) {
+    const base = rect || { x: 0, y: 0, width, height };
+    if (!aspect) return { ...base };
+    
+    const regionWidth = Math.min(base.width, base.height * aspect);
+    const regionHeight = regionWidth / aspect;
+    return {
+        x: base.x + (base.width - regionWidth) / 2,
+        y: base.y + (base.height - regionHeight) / 2,
+        width: regionWidth,
+        height: regionHeight
+    };
+}
+
+/**
+ * Part of the screen video the compositor draws
+ * @param {HTMLVideoElement} video - Screen video element
+ * @returns {{x: number, y: number, width: number, height: number}} - In video pixels
+ */
+function getScreenSourceRect(video) {
+    const region = RecordingState.screenRegion;
+    const width = video.videoWidth;
+    const height = video.videoHeight;
+    
+    // Region Capture delivers frames that are already cropped
+    if (!region || RecordingState.regionCropElement) {
+        return { x: 0, y: 0, width, height };
+    }
+    return {
+        x: region.x * width,
+        y: region.y * height,
+        width: region.width * width,
+        height: region.height * height
+    };
+}
+
+/**
+ * Crop the screen track at the source with Region Capture.
+ * Only possible when the shared tab is this page - other surfaces reject it.
+ * @param {MediaStreamTrack} track - Screen track feeding the compositor
+ * @param {Object} region - Normalized region
+ * @returns {Promise<boolean>} - Whether the track is now cropped
+ */
+async function applyRegionCrop(track, region) {
+    if (!window.CropTarget?.fromElement || !track?.cropTo || track.getSettings().displaySurface !== 'browser') {
+        return false;
+    }
+    
+    // Stand-in element covering the region of this page's viewport
+    const element = document.createElement('div');
+    element.className = 'region-crop-target';
+    element.style.left = `${region.x * 100}vw`;
+    element.style.top = `${region.y * 100}vh`;
+    element.style.width = `${region.width * 100}vw`;
+    element.style.height = `${region.height * 100}vh`;
+    document.body.appendChild(element);
+    
+    try {
+        const cropTarget = await window.CropTarget.fromElement(element);
+        await track.cropTo(cropTarget);
+        RecordingState.regionCropElement = element;
+        return true;
+    } catch (err) {
+        // Another tab was shared - the compositor crops instead
+        console.warn('[Recording] Region Capture unavailable:', err);
+        element.remove();
+        return false;
+    }
+}
+
+/**
+ * Undo a Region Capture crop
+ * @param {MediaStreamTrack} track - Screen track feeding the compositor
+ */
+async function clearRegionCrop(track) {
+    const element = RecordingState.regionCropElement;
+    if (!element) return;
+    
+    try {
+        await track?.cropTo(null);
+    } catch (err) {
+        console.warn('[Recording] Failed to clear Region Capture crop:', err);
+    }
+    element.remove();
+    RecordingState.regionCropElement = null;
+}
+
+/**
+ * Record only part of the shared screen. The compositor crops to the region,
+ * or the browser does when this tab is being recorded (Region Capture).
+ * The recording keeps its size - the region is fitted inside it.
+ * @param {Object|null} region - Normalized {x, y, width, height} (0..1), or null for the whole screen
+ * @param {Function} showToast - Optional toast notification function
+ * @returns {Promise<boolean>} - Whether the region is now active
+ */
+export async function setScreenRegion(region, showToast = null) {
+    if (!canSelectScreenRegion()) {
+        if (showToast) showToast('Region selection needs a screen recording', 'warning');
+        return false;
+    }
+    
+    const track = RecordingState.screenVideo.srcObject?.getVideoTracks()[0];
+    await clearRegionCrop(track);
+    RecordingState.screenRegion = region;
+    if (region) await applyRegionCrop(track, region);
+    return true;
+}
+
+/**
+ * Whether the screen is being composited, so it can be cropped - from the
+ * preview shown before the recorder starts until the recording stops
+ * @returns {boolean}
+ */
+export function canSelectScreenRegion() {
+    return !RecordingState.isStopping && !!RecordingState.screenVideo && !!RecordingState.recordingCanvas;
+}
+
+// ============================================
+// CURSOR HIGHLIGHT
+// ============================================
+//
+// When the recording shares this very tab, the page's own pointer events say
+// where the mouse is in the video, so the compositor can draw a halo around
+// the pointer and a ripple for each click. Other surfaces don't report the
+// pointer to the page, so nothing is drawn for them.
+
+// Capture Handle this page exposes, so it can tell when it is the tab being shared
+const CAPTURE_HANDLE = 'screenrecord.in';
+
+/**
+ * Whether a screen track is capturing this tab
+ * @param {MediaStreamTrack} track - Screen video track
+ * @returns {boolean}
+ */
+function isCapturingThisTab(track) {
+    if (track?.readyState !== 'live' || track.getSettings().displaySurface !== 'browser') return false;
+    // Without Capture Handle support there's no telling which tab was shared, so draw nothing
+    return track.getCaptureHandle?.()?.handle === CAPTURE_HANDLE;
+}
+
+/**
+ * Convert a point in this page's viewport to a point in the screen video
+ * @param {{x: number, y: number}} point - Normalized to the viewport (0..1)
+ * @returns {{x: number, y: number}} - Normalized to the video frame (0..1)
+ */
+function viewportToVideo(point) {
+    // With a Region Capture crop, the video shows only the region of the viewport
+    const region = RecordingState.regionCropElement ? RecordingState.screenRegion : null;
+    return {
+        x: region ? (point.x - region.x) / region.width : point.x,
+        y: region ? (point.y - region.y) / region.height : point.y
+    };
+}
+
+/**
+ * Map a point in this page's viewport onto the compositor canvas
+ * @param {{x: number, y: number}} point - Normalized to the viewport (0..1)
+ * @param {HTMLVideoElement} video - Screen video element
+ * @param {Object} source - Part of the video being drawn (see getScreenSourceRect)
+ * @param {Object} rect - Where that part is drawn on the canvas
+ * @returns {{x: number, y: number}} - Canvas pixels
+ */
+function mapViewportPoint(point, video, source, rect) {
+    const { x, y } = viewportToVideo(point);
+    return {
+        x: rect.x + (x * video.videoWidth - source.x) * rect.width / source.width,
+        y: rect.y + (y * video.videoHeight - source.y) * rect.height / source.height
+    };
+}
+
+/**
+ * Pointer position and recent clicks on this page, drawn over the screen video
+ */
+export const CursorTracker = {
+    _enabled: false,
+    _style: null,
+    _pointer: null,
+    _ripples: [],
+    _listeners: null,
+    
+    /**
+     * Follow the pointer for a screen recording. Nothing is drawn unless the
+     * track turns out to be capturing this tab.
+     * @param {MediaStreamTrack} track - Screen video track
+     * @param {Object} config - Recording config (cursorHighlight, clickRipples)
+     */
+    start(track, config = {}) {
+        this.stop();
+        this._style = { highlight: !!config.cursorHighlight, ripples: !!config.clickRipples };
+        if (!track || (!this._style.highlight && !this._style.ripples)) return;
+        
+        try {
+            navigator.mediaDevices.setCaptureHandleConfig?.({ handle: CAPTURE_HANDLE, permittedOrigins: [location.origin] });
+        } catch (err) {
+            console.warn('[Recording] Capture Handle unavailable:', err);
+        }
+        
+        this._listeners = new AbortController();
+        const { signal } = this._listeners;
+        const toPoint = (e) => ({ x: e.clientX / window.innerWidth, y: e.clientY / window.innerHeight });
+        
+        window.addEventListener('pointermove', (e) => {
+            this._pointer = toPoint(e);
+        }, { signal, passive: true });
+        // Capture phase, so clicks the page handles itself still ripple
+        window.addEventListener('pointerdown', (e) => {
+            this._pointer = toPoint(e);
+            if (this._style.ripples) this._ripples.push({ ...this._pointer, startedAt: performance.now() });
+        }, { signal, passive: true, capture: true });
+        document.documentElement.addEventListener('pointerleave', () => {
+            this._pointer = null;
+        }, { signal });
+        
+        // The shared tab can be switched from the browser's sharing bar
+        const refresh = () => { this._enabled = isCapturingThisTab(track); };
+        track.addEventListener('capturehandlechange', refresh, { signal });
+        refresh();
+    },
+    
+    stop() {
+        this._listeners?.abort();
+        this._listeners = null;
+        this._enabled = false;
+        this._pointer = null;
+        this._ripples = [];
+    },
+    
+    get active() { return this._enabled; },
+    
+    // Pointer position in the screen video (0..1), or null when it can't be known
+    get focus() { return this._enabled && this._pointer ? viewportToVideo(this._pointer) : null; },
+    
+    /**
+     * Draw the halo and click ripples over the screen video
+     * @param {CanvasRenderingContext2D} ctx - Canvas 2D context
+     * @param {HTMLVideoElement} video - Screen video element
+     * @param {Object} source - Part of the video being drawn (see getScreenSourceRect)
+     * @param {Object} rect - Where that part is drawn on the canvas
+     */
+    draw(ctx, video, source, rect) {
+        if (!this._enabled || !video.videoWidth) return;
+        
+        const now = performance.now();
+        this._ripples = this._ripples.filter(ripple => now - ripple.startedAt < CONFIG.CLICK_RIPPLE_DURATION);
+        const halo = this._style.highlight && this._pointer;
+        if (!halo && this._ripples.length === 0) return;
+        
+        const unit = Math.min(rect.width, rect.height);
+        const alpha = ctx.globalAlpha;
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(rect.x, rect.y, rect.width, rect.height);
+        ctx.clip();
+        ctx.fillStyle = CONFIG.CURSOR_HIGHLIGHT_COLOR;
+        ctx.strokeStyle = CONFIG.CURSOR_HIGHLIGHT_COLOR;
+        
+        if (halo) {
+            const { x, y } = mapViewportPoint(this._pointer, video, source, rect);
+            ctx.globalAlpha = alpha * CONFIG.CURSOR_HALO_OPACITY;
+            ctx.beginPath();
+            ctx.arc(x, y, unit * CONFIG.CURSOR_HALO_RADIUS, 0, Math.PI * 2);
+            ctx.fill();
+        }
+        
+        ctx.lineWidth = Math.max(2, unit * 0.005);
+        for (const ripple of this._ripples) {
+            const progress = (now - ripple.startedAt) / CONFIG.CLICK_RIPPLE_DURATION;
+            const { x, y } = mapViewportPoint(ripple, video, source, rect);
+            ctx.globalAlpha = alpha * (1 - progress);
+            ctx.beginPath();
+            ctx.arc(x, y, unit * CONFIG.CLICK_RIPPLE_RADIUS * (1 - Math.pow(1 - progress, 3)), 0, Math.PI * 2);
+            ctx.stroke();
+        }
+        
+        ctx.restore();
+    }
+};
+
+// ============================================
+// SCREEN ZOOM
+// ============================================
+//
+// Live zoom into the shared screen. The compositor draws a smaller part of
+// the screen video, easing toward the target scale and focus every frame so
+// zooming and panning animate in the recording. Focus points are normalized
+// to the screen video frame.
+
+const clampUnit = (value) => Math.min(Math.max(value, 0), 1);
+
+export const ScreenZoom = {
+    _scale: 1,
+    _focus: { x: 0.5, y: 0.5 },
+    _targetScale: 1,
+    _targetFocus: { x: 0.5, y: 0.5 },
+    _followCursor: false,
+    _lastFrame: null,
+    _view: null,
+    
+    get isZoomed() { return this._targetScale > 1; },
+    
+    get scale() { return this._targetScale; },
+    
+    /**
+     * Zoom to a scale around a point
+     * @param {number} scale - 1 shows the whole screen
+     * @param {{x: number, y: number}|null} focus - Point to zoom around - null keeps the current one
+     * @param {Object} options - {followCursor} pans with the pointer while recording this tab
+     */
+    zoomTo(scale, focus = null, { followCursor = false } = {}) {
+        this._targetScale = Math.min(Math.max(Number(scale) || 1, 1), CONFIG.ZOOM_MAX_SCALE);
+        this._followCursor = followCursor;
+        if (focus) this._targetFocus = { x: clampUnit(focus.x), y: clampUnit(focus.y) };
+    },
+    
+    /**
+     * Move the zoomed view to a new point
+     * @param {{x: number, y: number}} focus - Normalized to the screen video
+     */
+    panTo(focus) {
+        if (!this.isZoomed) return;
+        this._followCursor = false;
+        this._targetFocus = { x: clampUnit(focus.x), y: clampUnit(focus.y) };
+    },
+    
+    zoomOut() {
+        this._targetScale = 1;
+        this._followCursor = false;
+    },
+    
+    reset() {
+        this._scale = 1;
+        this._targetScale = 1;
+        this._focus = { x: 0.5, y: 0.5 };
+        this._targetFocus = { x: 0.5, y: 0.5 };
+        this._followCursor = false;
+        this._lastFrame = null;
+        this._view = null;
+    },
+    
+    /**
+     * Narrow the part of the screen video being drawn to the zoomed view.
+     * Called once per frame - each call eases toward the target.
+     * @param {HTMLVideoElement} video - Screen video element
+     * @param {Object} source - Unzoomed part of the video (see getScreenSourceRect)
+     * @returns {{x: number, y: number, width: number, height: number}} - In video pixels
+     */
+    apply(video, source) {
+        const now = performance.now();
+        const elapsed = this._lastFrame === null ? 0 : now - this._lastFrame;
+        this._lastFrame = now;
+        
+        const cursor = this._followCursor ? CursorTracker.focus : null;
+        if (cursor) this._targetFocus = { x: clampUnit(cursor.x), y: clampUnit(cursor.y) };
+        
+        const t = 1 - Math.exp(-elapsed / CONFIG.ZOOM_SMOOTHING);
+        this._scale = Math.abs(this._targetScale - this._scale) < 0.001 ? this._targetScale : lerp(this._scale, this._targetScale, t);
+        this._focus = {
+            x: lerp(this._focus.x, this._targetFocus.x, t),
+            y: lerp(this._focus.y, this._targetFocus.y, t)
+        };
+        if (this._scale <= 1) return source;
+        
+        const width = source.width / this._scale;
+        const height = source.height / this._scale;
+        const x = this._focus.x * video.videoWidth - width / 2;
+        const y = this._focus.y * video.videoHeight - height / 2;
+        return {
+            x: Math.min(Math.max(x, source.x), source.x + source.width - width),
+            y: Math.min(Math.max(y, source.y), source.y + source.height - height),
+            width,
+            height
+        };
+    },
+    
+    /**
+     * Remember where the unzoomed screen is drawn, so preview clicks can be mapped back to it
+     * @param {Object} source - Unzoomed part of the video, in video pixels
+     * @param {Object} rect - Where it is drawn on the canvas
+     * @param {HTMLVideoElement} video - Screen video element
+     */
+    setView(source, rect, video) {
+        this._view = { source, rect, videoWidth: video.videoWidth, videoHeight: video.videoHeight };
+    },
+    
+    /**
+     * Screen point for a position on the compositor canvas, as if it weren't zoomed -
+     * moving across the preview pans across the whole screen
+     * @param {number} x - Canvas pixels
+     * @param {number} y - Canvas pixels
+     * @returns {{x: number, y: number}|null} - Normalized to the screen video
+     */
+    focusFromCanvas(x, y) {
+        const view = this._view;
+        if (!view || !view.rect.width || !view.rect.height) return null;
+        
+        const { source, rect, videoWidth, videoHeight } = view;
+        return {
+            x: (source.x + clampUnit((x - rect.x) / rect.width) * source.width) / videoWidth,
+            y: (source.y + clampUnit((y - rect.y) / rect.height) * source.height) / videoHeight
+        };
+    }
+};
+
+/**
+ * Whether the current recording composites the screen, so it can be zoomed
+ * @returns {boolean}
+ */
+export function canZoomScreen() {
+    return RecordingState.isRecording && !!RecordingState.screenVideo && !!RecordingState.recordingCanvas;
+}
+
+// ============================================
+// ANNOTATIONS
+// ============================================
+//
+// Shapes drawn over the preview while recording. They're kept in canvas
+// pixels and composited into the recording canvas every frame, so they show
+// in the preview, the PiP window and the recorded video alike.
+
+// Drawing tools -> labels
+export const ANNOTATION_TOOLS = {
+    pen: 'Pen',
+    highlighter: 'Highlighter',
+    arrow: 'Arrow',
+    rectangle: 'Rectangle',
+    text: 'Text',
+    eraser: 'Eraser'
+};
+
+/**
+ * Distance from a point to a line segment
+ * @returns {number}
+ */
+function distanceToSegment(point, a, b) {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSquared = dx * dx + dy * dy;
+    const t = lengthSquared ? Math.min(Math.max(((point.x - a.x) * dx + (point.y - a.y) * dy) / lengthSquared, 0), 1) : 0;
+    return Math.hypot(point.x - (a.x + t * dx), point.y - (a.y + t * dy));
+}
+
+/**
+ * Whether the eraser at a point touches a shape
+ * @param {Object} shape - Annotation shape
+ * @param {{x: number, y: number}} point - Canvas pixels
+ * @param {number} radius - Eraser reach in canvas pixels
+ * @returns {boolean}
+ */
+function hitsAnnotation(shape, point, radius) {
+    const { tool, points } = shape;
+    const start = points[0];
+    const end = points[points.length - 1];
+    const reach = radius + shape.width / 2;
+    
+    if (tool === 'text') {
+        const bounds = shape.bounds;
+        return !!bounds && point.x >= bounds.x - radius && point.x <= bounds.x + bounds.width + radius &&
+            point.y >= bounds.y - radius && point.y <= bounds.y + bounds.height + radius;
+    }
+    if (tool === 'rectangle') {
+        const corners = [start, { x: end.x, y: start.y }, end, { x: start.x, y: end.y }];
+        return corners.some((corner, i) => distanceToSegment(point, corner, corners[(i + 1) % 4]) <= reach);
+    }
+    if (points.length === 1) return Math.hypot(point.x - start.x, point.y - start.y) <= reach;
+    return points.slice(1).some((p, i) => distanceToSegment(point, points[i], p) <= reach);
+}
+
+/**
+ * Paint one annotation shape
+ * @param {CanvasRenderingContext2D} ctx - Canvas 2D context
+ * @param {Object} shape - Annotation shape
+ */
+function drawAnnotationShape(ctx, shape) {
+    const { tool, points, color, width } = shape;
+    const start = points[0];
+    const end = points[points.length - 1];
+    ctx.strokeStyle = color;
+    ctx.fillStyle = color;
+    ctx.lineWidth = width;
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+    
+    switch (tool) {
+        case 'text':
+            ctx.font = `600 ${shape.size}px sans-serif`;
+            ctx.textBaseline = 'top';
+            ctx.fillText(shape.text, start.x, start.y);
+            // Measured once, for the eraser
+            shape.bounds ??= { x: start.x, y: start.y, width: ctx.measureText(shape.text).width, height: shape.size };
+            break;
+        case 'rectangle':
+            ctx.strokeRect(start.x, start.y, end.x - start.x, end.y - start.y);
+            break;
+        case 'arrow': {
+            const angle = Math.atan2(end.y - start.y, end.x - start.x);
+            const head = width * 4;
+            ctx.beginPath();
+            ctx.moveTo(start.x, start.y);
+            ctx.lineTo(end.x, end.y);
+            ctx.moveTo(end.x - head * Math.cos(angle - Math.PI / 6), end.y - head * Math.sin(angle - Math.PI / 6));
+            ctx.lineTo(end.x, end.y);
+            ctx.lineTo(end.x - head * Math.cos(angle + Math.PI / 6), end.y - head * Math.sin(angle + Math.PI / 6));
+            ctx.stroke();
+            break;
+        }
+        default:
+            // Pen and highlighter strokes - a single point still leaves a dot
+            ctx.beginPath();
+            ctx.moveTo(start.x, start.y);
+            points.forEach(p => ctx.lineTo(p.x, p.y));
+            ctx.stroke();
+    }
+}
+
+/**
+ * Annotation shapes in canvas pixels: {tool, points, color, width, opacity, text, size, finishedAt}
+ */
+export const Annotations = {
+    _shapes: [],
+    _draft: null,
+    _fadeSeconds: 0,
+    
+    get isEmpty() { return this._shapes.length === 0 && !this._draft; },
+    
+    // Finished shapes fade out this long after they were drawn - 0 keeps them until cleared
+    get fadeSeconds() { return this._fadeSeconds; },
+    set fadeSeconds(seconds) { this._fadeSeconds = Math.max(0, Number(seconds) || 0); },
+    
+    /**
+     * Start a stroke or shape
+     * @param {string} tool - pen, highlighter, arrow or rectangle
+     * @param {{x: number, y: number}} point - Canvas pixels
+     * @param {Object} style - {color, width} - width is a pen width in canvas pixels
+     */
+    begin(tool, point, { color, width }) {
+        const highlighter = tool === 'highlighter';
+        this._draft = {
+            tool,
+            color,
+            width: highlighter ? width * CONFIG.ANNOTATION_HIGHLIGHTER_SCALE : width,
+            opacity: highlighter ? CONFIG.ANNOTATION_HIGHLIGHTER_OPACITY : 1,
+            points: [point],
+            finishedAt: null
+        };
+    },
+    
+    /**
+     * Continue the shape being drawn
+     * @param {{x: number, y: number}} point - Canvas pixels
+     */
+    extend(point) {
+        const draft = this._draft;
+        if (!draft) return;
+        // Arrows and rectangles only need their two ends
+        draft.points = draft.tool === 'arrow' || draft.tool === 'rectangle' ? [draft.points[0], point] : [...draft.points, point];
+    },
+    
+    /**
+     * Finish the shape being drawn. Arrows and rectangles need a drag.
+     */
+    end() {
+        const draft = this._draft;
+        this._draft = null;
+        if (!draft || (draft.points.length < 2 && (draft.tool === 'arrow' || draft.tool === 'rectangle'))) return;
+        this._shapes.push({ ...draft, finishedAt: performance.now() });
+    },
+    
+    /**
+     * Place a text label
+     * @param {{x: number, y: number}} point - Top-left corner in canvas pixels
+     * @param {string} text - Label text
+     * @param {Object} style - {color, size} - size is the font size in canvas pixels
+     */
+    addText(point, text, { color, size }) {
+        const label = text.trim();
+        if (!label) return;
+        this._shapes.push({ tool: 'text', points: [point], color, width: 0, opacity: 1, text: label, size, finishedAt: performance.now() });
+    },
+    
+    /**
+     * Remove the shapes the eraser touches
+     * @param {{x: number, y: number}} point - Canvas pixels
+     * @param {number} radius - Eraser reach in canvas pixels
+     * @returns {boolean} - Whether anything was erased
+     */
+    erase(point, radius) {
+        const count = this._shapes.length;
+        this._shapes = this._shapes.filter(shape => !hitsAnnotation(shape, point, radius));
+        return this._shapes.length !== count;
+    },
+    
+    clear() {
+        this._shapes = [];
+        this._draft = null;
+    },
+    
+    /**
+     * Composite the annotations onto the recording canvas
+     * @param {CanvasRenderingContext2D} ctx - Canvas 2D context
+     */
+    draw(ctx) {
+        const now = performance.now();
+        const fadeAfter = this._fadeSeconds * 1000;
+        if (fadeAfter) {
+            this._shapes = this._shapes.filter(shape => now - shape.finishedAt < fadeAfter + CONFIG.ANNOTATION_FADE_DURATION);
+        }
+        if (this.isEmpty) return;
+        
+        ctx.save();
+        for (const shape of this._draft ? [...this._shapes, this._draft] : this._shapes) {
+            const age = shape.finishedAt === null ? 0 : now - shape.finishedAt;
+            const fade = fadeAfter && age > fadeAfter ? 1 - (age - fadeAfter) / CONFIG.ANNOTATION_FADE_DURATION : 1;
+            ctx.globalAlpha = shape.opacity * fade;
+            drawAnnotationShape(ctx, shape);
+        }
+        ctx.restore();
+    }
+};
+
+/**
+ * Whether the current recording goes through the compositor, so it can be annotated
+ * @returns {boolean}
+ */
+export function canAnnotate() {
+    return RecordingState.isRecording && !!RecordingState.recordingCanvas;
+}
+
+// ============================================
+// TEXT OVERLAYS
+// ============================================
+//
+// Title cards, lower thirds and captions shown live while recording. Like the
+// watermark they're drawn into the recording canvas every frame, sized
+// relative to the canvas so they read the same at any resolution.
+
+// Overlay kinds -> labels
+export const TEXT_OVERLAY_TYPES = {
+    'title': 'Title card',
+    'lower-third': 'Lower third',
+    'caption': 'Caption'
+};
+
+const TEXT_OVERLAY_FONT = "-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif";
+
+/**
+ * Break text into lines that fit a width. Explicit line breaks are kept.
+ * @param {CanvasRenderingContext2D} ctx - Context with the font already set
+ * @param {string} text - Text to wrap
+ * @param {number} maxWidth - Widest line in canvas pixels
+ * @returns {string[]}
+ */
+function wrapText(ctx, text, maxWidth) {
+    const lines = [];
+    for (const paragraph of text.split('\n')) {
+        let line = '';
+        for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+            const candidate = line ? `${line} ${word}` : word;
+            if (line && ctx.measureText(candidate).width > maxWidth) {
+                lines.push(line);
+                line = word;
+            } else {
+                line = candidate;
+            }
+        }
+        lines.push(line);
+    }
+    return lines;
+}
+
+/**
+ * Full-frame card with a centred title and subtitle
+ */
+function drawTitleCard(ctx, overlay, width, height, unit) {
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.72)';
+    ctx.fillRect(0, 0, width, height);
+    
+    const titleSize = unit * CONFIG.TEXT_OVERLAY_TITLE_SIZE;
+    const subtitleSize = titleSize * 0.5;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.font = `700 ${titleSize}px ${TEXT_OVERLAY_FONT}`;
+    const lines = wrapText(ctx, overlay.title, width * 0.8);
+    const lineHeight = titleSize * 1.2;
+    const gap = overlay.subtitle ? subtitleSize * 1.6 : 0;
+    let y = height / 2 - (lines.length * lineHeight + gap) / 2 + lineHeight / 2;
+    
+    ctx.fillStyle = '#FFFFFF';
+    for (const line of lines) {
+        ctx.fillText(line, width / 2, y);
+        y += lineHeight;
+    }
+    
+    // Accent rule between title and subtitle
+    ctx.fillStyle = overlay.color;
+    ctx.fillRect(width / 2 - titleSize, y - lineHeight / 2 + subtitleSize * 0.3, titleSize * 2, Math.max(2, unit * 0.005));
+    
+    if (overlay.subtitle) {
+        ctx.font = `400 ${subtitleSize}px ${TEXT_OVERLAY_FONT}`;
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+        ctx.fillText(overlay.subtitle, width / 2, y - lineHeight / 2 + gap, width * 0.8);
+    }
+}
+
+/**
+ * Name and role in a bar over the bottom-left corner
+ */
+function drawLowerThird(ctx, overlay, width, height, unit) {
+    const nameSize = unit * CONFIG.TEXT_OVERLAY_TEXT_SIZE;
+    const roleSize = nameSize * 0.7;
+    const padding = nameSize * 0.6;
+    const accent = Math.max(3, unit * 0.008);
+    const margin = unit * 0.06;
+    
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    ctx.font = `600 ${nameSize}px ${TEXT_OVERLAY_FONT}`;
+    const maxText = width - margin * 2 - accent - padding * 2;
+    let textWidth = Math.min(ctx.measureText(overlay.title).width, maxText);
+    if (overlay.subtitle) {
+        ctx.font = `400 ${roleSize}px ${TEXT_OVERLAY_FONT}`;
+        textWidth = Math.min(Math.max(textWidth, ctx.measureText(overlay.subtitle).width), maxText);
+    }
+    
+    const boxHeight = padding * 2 + nameSize + (overlay.subtitle ? roleSize * 1.3 : 0);
+    const x = margin;
+    const y = height - margin - boxHeight;
+    
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.72)';
+    ctx.fillRect(x, y, accent + padding * 2 + textWidth, boxHeight);
+    ctx.fillStyle = overlay.color;
+    ctx.fillRect(x, y, accent, boxHeight);
+    
+    ctx.font = `600 ${nameSize}px ${TEXT_OVERLAY_FONT}`;
+    ctx.fillStyle = '#FFFFFF';
+    ctx.fillText(overlay.title, x + accent + padding, y + padding, maxText);
+    if (overlay.subtitle) {
+        ctx.font = `400 ${roleSize}px ${TEXT_OVERLAY_FONT}`;
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+        ctx.fillText(overlay.subtitle, x + accent + padding, y + padding + nameSize * 1.15, maxText);
+    }
+}
+
+/**
+ * Wrapped text in a box centred near the bottom edge
+ */
+function drawCaption(ctx, overlay, width, height, unit) {
+    const size = unit * CONFIG.TEXT_OVERLAY_TEXT_SIZE;
+    const padding = size * 0.5;
+    const lineHeight = size * 1.25;
+    
+    ctx.font = `500 ${size}px ${TEXT_OVERLAY_FONT}`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    const lines = wrapText(ctx, overlay.title, width * 0.8);
+    const boxWidth = Math.max(...lines.map(line => ctx.measureText(line).width)) + padding * 2;
+    const boxHeight = lines.length * lineHeight + padding * 2;
+    const y = height - unit * 0.06 - boxHeight;
+    
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+    ctx.beginPath();
+    ctx.roundRect(width / 2 - boxWidth / 2, y, boxWidth, boxHeight, padding * 0.6);
+    ctx.fill();
+    
+    ctx.fillStyle = overlay.color;
+    lines.forEach((line, i) => ctx.fillText(line, width / 2, y + padding + lineHeight * (i + 0.5)));
+}
+
+const TEXT_OVERLAY_DRAWERS = {
+    'title': drawTitleCard,
+    'lower-third': drawLowerThird,
+    'caption': drawCaption
+};
+
+/**
+ * Overlays on the recording right now. One of each kind shows at a time;
+ * showing another of the same kind replaces it.
+ */
+export const TextOverlays = {
+    _shown: [],
+    
+    /**
+     * Whether an overlay is showing (and not fading out)
+     * @param {string} id - Overlay ID
+     * @returns {boolean}
+     */
+    isShown(id) {
+        return this._shown.some(entry => entry.overlay.id === id && entry.hiddenAt === null);
+    },
+    
+    /**
+     * Fade an overlay in
+     * @param {Object} overlay - {id, type, title, subtitle, color}
+     */
+    show(overlay) {
+        if (!TEXT_OVERLAY_DRAWERS[overlay.type] || !overlay.title?.trim()) return;
+        
+        const now = performance.now();
+        this._shown.forEach(entry => {
+            if (entry.overlay.type === overlay.type && entry.hiddenAt === null) entry.hiddenAt = now;
+        });
+        this._shown.push({ overlay: { ...overlay, title: overlay.title.trim(), subtitle: overlay.subtitle?.trim() || '' }, shownAt: now, hiddenAt: null });
+    },
+    
+    /**
+     * Fade an overlay out
+     * @param {string} id - Overlay ID
+     */
+    hide(id) {
+        const now = performance.now();
+        this._shown.forEach(entry => {
+            if (entry.overlay.id === id && entry.hiddenAt === null) entry.hiddenAt = now;
+        });
+    },
+    
+    /**
+     * Show an overlay, or hide it if it's already showing
+     * @param {Object} overlay - {id, type, title, subtitle, color}
+     * @returns {boolean} - Whether it is showing now
+     */
+    toggle(overlay) {
+        if (this.isShown(overlay.id)) {
+            this.hide(overlay.id);
+            return false;
+        }
+        this.show(overlay);
+        return this.isShown(overlay.id);
+    },
+    
+    clear() {
+        this._shown = [];
+    },
+    
+    /**
+     * Composite the overlays onto the recording canvas
+     * @param {CanvasRenderingContext2D} ctx - Canvas 2D context
+     * @param {number} width - Canvas width
+     * @param {number} height - Canvas height
+     */
+    draw(ctx, width, height) {
+        if (this._shown.length === 0) return;
+        
+        const now = performance.now();
+        const fade = CONFIG.TEXT_OVERLAY_FADE_DURATION;
+        this._shown = this._shown.filter(entry => entry.hiddenAt === null || now - entry.hiddenAt < fade);
+        
+        const unit = Math.min(width, height);
+        for (const { overlay, shownAt, hiddenAt } of this._shown) {
+            const fadeIn = Math.min((now - shownAt) / fade, 1);
+            const fadeOut = hiddenAt === null ? 1 : 1 - (now - hiddenAt) / fade;
+            ctx.save();
+            ctx.globalAlpha = Math.max(0, Math.min(fadeIn, fadeOut));
+            TEXT_OVERLAY_DRAWERS[overlay.type](ctx, overlay, width, height, unit);
+            ctx.restore();
+        }
+    }
+};
+
+/**
+ * Whether the current recording goes through the compositor, so overlays can be shown on it
+ * @returns {boolean}
+ */
+export function canShowTextOverlays() {
+    return RecordingState.isRecording && !!RecordingState.recordingCanvas;
+}
+
+// ============================================
+// CLEANUP
+// ============================================
+
+export function cleanupRecording() {
+    // Stop draft interval
+    if (RecordingState.draftInterval) {
+        clearInterval(RecordingState.draftInterval);
+        RecordingState.draftInterval = null;
+    }
+    
+    // Cancel animation frames
+    if (RecordingState.animationId) {
+        cancelAnimationFrame(RecordingState.animationId);
+        RecordingState.animationId = null;
+    }
+    
+    // Stop media recorder without triggering a save - stored chunks stay in the session for recovery
+    if (RecordingState.mediaRecorder && RecordingState.mediaRecorder.state !== 'inactive') {
+        try {
+            RecordingState.mediaRecorder.onstop = null;
+            RecordingState.mediaRecorder.stop();
+        } catch (e) {
+            // Ignore
+        }
+    }
+    
+    // Stop all media streams
+    [RecordingState.mediaStream, RecordingState.screenStream, RecordingState.cameraStream, RecordingState.micStream].forEach(stream => {
+        if (stream) {
+            stream.getTracks().forEach(track => {
+                try {
+                    track.stop();
+                } catch (e) {
+                    // Ignore
+                }
+            });
+        }
+    });
+    
+    // Close audio contexts
+    AudioContextManager.closeAll();
+    RecordingState.audioContext = null;
+    
+    // Revoke all object URLs
+    URLManager.revokeAll();
+    
+    // Clean up video elements
+    [RecordingState.screenVideo, RecordingState.cameraVideo].forEach(video => {
+        if (video) {
+            video.pause();
+            video.srcObject = null;
+        }
+    });
+    
+    // Remove preview canvas
+    if (RecordingState.previewCanvas) {
+        RecordingState.previewCanvas.remove();
+        RecordingState.previewCanvas = null;
+    }
+    
+    // Stop performance monitoring
+    PerformanceMonitor.stop();
+    
+    // Reset state
+    RecordingState.reset();
+}
+
+// ============================================
+// QUALITY SETTINGS
+// ============================================
+
+// MediaRecorder MIME types per codec, most specific first
+const CODEC_MIME_TYPES = {
+    vp9: ['video/webm;codecs=vp9,opus', 'video/webm;codecs=vp9'],
+    vp8: ['video/webm;codecs=vp8,opus', 'video/webm;codecs=vp8'],
+    h264: ['video/mp4;codecs=avc1,mp4a.40.2', 'video/mp4;codecs=avc1', 'video/webm;codecs=h264', 'video/mp4']
+};
+
+/**
+ * Resolve quality settings from a recording config
+ * @param {Object} config - Recording config (see AppConfig)
+ * @returns {{width: number, height: number, fps: number, bitrate: number, codec: string}}
+ */
+export function getQualitySettings(config = {}) {
+    const preset = CONFIG.QUALITY_PRESETS[config.qualityPreset];
+    const resolutionLabel = preset ? preset.resolution : config.qualityResolution;
+    const resolution = CONFIG.RESOLUTION_OPTIONS.find(option => option.label === resolutionLabel)
+        || { width: CONFIG.DEFAULT_VIDEO_WIDTH, height: CONFIG.DEFAULT_VIDEO_HEIGHT };
+    
+    return {
+        width: resolution.width,
+        height: resolution.height,
+        fps: (preset ? preset.fps : config.qualityFps) || CONFIG.RECORDING_FPS,
+        bitrate: (preset ? preset.bitrate : config.qualityBitrate) || CONFIG.QUALITY_PRESETS.balanced.bitrate,
+        codec: config.qualityCodec || 'auto'
+    };
+}
+
+/**
+ * Check whether MediaRecorder can encode a codec in this browser
+ * @param {string} codec - Key of CODEC_MIME_TYPES
+ * @returns {boolean}
+ */
+export function isCodecSupported(codec) {
+    return typeof MediaRecorder !== 'undefined'
+        && (CODEC_MIME_TYPES[codec] || []).some(type => MediaRecorder.isTypeSupported(type));
+}
+
+/**
+ * Pick the MediaRecorder MIME type for a codec choice.
+ * 'auto' (or an unsupported codec) walks CONFIG.CODEC_PREFERENCES.
+ * @param {string} codec - 'auto' or a key of CODEC_MIME_TYPES
+ * @returns {string}
+ */
+export function getRecorderMimeType(codec = 'auto') {
+    const order = codec !== 'auto' && CODEC_MIME_TYPES[codec]
+        ? [codec, ...CONFIG.CODEC_PREFERENCES.filter(c => c !== codec)]
+        : CONFIG.CODEC_PREFERENCES;
+    const candidates = [...order.flatMap(c => CODEC_MIME_TYPES[c] || []), 'video/webm', 'video/mp4'];
+    
+    return candidates.find(type => MediaRecorder.isTypeSupported(type)) || CONFIG.VIDEO_MIME_TYPE;
+}
+
+/**
+ * Video constraints for getDisplayMedia at the chosen quality
+ * @param {Object} config - Recording config
+ * @returns {MediaTrackConstraints}
+ */
+export function getDisplayVideoConstraints(config = {}) {
+    const quality = getQualitySettings(config);
+    return {
+        width: { ideal: quality.width },
+        height: { ideal: quality.height },
+        frameRate: { ideal: quality.fps }
+    };
+}
+
+/**
+ * Size the compositor canvas: keep the source aspect, fit within the chosen
+ * resolution and never upscale. Dimensions are even for the encoder.
+ * @param {number} sourceWidth - Source video width
+ * @param {number} sourceHeight - Source video height
+ * @param {Object} quality - From getQualitySettings()
+ * @returns {{width: number, height: number}}
+ */
+export function getCanvasSize(sourceWidth, sourceHeight, quality) {
+    const width = sourceWidth || quality.width;
+    const height = sourceHeight || quality.height;
+    // Compare against the target in the source's orientation (portrait cameras/windows)
+    const [maxWidth, maxHeight] = width >= height ? [quality.width, quality.height] : [quality.height, quality.width];
+    const scale = Math.min(maxWidth / width, maxHeight / height, 1);
+    
+    return {
+        width: Math.round(width * scale / 2) * 2,
+        height: Math.round(height * scale / 2) * 2
+    };
+}
+
+/**
+ * Estimate recording size per minute
+ * @param {number} videoBitrate - Video bits per second
+ * @param {boolean} withAudio - Whether an audio track is recorded
+ * @returns {number} - Megabytes per minute
+ */
+export function estimateMegabytesPerMinute(videoBitrate, withAudio = true) {
+    const bitsPerSecond = videoBitrate + (withAudio ? CONFIG.AUDIO_BITRATE : 0);
+    return (bitsPerSecond * 60) / 8 / (1024 * 1024);
+}
+
+// ============================================
+// AUDIO MIXER
+// ============================================
+
+// Mixer channels, keyed like the config sources they come from
+export const AUDIO_CHANNELS = {
+    mic: 'Microphone',
+    systemAudio: 'System audio'
+};
+
+// AudioWorklet module for the mic noise gate
+const NOISE_GATE_MODULE_URL = new URL('./noise-gate-processor.js', import.meta.url);
+
+/**
+ * Browser-side mic processing to request with getUserMedia
+ * @param {Object} config - Recording config
+ * @returns {MediaTrackConstraints}
+ */
+export function getMicConstraints(config = {}) {
+    return {
+        noiseSuppression: config.micNoiseSuppression ?? true,
+        echoCancellation: config.micEchoCancellation ?? true,
+        autoGainControl: config.micAutoGainControl ?? true,
+        ...getDeviceConstraint(config.micDeviceId)
+    };
+}
+
+/**
+ * Web Audio processing for the mic channel
+ * @param {Object} config - Recording config
+ * @returns {{gate: Object, compressor: Object}}
+ */
+export function getMicProcessing(config = {}) {
+    return {
+        gate: {
+            enabled: Boolean(config.micNoiseGate),
+            threshold: Math.min(Math.max(config.micGateThreshold ?? -50, -100), 0)
+        },
+        compressor: {
+            enabled: Boolean(config.micCompressor),
+            threshold: Math.min(Math.max(config.micCompressorThreshold ?? -24, -100), 0),
+            ratio: Math.min(Math.max(config.micCompressorRatio ?? 4, 1), 20)
+        }
+    };
+}
+
+/**
+ * Create the processing nodes for a channel, in signal order
+ * @param {AudioContext} ctx - Audio context
+ * @param {Object} processing - From getMicProcessing()
+ * @returns {Promise<AudioNode[]>}
+ */
+async function createProcessingNodes(ctx, processing) {
+    const nodes = [];
+    
+    if (processing?.gate.enabled) {
+        try {
+            await ctx.audioWorklet.addModule(NOISE_GATE_MODULE_URL);
+            nodes.push(new AudioWorkletNode(ctx, 'noise-gate', {
+                parameterData: {
+                    threshold: processing.gate.threshold,
+                    attack: CONFIG.MIC_GATE_ATTACK,
+                    hold: CONFIG.MIC_GATE_HOLD,
+                    release: CONFIG.MIC_GATE_RELEASE
+                }
+            }));
+        } catch (err) {
+            // AudioWorklet missing (older Safari) - record without the gate
+            console.warn('[Recording] Noise gate unavailable:', err);
+        }
+    }
+    
+    if (processing?.compressor.enabled) {
+        const compressor = ctx.createDynamicsCompressor();
+        compressor.threshold.value = processing.compressor.threshold;
+        compressor.ratio.value = processing.compressor.ratio;
+        compressor.knee.value = CONFIG.MIC_COMPRESSOR_KNEE;
+        compressor.attack.value = CONFIG.MIC_COMPRESSOR_ATTACK;
+        compressor.release.value = CONFIG.MIC_COMPRESSOR_RELEASE;
+        nodes.push(compressor);
+    }
+    
+    return nodes;
+}
+
+/**
+ * Read an analyser's current RMS and peak on the meter scale
+ * (0 at CONFIG.AUDIO_METER_FLOOR_DB, 1 at full scale)
+ * @param {AnalyserNode} analyser - Analyser to read
+ * @param {Float32Array} samples - Buffer of analyser.fftSize samples
+ * @returns {{level: number, peak: number, clipped: boolean}}
+ */
+export function measureAnalyser(analyser, samples) {
+    analyser.getFloatTimeDomainData(samples);
+    let sum = 0;
+    let peak = 0;
+    for (const sample of samples) {
+        sum += sample * sample;
+        peak = Math.max(peak, Math.abs(sample));
+    }
+    
+    const toMeter = (amplitude) => amplitude > 0
+        ? Math.min(Math.max(1 - 20 * Math.log10(amplitude) / CONFIG.AUDIO_METER_FLOOR_DB, 0), 1)
+        : 0;
+    return {
+        level: toMeter(Math.sqrt(sum / samples.length)),
+        peak: toMeter(peak),
+        clipped: peak >= CONFIG.AUDIO_CLIP_THRESHOLD
+    };
+}
+
+/**
+ * Web Audio graph that mixes the recorded audio sources.
+ * Each channel is source -> [gate -> compressor] -> gain -> analyser -> shared destination,
+ * so meters show the level after processing and gain (what actually gets recorded).
+ */
+export const AudioMixer = {
+    _channels: {},
+    
+    /**
+     * Build the mix for a recording
+     * @param {AudioContext} ctx - Context from AudioContextManager
+     * @param {Object} inputs - MediaStreams keyed by AUDIO_CHANNELS key
+     * @param {Object} volumes - Starting volume per channel, in percent
+     * @param {Object} processing - Processing per channel (see getMicProcessing)
+     * @returns {Promise<MediaStreamTrack>} - Mixed output track
+     */
+    async build(ctx, inputs, volumes = {}, processing = {}) {
+        this.reset();
+        const destination = ctx.createMediaStreamDestination();
+        
+        for (const [key, stream] of Object.entries(inputs)) {
+            const source = ctx.createMediaStreamSource(stream);
+            const gain = ctx.createGain();
+            const analyser = ctx.createAnalyser();
+            analyser.fftSize = 1024;
+            
+            const nodes = [source, ...await createProcessingNodes(ctx, processing[key]), gain, analyser];
+            nodes.reduce((from, to) => from.connect(to));
+            analyser.connect(destination);
+            
+            this._channels[key] = {
+                nodes,
+                gain,
+                analyser,
+                samples: new Float32Array(analyser.fftSize),
+                volume: 100,
+                muted: false,
+                clippedAt: 0
+            };
+            this.setVolume(key, volumes[key] ?? 100);
+        }
+        
+        // Contexts created after an await can start suspended
+        if (ctx.state === 'suspended') ctx.resume().catch(() => {});
+        
+        return destination.stream.getAudioTracks()[0];
+    },
+    
+    /**
+     * Keys of the channels in the current mix
+     * @returns {string[]}
+     */
+    get channels() { return Object.keys(this._channels); },
+    
+    getVolume(key) { return this._channels[key]?.volume ?? 100; },
+    
+    /**
+     * Set a channel's volume
+     * @param {string} key - Channel key
+     * @param {number} percent - 0 to CONFIG.AUDIO_MAX_VOLUME
+     */
+    setVolume(key, percent) {
+        const channel = this._channels[key];
+        if (!channel) return;
+        channel.volume = Math.min(Math.max(Number(percent) || 0, 0), CONFIG.AUDIO_MAX_VOLUME);
+        this._applyGain(channel);
+    },
+    
+    isMuted(key) { return Boolean(this._channels[key]?.muted); },
+    
+    setMuted(key, muted) {
+        const channel = this._channels[key];
+        if (!channel) return;
+        channel.muted = Boolean(muted);
+        this._applyGain(channel);
+    },
+    
+    toggleMuted(key) {
+        this.setMuted(key, !this.isMuted(key));
+        return this.isMuted(key);
+    },
+    
+    /**
+     * Feed a channel from a new stream, keeping its processing, volume and mute
+     * @param {string} key - Channel key
+     * @param {MediaStream} stream - Replacement input
+     * @returns {boolean} - False if the channel isn't in the mix
+     */
+    replaceSource(key, stream) {
+        const channel = this._channels[key];
+        if (!channel) return false;
+        
+        const [oldSource, next] = channel.nodes;
+        const source = oldSource.context.createMediaStreamSource(stream);
+        source.connect(next);
+        try {
+            oldSource.disconnect();
+        } catch (e) {
+            // Ignore - already disconnected
+        }
+        channel.nodes[0] = source;
+        return true;
+    },
+    
+    _applyGain(channel) {
+        const value = channel.muted ? 0 : channel.volume / 100;
+        // Short ramp avoids clicks when dragging the slider
+        channel.gain.gain.setTargetAtTime(value, channel.gain.context.currentTime, 0.015);
+    },
+    
+    /**
+     * Current level of a channel
+     * @param {string} key - Channel key
+     * @returns {{level: number, peak: number, clipping: boolean}|null} - level (RMS) and peak are 0..1 on a dB scale
+     */
+    getLevel(key) {
+        const channel = this._channels[key];
+        if (!channel) return null;
+        
+        const { level, peak, clipped } = measureAnalyser(channel.analyser, channel.samples);
+        const now = performance.now();
+        if (clipped) channel.clippedAt = now;
+        
+        return {
+            level,
+            peak,
+            clipping: channel.clippedAt > 0 && now - channel.clippedAt < CONFIG.AUDIO_CLIP_HOLD
+        };
+    },
+    
+    reset() {
+        Object.values(this._channels).forEach(channel => {
+            channel.nodes.forEach(node => {
+                try {
+                    node.disconnect();
+                } catch (e) {
+                    // Ignore - the context may already be closed
+                }
+            });
+        });
+        this._channels = {};
+    }
+};
+
+// ============================================
+// STREAM SETUP
+// ============================================
+
+/**
+ * Constraint for a remembered device. 'ideal' falls back to the default
+ * device when the remembered one has been unplugged.
+ * @param {string} deviceId - Saved deviceId ('' for the browser default)
+ * @returns {MediaTrackConstraints}
+ */
+function getDeviceConstraint(deviceId) {
+    return deviceId ? { deviceId: { ideal: deviceId } } : {};
+}
+
+/**
+ * Camera constraints for the chosen device and quality
+ * @param {Object} config - Recording config
+ * @returns {MediaTrackConstraints}
+ */
+export function getCameraConstraints(config = {}) {
+    return {
+        width: { ideal: CONFIG.CAMERA_WIDTH },
+        height: { ideal: CONFIG.CAMERA_HEIGHT },
+        frameRate: { ideal: getQualitySettings(config).fps },
+        ...getDeviceConstraint(config.cameraDeviceId)
+    };
+}
+
+export async function getMediaStream(config, showToast = null) {
+    const streams = [];
+    let audioStream = null;
+    let mixedAudioTrack = null;
+    
+    if (config.screen) {
+        try {
+            // Check if we have a pre-acquired screen stream (Safari, or armed for a scheduled recording)
+            if (window._safariScreenStream) {
+                RecordingState.screenStream = window._safariScreenStream;
+                window._safariScreenStream = null; // Clear the stored stream
+            } else {
+                RecordingState.screenStream = await PermissionManager.requestScreenShare({
+                    video: getDisplayVideoConstraints(config),
+                    audio: config.systemAudio,
+                    cursor: config.screenCursor
+                }, showToast);
+            }
+            
+            if (RecordingState.screenStream) {
+                
+                const videoTrack = RecordingState.screenStream.getVideoTracks()[0];
+                const settings = videoTrack.getSettings();
+                watchScreenTrack(videoTrack, showToast);
+                
+                if (settings.displaySurface === 'browser' || settings.displaySurface === 'window') {
+                    // CaptureController is only supported in Chrome/Edge, not Safari
+                    if (window.CaptureController) {
+                        const controller = new CaptureController();
+                        controller.setFocusBehavior('no-focus-change');
+                    }
+                }
+                
+                streams.push(RecordingState.screenStream);
+            } else {
+                console.error('[Recording] Screen stream is null');
+            }
+        } catch (err) {
+            console.error('[Recording] Screen share error:', err);
+            if (err.name === 'NotAllowedError') {
+                ErrorHandler.handlePermissionDenied('screen', showToast);
+            } else {
+                ErrorHandler.handle(err, `Screen share failed: ${err.message}`, showToast);
+            }
+            return null;
+        }
+    }
+    
+    if (config.camera) {
+        try {
+            RecordingState.cameraStream = await PermissionManager.requestCamera({
+                video: getCameraConstraints(config)
+            }, showToast);
+            if (RecordingState.cameraStream) {
+                watchDeviceTrack(RecordingState.cameraStream.getVideoTracks()[0], 'camera', showToast);
+                streams.push(RecordingState.cameraStream);
+            } else {
+                console.error('[Recording] Camera stream is null');
+            }
+        } catch (err) {
+            console.error('[Recording] Camera access error:', err);
+            if (err.name === 'NotAllowedError') {
+                ErrorHandler.handlePermissionDenied('camera', showToast);
+            } else {
+                ErrorHandler.handle(err, `Camera access failed: ${err.message}`, showToast);
+            }
+            return null;
+        }
+    }
+    
+    if (config.mic) {
+        try {
+            RecordingState.micStream = await PermissionManager.requestMicrophone({
+                audio: getMicConstraints(config)
+            }, showToast);
+            watchDeviceTrack(RecordingState.micStream?.getAudioTracks()[0], 'mic', showToast);
+            if (streams.length === 0) streams.push(new MediaStream());
+        } catch (err) {
+            if (err.name === 'NotAllowedError') {
+                ErrorHandler.handlePermissionDenied('microphone', showToast);
+            } else {
+                ErrorHandler.handle(err, `Microphone access failed: ${err.message}`, showToast);
+            }
+            return null;
+        }
     }
     
     audioStream = RecordingState.micStream;
     
-    if (streams.length === 0) return null;
+    if (streams.length === 0) return null;
+    
+    // Route audio through the mixer for per-source volume, mute and level meters
+    const mixerInputs = {};
+    if (config.mic && audioStream?.getAudioTracks().length > 0) {
+        mixerInputs.mic = audioStream;
+    }
+    const systemAudioTracks = RecordingState.screenStream?.getAudioTracks() || [];
+    if (config.systemAudio && systemAudioTracks.length > 0) {
+        mixerInputs.systemAudio = new MediaStream(systemAudioTracks);
+    }
+    
+    if (Object.keys(mixerInputs).length > 0) {
+        try {
+            RecordingState.audioContext = AudioContextManager.create();
+            if (RecordingState.audioContext) {
+                mixedAudioTrack = await AudioMixer.build(RecordingState.audioContext, mixerInputs, {
+                    mic: config.micVolume,
+                    systemAudio: config.systemAudioVolume
+                }, {
+                    mic: getMicProcessing(config)
+                });
+            }
+        } catch (err) {
+            console.warn('Audio mixing failed:', err);
+            AudioMixer.reset();
+            mixedAudioTrack = null;
+        }
+    }
+    
+    // Combine streams - ensure screen is primary (first video track) and camera is overlay
+    const combined = new MediaStream();
+    
+    // Get all video and audio tracks separately to control order
+    const screenVideoTracks = RecordingState.screenStream?.getVideoTracks() || [];
+    const cameraVideoTracks = RecordingState.cameraStream?.getVideoTracks() || [];
+    const audioTracks = [];
+    
+    // Collect all audio tracks from all streams
+    streams.forEach(s => {
+        s.getAudioTracks().forEach(track => audioTracks.push(track));
+    });
+    if (audioStream) {
+        audioStream.getAudioTracks().forEach(track => audioTracks.push(track));
+    }
+    
+    // Add screen video tracks FIRST (primary)
+    screenVideoTracks.forEach(track => combined.addTrack(track));
+    
+    // Add camera video tracks SECOND (overlay)
+    cameraVideoTracks.forEach(track => combined.addTrack(track));
+    
+    // Add audio - the mix when Web Audio is available, otherwise the raw tracks
+    if (mixedAudioTrack) {
+        combined.addTrack(mixedAudioTrack);
+    } else {
+        audioTracks.forEach(track => combined.addTrack(track));
+    }
+    
+    return combined;
+}
+
+// ============================================
+// DEVICE HOT-SWAP
+// ============================================
+
+// The compositor draws RecordingState.cameraVideo and the mic feeds the audio graph,
+// so both can change source while the MediaRecorder keeps its original tracks.
+
+/**
+ * Check if the camera can be replaced without restarting
+ * (not when the camera track goes to the recorder directly)
+ * @returns {boolean}
+ */
+export function canSwitchCamera() {
+    return RecordingState.isRecording && Boolean(RecordingState.cameraVideo && RecordingState.cameraStream);
+}
+
+/**
+ * Check if the mic can be replaced without restarting (needs the Web Audio mix)
+ * @returns {boolean}
+ */
+export function canSwitchMicrophone() {
+    return RecordingState.isRecording && AudioMixer.channels.includes('mic');
+}
+
+/**
+ * The live camera or mic track of the current recording
+ * @param {string} kind - 'camera' or 'mic'
+ * @returns {MediaStreamTrack|null}
+ */
+function getDeviceTrack(kind) {
+    return (kind === 'camera'
+        ? RecordingState.cameraStream?.getVideoTracks()[0]
+        : RecordingState.micStream?.getAudioTracks()[0]) || null;
+}
+
+/**
+ * deviceId the recording is currently using for a source
+ * @param {string} kind - 'camera' or 'mic'
+ * @returns {string} - '' if the source isn't live
+ */
+export function getActiveDeviceId(kind) {
+    const track = getDeviceTrack(kind);
+    return track?.readyState === 'live' ? track.getSettings().deviceId || '' : '';
+}
+
+/**
+ * Switch to the default device when a camera or mic is unplugged (or taken by another app)
+ * mid-recording, so the recording keeps going
+ * @param {MediaStreamTrack} track - Camera or mic track
+ * @param {string} kind - 'camera' or 'mic'
+ * @param {Function} showToast - Toast notification function
+ */
+function watchDeviceTrack(track, kind, showToast = null) {
+    if (!track) return;
+    
+    track.addEventListener('ended', async () => {
+        // Ignore tracks already replaced, and the recording ending
+        if (!RecordingState.isRecording || RecordingState.isStopping || getDeviceTrack(kind) !== track) return;
+        
+        const noun = kind === 'camera' ? 'Camera' : 'Microphone';
+        const switched = kind === 'camera'
+            ? await switchCamera('', showToast)
+            : await switchMicrophone('', showToast);
+        if (!showToast) return;
+        
+        if (switched) {
+            const label = getDeviceTrack(kind)?.label;
+            showToast(`${noun} disconnected - switched to ${label || `the default ${noun.toLowerCase()}`}`, 'warning');
+        } else {
+            showToast(`${noun} disconnected - recording continues without it`, 'warning');
+        }
+    });
+}
+
+/**
+ * Replace the camera mid-recording. Only the compositor's video source changes.
+ * @param {string} deviceId - Camera to use ('' for the default)
+ * @param {Function} showToast - Toast notification function
+ * @returns {Promise<boolean>} - True if switched
+ */
+export async function switchCamera(deviceId, showToast = null) {
+    if (!canSwitchCamera()) return false;
+    
+    let stream;
+    try {
+        stream = await PermissionManager.requestCamera({
+            video: getCameraConstraints({ ...RecordingState.config, cameraDeviceId: deviceId })
+        }, showToast);
+    } catch (err) {
+        ErrorHandler.handle(err, `Could not switch camera: ${err.message}`, showToast);
+        return false;
+    }
+    
+    // Recording may have stopped while the camera was opening
+    if (!canSwitchCamera()) {
+        stream.getTracks().forEach(track => track.stop());
+        return false;
+    }
+    
+    const [track] = stream.getVideoTracks();
+    const video = RecordingState.cameraVideo;
+    const oldStreams = [RecordingState.cameraStream, video.srcObject];
+    
+    RecordingState.cameraStream.getVideoTracks().forEach(old => RecordingState.mediaStream?.removeTrack(old));
+    RecordingState.mediaStream?.addTrack(track);
+    RecordingState.cameraStream = stream;
+    video.srcObject = new MediaStream([track]);
+    video.play().catch(console.error);
+    watchDeviceTrack(track, 'camera', showToast);
+    
+    oldStreams.forEach(old => old?.getTracks().forEach(t => t.stop()));
+    
+    // The PiP window may be showing the old camera
+    const ui = await import('./ui.js');
+    ui.refreshPipCamera();
+    return true;
+}
+
+/**
+ * Replace the mic mid-recording. The new input feeds the same mixer channel,
+ * so processing, volume and mute carry over.
+ * @param {string} deviceId - Microphone to use ('' for the default)
+ * @param {Function} showToast - Toast notification function
+ * @returns {Promise<boolean>} - True if switched
+ */
+export async function switchMicrophone(deviceId, showToast = null) {
+    if (!canSwitchMicrophone()) return false;
+    
+    let stream;
+    try {
+        stream = await PermissionManager.requestMicrophone({
+            audio: getMicConstraints({ ...RecordingState.config, micDeviceId: deviceId })
+        }, showToast);
+    } catch (err) {
+        ErrorHandler.handle(err, `Could not switch microphone: ${err.message}`, showToast);
+        return false;
+    }
+    
+    if (!canSwitchMicrophone() || !AudioMixer.replaceSource('mic', stream)) {
+        stream.getTracks().forEach(track => track.stop());
+        return false;
+    }
+    
+    const oldStream = RecordingState.micStream;
+    RecordingState.micStream = stream;
+    watchDeviceTrack(stream.getAudioTracks()[0], 'mic', showToast);
+    oldStream?.getTracks().forEach(track => track.stop());
+    return true;
+}
+
+/**
+ * Move back to the chosen devices when they are plugged in again mid-recording
+ * @param {Object} preferences - Config with cameraDeviceId and micDeviceId
+ * @param {Function} showToast - Toast notification function
+ * @returns {Promise<void>}
+ */
+export async function restorePreferredDevices(preferences, showToast = null) {
+    const sources = [
+        ['camera', preferences.cameraDeviceId, 'videoinput', canSwitchCamera, switchCamera],
+        ['mic', preferences.micDeviceId, 'audioinput', canSwitchMicrophone, switchMicrophone]
+    ];
+    
+    for (const [kind, deviceId, deviceKind, canSwitch, switchDevice] of sources) {
+        if (!deviceId || !canSwitch() || getActiveDeviceId(kind) === deviceId) continue;
+        
+        const devices = await PermissionManager.listDevices(deviceKind);
+        const device = devices.find(d => d.deviceId === deviceId);
+        if (device && await switchDevice(deviceId, showToast) && showToast) {
+            showToast(`Switched back to ${device.label || (kind === 'camera' ? 'your camera' : 'your microphone')}`, 'info');
+        }
+    }
+}
+
+// ============================================
+// SCREEN SHARE ENDED
+// ============================================
+
+// What to do when the user stops sharing (browser "Stop sharing" bar) mid-recording
+export const SCREEN_ENDED_ACTIONS = {
+    'pause': 'Pause and ask to share again',
+    'stop': 'Stop and save the recording',
+    'camera': 'Continue with the camera only'
+};
+
+/**
+ * Whether a new screen share can replace the current one. The compositor draws
+ * RecordingState.screenVideo, so only its source changes and the recording continues.
+ * @returns {boolean}
+ */
+export function canReshareScreen() {
+    return RecordingState.isRecording && !!RecordingState.screenVideo && !!RecordingState.recordingCanvas;
+}
+
+/**
+ * React to the screen track ending according to config.screenEndedAction
+ * @param {MediaStreamTrack} track - Screen video track
+ * @param {Function} showToast - Toast notification function
+ */
+function watchScreenTrack(track, showToast = null) {
+    if (!track) return;
+    
+    track.addEventListener('ended', async () => {
+        // Ignore replaced tracks and the recording ending
+        if (!RecordingState.isRecording || RecordingState.isStopping || RecordingState.screenStream?.getVideoTracks()[0] !== track) return;
+        
+        let action = RecordingState.config?.screenEndedAction || 'pause';
+        if (!canReshareScreen()) {
+            // The screen track is going straight to the recorder - nothing to splice into
+            action = 'stop';
+        } else if (action === 'camera' && !canSwitchSceneLayout()) {
+            action = 'pause';
+        }
+        
+        if (action === 'stop') {
+            if (showToast) showToast('Screen sharing stopped - saving your recording', 'info');
+            await stopRecording(showToast);
+            return;
+        }
+        
+        const ui = await import('./ui.js');
+        RecordingState.screenEnded = { pausedRecording: false, layout: RecordingState.sceneLayout };
+        
+        if (action === 'camera') {
+            setSceneLayout('camera');
+        } else if (!RecordingState.isPaused && togglePause() === true) {
+            RecordingState.screenEnded.pausedRecording = true;
+            ui.syncPauseControls(true);
+        }
+        ui.showScreenEndedPrompt(action);
+    });
+}
+
+/**
+ * Carry on after the screen was lost: restore the layout and resume if the policy paused
+ */
+async function finishScreenEnded() {
+    const state = RecordingState.screenEnded;
+    RecordingState.screenEnded = null;
+    if (!state) return;
+    
+    if (RecordingState.sceneLayout !== state.layout && canSwitchSceneLayout()) {
+        setSceneLayout(state.layout);
+    }
+    if (state.pausedRecording && RecordingState.isPaused && togglePause() === false) {
+        const ui = await import('./ui.js');
+        ui.syncPauseControls(false);
+    }
+}
+
+/**
+ * Ask for a new screen share and splice it into the current recording.
+ * Must be called from a user gesture.
+ * @param {Function} showToast - Toast notification function
+ * @returns {Promise<boolean>} - True if the new share is being recorded
+ */
+export async function reshareScreen(showToast = null) {
+    if (!canReshareScreen()) return false;
+    
+    const config = RecordingState.config || {};
+    let stream;
+    try {
+        stream = await PermissionManager.requestScreenShare({
+            video: getDisplayVideoConstraints(config),
+            audio: config.systemAudio,
+            cursor: config.screenCursor
+        }, null);
+    } catch (err) {
+        if (err.name === 'NotAllowedError') {
+            if (showToast) showToast('Screen sharing was cancelled', 'info');
+        } else {
+            ErrorHandler.handle(err, `Screen share failed: ${err.message}`, showToast);
+        }
+        return false;
+    }
+    
+    if (!canReshareScreen()) {
+        stream.getTracks().forEach(track => track.stop());
+        return false;
+    }
+    
+    const [track] = stream.getVideoTracks();
+    const video = RecordingState.screenVideo;
+    const oldStreams = [RecordingState.screenStream, video.srcObject];
+    
+    // A region belongs to the old surface
+    await clearRegionCrop(video.srcObject?.getVideoTracks()[0]);
+    RecordingState.screenRegion = null;
+    
+    RecordingState.screenStream?.getVideoTracks().forEach(old => RecordingState.mediaStream?.removeTrack(old));
+    RecordingState.mediaStream?.addTrack(track);
+    RecordingState.screenStream = stream;
+    video.srcObject = new MediaStream([track]);
+    video.play().catch(console.error);
+    watchScreenTrack(track, showToast);
+    CursorTracker.start(track, config);
+    ScreenZoom.reset();
+    
+    const systemAudioTracks = stream.getAudioTracks();
+    if (systemAudioTracks.length > 0) {
+        AudioMixer.replaceSource('systemAudio', new MediaStream(systemAudioTracks));
+    }
+    
+    oldStreams.forEach(old => old?.getTracks().forEach(t => t.stop()));
+    await finishScreenEnded();
+    return true;
+}
+
+/**
+ * Keep recording without the screen (camera fullscreen) after sharing stopped
+ * @returns {Promise<boolean>} - Whether the recording continues camera-only
+ */
+export async function continueWithoutScreen() {
+    if (!RecordingState.screenEnded || !setSceneLayout('camera')) return false;
+    
+    // Stay on the camera when resuming
+    RecordingState.screenEnded.layout = 'camera';
+    await finishScreenEnded();
+    return true;
+}
+
+// ============================================
+// COUNTDOWN
+// ============================================
+
+/**
+ * Play one countdown tick through the speakers. Ticks end a second before the
+ * recorder starts, so they don't bleed into the recording.
+ * @param {AudioContext} ctx - Audio context for the countdown
+ * @param {boolean} isLast - Higher tone for the last second
+ */
+function playCountdownBeep(ctx, isLast) {
+    const oscillator = ctx.createOscillator();
+    const gain = ctx.createGain();
+    const end = ctx.currentTime + CONFIG.COUNTDOWN_BEEP_DURATION;
+    
+    oscillator.frequency.value = isLast ? CONFIG.COUNTDOWN_FINAL_BEEP_FREQUENCY : CONFIG.COUNTDOWN_BEEP_FREQUENCY;
+    gain.gain.setValueAtTime(0.2, ctx.currentTime);
+    gain.gain.exponentialRampToValueAtTime(0.001, end);
+    oscillator.connect(gain).connect(ctx.destination);
+    oscillator.start();
+    oscillator.stop(end);
+}
+
+// The running countdown, if any - one at a time
+export const Countdown = {
+    _cancel: null,
+    
+    get isActive() { return this._cancel !== null; },
+    
+    /**
+     * Count down one second at a time
+     * @param {number} seconds - Length of the countdown
+     * @param {Object} options - {beep: play a tick each second, onTick: called with the seconds left}
+     * @returns {Promise<boolean>} - True when it reaches zero, false if cancelled
+     */
+    run(seconds, { beep = false, onTick = null } = {}) {
+        this.cancel();
+        
+        return new Promise((resolve) => {
+            const ctx = beep ? AudioContextManager.create() : null;
+            let remaining = seconds;
+            let timer = null;
+            
+            const finish = (completed) => {
+                clearTimeout(timer);
+                if (ctx) AudioContextManager.close(ctx);
+                this._cancel = null;
+                resolve(completed);
+            };
+            
+            const tick = () => {
+                if (remaining <= 0) {
+                    finish(true);
+                    return;
+                }
+                if (onTick) onTick(remaining);
+                if (ctx) playCountdownBeep(ctx, remaining === 1);
+                remaining--;
+                timer = setTimeout(tick, 1000);
+            };
+            
+            this._cancel = () => finish(false);
+            tick();
+        });
+    },
+    
+    /**
+     * Stop the running countdown - its run() resolves false
+     */
+    cancel() {
+        if (this._cancel) this._cancel();
+    }
+};
+
+// ============================================
+// MULTI-TAKE SESSIONS
+// ============================================
+//
+// With config.recordInTakes, ending a take stops only the MediaRecorder: the
+// streams and compositor keep running, so every take comes from the same
+// canvas at the same resolution and codec. Each take is its own chunk-store
+// session (recoverable on its own after a crash) until stopRecording() joins
+// them into one library recording.
+
+/**
+ * Whether the current recording is a multi-take session
+ * @returns {boolean}
+ */
+export function isTakesSession() {
+    return RecordingState.isRecording && !!RecordingState.config?.recordInTakes;
+}
+
+/**
+ * Number for the next take - takes keep their number when reordered
+ * @returns {number}
+ */
+export function getNextTakeNumber() {
+    return Math.max(0, ...RecordingState.takes.map(take => take.number)) + 1;
+}
+
+/**
+ * Seconds recorded in the current take, excluding paused time
+ * @returns {number}
+ */
+function getTakeElapsed() {
+    if (!RecordingState.recordingStartTime) return 0;
+    const end = RecordingState.isPaused && RecordingState.pausedStartTime ? RecordingState.pausedStartTime : Date.now();
+    return Math.max(0, (end - RecordingState.recordingStartTime - RecordingState.totalPausedDuration) / 1000);
+}
+
+/**
+ * Stop recording the current take and keep it. Streams, audio and the
+ * compositor stay live for the next take.
+ * @param {Function} showToast - Toast notification function
+ * @returns {Promise<boolean>} - True if the take was kept
+ */
+export async function endTake(showToast = null) {
+    const recorder = RecordingState.mediaRecorder;
+    if (!isTakesSession() || RecordingState.betweenTakes || RecordingState.isStopping || !recorder) return false;
+    
+    const ending = (async () => {
+        const number = getNextTakeNumber();
+        const duration = getTakeElapsed();
+        RecordingState.betweenTakes = true;
+        saveDraft();
+        stopRecordingTimer();
+        if (RecordingState.draftInterval) {
+            clearInterval(RecordingState.draftInterval);
+            RecordingState.draftInterval = null;
+        }
+        
+        // Stop the recorder without finishing the session, and wait for its final chunk
+        if (recorder.state !== 'inactive') {
+            await new Promise((resolve) => {
+                recorder.onstop = () => resolve();
+                try {
+                    recorder.stop();
+                } catch (e) {
+                    resolve();
+                }
+            });
+        }
+        await RecordingState.flushChunks();
+        
+        RecordingState.mediaRecorder = null;
+        RecordingState.isPaused = false;
+        RecordingState.pausedStartTime = null;
+        RecordingState.totalPausedDuration = 0;
+        RecordingState.recordingStartTime = null;
+        
+        const { sessionId, chunkCount, releaseLock } = RecordingState.detachSession();
+        if (chunkCount === 0) {
+            releaseLock?.();
+            if (sessionId) await deleteRecordingSession(sessionId).catch(() => {});
+            if (showToast) showToast('That take was empty - nothing was kept', 'info');
+            return false;
+        }
+        
+        RecordingState.takes = [...RecordingState.takes, { number, sessionId, duration, releaseLock }];
+        if (showToast) showToast(`Take ${number} kept - record the next one or finish`, 'success');
+        return true;
+    })();
+    
+    RecordingState.takeTransition = ending;
+    try {
+        return await ending;
+    } finally {
+        RecordingState.takeTransition = null;
+    }
+}
+
+/**
+ * Start recording the next take on the same streams
+ * @param {Function} showToast - Toast notification function
+ * @param {Function} beforeStart - Optional async step before recording (the countdown) - resolving false cancels
+ * @returns {Promise<boolean>} - True if recording started
+ */
+export async function startNextTake(showToast = null, beforeStart = null) {
+    if (!isTakesSession() || !RecordingState.betweenTakes || RecordingState.isStopping || !RecordingState.recorderStream) return false;
+    
+    if (beforeStart && !(await beforeStart())) return false;
+    // Stopped or already started while counting down
+    if (!RecordingState.betweenTakes || RecordingState.isStopping) return false;
+    
+    const started = await startMediaRecorder(RecordingState.recorderStream, RecordingState.config, showToast);
+    if (started) RecordingState.betweenTakes = false;
+    return started;
+}
+
+/**
+ * Throw away the most recently recorded take
+ * @param {Function} showToast - Toast notification function
+ * @returns {Promise<boolean>} - True if a take was discarded
+ */
+export async function discardLastTake(showToast = null) {
+    if (!RecordingState.betweenTakes || RecordingState.takes.length === 0) return false;
+    
+    const take = RecordingState.takes.reduce((latest, t) => (t.number > latest.number ? t : latest));
+    try {
+        await deleteRecordingSession(take.sessionId);
+    } catch (err) {
+        ErrorHandler.handle(err, 'Failed to discard the take.', showToast);
+        return false;
+    }
+    take.releaseLock?.();
+    RecordingState.takes = RecordingState.takes.filter(t => t !== take);
+    
+    if (showToast) showToast(`Take ${take.number} discarded`, 'info');
+    return true;
+}
+
+/**
+ * Move a finished take earlier or later in the joined recording
+ * @param {number} index - Position of the take
+ * @param {number} delta - -1 to move up, 1 to move down
+ * @returns {boolean} - Whether the order changed
+ */
+export function moveTake(index, delta) {
+    const takes = [...RecordingState.takes];
+    const target = index + delta;
+    if (!RecordingState.betweenTakes || !takes[index] || !takes[target]) return false;
     
-    // Mix audio if both mic and system audio are enabled
-    if (config.mic && config.systemAudio && audioStream && streams[0] && streams[0].getAudioTracks().length > 0) {
-        try {
-            RecordingState.audioContext = AudioContextManager.create();
-            if (RecordingState.audioContext) {
-                const micSource = RecordingState.audioContext.createMediaStreamSource(audioStream);
-                const systemSource = RecordingState.audioContext.createMediaStreamSource(new MediaStream(streams[0].getAudioTracks()));
-                const destination = RecordingState.audioContext.createMediaStreamDestination();
-                micSource.connect(destination);
-                systemSource.connect(destination);
-                mixedAudioTrack = destination.stream.getAudioTracks()[0];
-            }
-        } catch (err) {
-            console.warn('Audio mixing failed:', err);
-            mixedAudioTrack = null;
+    [takes[index], takes[target]] = [takes[target], takes[index]];
+    RecordingState.takes = takes;
+    return true;
+}
+
+/**
+ * Save a finished multi-take session as one recording. If the takes can't be
+ * joined (MP4 output, or a browser that changed tracks between takes), each
+ * take is saved on its own instead.
+ * @param {string[]} sessionIds - Take sessions in playback order
+ * @param {Object} config - App config
+ * @param {Function} showToast - Toast notification function
+ * @param {Function} onAfterSave - Called with the new video ID after saving
+ * @returns {Promise<Array|null>} - saveRecording() results, or null if the takes couldn't be read
+ */
+async function saveTakes(sessionIds, config, showToast, onAfterSave) {
+    const blobs = [];
+    try {
+        for (const sessionId of sessionIds) {
+            const chunks = await getSessionChunks(sessionId);
+            if (chunks.length === 0) continue;
+            const mimeType = (await getRecordingSession(sessionId))?.mimeType || chunks[0].type;
+            blobs.push(new Blob(chunks, { type: mimeType }));
         }
+    } catch (err) {
+        ErrorHandler.handle(err, 'Failed to read recording data from storage.', showToast);
+        return null;
     }
     
-    // Combine streams - ensure screen is primary (first video track) and camera is overlay
-    const combined = new MediaStream();
-    
-    // Get all video and audio tracks separately to control order
-    const screenVideoTracks = RecordingState.screenStream?.getVideoTracks() || [];
-    const cameraVideoTracks = RecordingState.cameraStream?.getVideoTracks() || [];
-    const audioTracks = [];
+    if (blobs.length <= 1) {
+        return [blobs.length > 0 ? await saveRecording(blobs, config, showToast, onAfterSave) : null];
+    }
     
-    // Collect all audio tracks from all streams
-    streams.forEach(s => {
-        s.getAudioTracks().forEach(track => audioTracks.push(track));
-    });
-    if (audioStream) {
-        audioStream.getAudioTracks().forEach(track => audioTracks.push(track));
+    try {
+        const { container } = getVideoFormat(blobs[0].type);
+        if (container !== 'webm') throw new Error(`${container.toUpperCase()} takes can't be joined`);
+        const { blob } = await concatWebm(blobs);
+        return [await saveRecording([blob], config, showToast, onAfterSave)];
+    } catch (err) {
+        console.warn('[Recording] Failed to join takes:', err);
+        if (showToast) showToast(`${err.message} - saving each take separately`, 'warning');
     }
     
-    // Add screen video tracks FIRST (primary)
-    screenVideoTracks.forEach(track => combined.addTrack(track));
+    const results = [];
+    for (const blob of blobs) {
+        results.push(await saveRecording([blob], config, showToast, onAfterSave));
+    }
+    return results;
+}
+
+// ============================================
+// SPLIT RECORDINGS
+// ============================================
+//
+// A long recording rolls over into a new part once the current one reaches
+// config.splitSizeMB or config.splitMinutes. MediaRecorder can't start a new
+// file mid-stream, so - as with takes - only the recorder is restarted while
+// the streams, compositor and timer keep running. Each finished part is saved
+// to the library in the background, tagged with the series ID its parts share.
+
+/**
+ * Seconds recorded in the current part, excluding paused time
+ * @returns {number}
+ */
+function getPartElapsed() {
+    return Math.max(0, getTakeElapsed() - RecordingState.partStartElapsed);
+}
+
+/**
+ * Whether the current part has reached the configured size or length
+ * @returns {boolean}
+ */
+function shouldSplitPart() {
+    const { splitSizeMB, splitMinutes, recordInTakes } = RecordingState.config || {};
+    // Takes are joined into one recording when finishing, so they're never split
+    if (recordInTakes || !RecordingState.isRecording || RecordingState.isStopping || RecordingState.partTransition) return false;
     
-    // Add camera video tracks SECOND (overlay)
-    cameraVideoTracks.forEach(track => combined.addTrack(track));
+    return (splitSizeMB > 0 && RecordingState.partBytes >= splitSizeMB * 1024 * 1024)
+        || (splitMinutes > 0 && getPartElapsed() >= splitMinutes * 60);
+}
+
+/**
+ * Save a finished part to the library without asking for a filename, then clear its session.
+ * A part that can't be read stays in the chunk store for crash recovery.
+ * @param {Object} part - {sessionId, releaseLock, number, duration}
+ * @param {Object} config - Recording config
+ * @param {string} seriesId - ID shared by the recording's parts
+ * @param {Function} showToast - Toast notification function
+ * @param {Function} onAfterSave - Called with the new video ID after saving
+ * @returns {Promise<Object|null>} - saveRecording() result
+ */
+async function savePart({ sessionId, releaseLock, number, duration }, config, seriesId, showToast, onAfterSave = null) {
+    const title = `${generateSmartFilename({ config, duration, counter: number })} - Part ${number}`;
+    const result = await saveRecording(sessionId, config, showToast, onAfterSave, { seriesId, part: number, title });
     
-    // Add audio tracks
-    if (!config.systemAudio || !config.mic || !mixedAudioTrack) {
-        audioTracks.forEach(track => combined.addTrack(track));
+    if (result && !result.saved && result.blob) {
+        await downloadVideo(result.blob, result.filename, showToast);
     }
-    if (mixedAudioTrack) {
-        combined.addTrack(mixedAudioTrack);
+    if (result) {
+        await deleteRecordingSession(sessionId).catch(err => {
+            console.warn('[Recording] Failed to clear recording session:', err);
+        });
     }
+    releaseLock?.();
+    return result;
+}
+
+/**
+ * Finish the current part and keep recording into a new one
+ * @param {Function} showToast - Toast notification function
+ * @returns {Promise<boolean>} - True if a new part was started
+ */
+async function rollOverPart(showToast = null) {
+    const recorder = RecordingState.mediaRecorder;
+    if (!recorder || RecordingState.partTransition) return false;
     
-    return combined;
+    const rolling = (async () => {
+        const config = RecordingState.config;
+        const quality = getQualitySettings(config);
+        const mimeType = getRecorderMimeType(quality.codec);
+        const series = RecordingState.series || { id: `series-${Date.now()}`, part: 1 };
+        const next = series.part + 1;
+        
+        // Open the next part's session first - if that fails, the recording carries on unsplit
+        let nextSessionId;
+        try {
+            nextSessionId = await createRecordingSession({
+                config, mimeType, recordingStartTime: Date.now(), seriesId: series.id, part: next
+            });
+        } catch (err) {
+            RecordingState.config = { ...config, splitSizeMB: 0, splitMinutes: 0 };
+            ErrorHandler.handle(err, 'Could not start a new part - the recording will continue as one file.', showToast);
+            return false;
+        }
+        
+        // Tag the first part too, so a crash mid-save still recovers it into the series
+        if (!RecordingState.series) {
+            updateRecordingSession(RecordingState.sessionId, { seriesId: series.id, part: series.part }).catch(() => {});
+        }
+        
+        // Stop this part's recorder without finishing the recording, and wait for its final chunk
+        if (recorder.state !== 'inactive') {
+            await new Promise((resolve) => {
+                recorder.onstop = () => resolve();
+                try {
+                    recorder.stop();
+                } catch (e) {
+                    resolve();
+                }
+            });
+        }
+        
+        // Chunk writes are tagged with their session when queued, so the next part can start
+        // straight away - waiting for IndexedDB here would leave a gap between the parts
+        const finished = { ...RecordingState.detachSession(), number: series.part, duration: getPartElapsed() };
+        const finishedWritten = RecordingState.flushChunks();
+        RecordingState.sessionId = nextSessionId;
+        holdSessionLock(nextSessionId);
+        RecordingState.series = { id: series.id, part: next };
+        RecordingState.partStartElapsed = getTakeElapsed();
+        saveDraft();
+        
+        // Stopping while the old recorder wound down leaves the new part empty - stopRecording() cleans it up
+        if (!RecordingState.isStopping) {
+            try {
+                RecordingState.mediaRecorder = createMediaRecorder(RecordingState.recorderStream, mimeType, quality, showToast);
+                RecordingState.mediaRecorder.start(CONFIG.RECORDING_TIMESLICE);
+                if (RecordingState.isPaused) RecordingState.mediaRecorder.pause();
+            } catch (err) {
+                ErrorHandler.handle(err, 'Could not start the next part - saving the recording.', showToast);
+                stopRecording(showToast);
+            }
+        }
+        
+        const refreshLibrary = async () => {
+            const ui = await import('./ui.js');
+            await ui.populateSavedList();
+            await ui.updateStorageInfo();
+        };
+        RecordingState.partSaves = RecordingState.partSaves
+            .then(() => finishedWritten)
+            .then(() => savePart(finished, config, series.id, showToast, refreshLibrary))
+            .catch(err => console.error('[Recording] Failed to save part:', err));
+        
+        if (showToast) showToast(`Part ${series.part} finished - now recording Part ${next}`, 'info');
+        return true;
+    })();
+    
+    RecordingState.partTransition = rolling;
+    try {
+        return await rolling;
+    } finally {
+        RecordingState.partTransition = null;
+    }
 }
 
 // ============================================
 // RECORDING CONTROL
 // ============================================
 
-export async function startRecording(config, showToast = null) {
+/**
+ * Start recording with the chosen sources
+ * @param {Object} config - App config
+ * @param {Function} showToast - Toast notification function
+ * @param {Function} beforeStart - Optional async step once the streams are live and before
+ *   the recorder starts (preview, countdown) - resolving false cancels the recording
+ * @returns {Promise<boolean>} - True if recording started
+ */
+export async function startRecording(config, showToast = null, beforeStart = null) {
     try {
         PerformanceMonitor.start();
         
+        RecordingState.config = config;
         RecordingState.mediaStream = await getMediaStream(config, showToast);
         if (!RecordingState.mediaStream) {
             PerformanceMonitor.stop();
@@ -487,6 +3517,13 @@ export async function startRecording(config, showToast = null) {
         }
         
         let recordingStream = RecordingState.mediaStream;
+        const watermarkStyle = getWatermarkStyle(config, await loadWatermarkLogo(config));
+        const quality = getQualitySettings(config);
+        
+        // Load the background effect before the first frame so the real background never shows
+        if (config.camera && config.cameraEffect && config.cameraEffect !== 'none') {
+            await CameraEffects.configure(getCameraEffectStyle(config, await loadCameraBackground(config)), showToast);
+        }
         
         if (config.screen && config.camera) {
             // Screen + Camera overlay mode
@@ -538,8 +3575,7 @@ export async function startRecording(config, showToast = null) {
             
             const screenSettings = originalScreenTrack.getSettings();
             const cameraSettings = originalCameraTrack.getSettings();
-            const canvasWidth = screenSettings.width || CONFIG.DEFAULT_VIDEO_WIDTH;
-            const canvasHeight = screenSettings.height || CONFIG.DEFAULT_VIDEO_HEIGHT;
+            const canvasSize = getCanvasSize(screenSettings.width, screenSettings.height, quality);
             
             RecordingState.screenVideo = document.createElement('video');
             RecordingState.cameraVideo = document.createElement('video');
@@ -559,6 +3595,7 @@ export async function startRecording(config, showToast = null) {
             
             RecordingState.screenVideo.srcObject = new MediaStream([screenTrack]);
             RecordingState.cameraVideo.srcObject = new MediaStream([cameraTrack]);
+            CursorTracker.start(originalScreenTrack, config);
             
             await Promise.all([screenPromise, cameraPromise]);
             
@@ -567,13 +3604,18 @@ export async function startRecording(config, showToast = null) {
             
             if (!ctx) {
                 ErrorHandler.handle(null, 'Canvas not supported', showToast);
-                return startSimpleRecording(config, showToast);
+                return startSimpleRecording(config, showToast, beforeStart);
             }
             
-            canvas.width = canvasWidth;
-            canvas.height = canvasHeight;
+            canvas.width = canvasSize.width;
+            canvas.height = canvasSize.height;
             RecordingState.recordingCanvas = canvas;
             
+            const overlayStyle = getOverlayStyle(config);
+            const camAspect = (cameraSettings.width && cameraSettings.height)
+                ? cameraSettings.width / cameraSettings.height
+                : RecordingState.cameraVideo.videoWidth / RecordingState.cameraVideo.videoHeight;
+            
             const draw = () => {
                 PerformanceMonitor.frame();
                 
@@ -584,56 +3626,28 @@ export async function startRecording(config, showToast = null) {
                     RecordingState.cameraVideo.play().catch(console.error);
                 }
                 
-                ctx.clearRect(0, 0, canvas.width, canvas.height);
-                
-                if (RecordingState.screenVideo.readyState >= 2) {
-                    ctx.drawImage(RecordingState.screenVideo, 0, 0, canvas.width, canvas.height);
+                if (!RecordingState.overlayRect && RecordingState.cameraVideo.readyState >= 2) {
+                    RecordingState.overlayRect = getOverlayRect(canvas.width, canvas.height, camAspect, overlayStyle);
                 }
                 
-                if (RecordingState.cameraVideo.readyState >= 2) {
-                    // Draw camera overlay
-                    const overlayWidth = canvas.width * CONFIG.OVERLAY_SCALE;
-                    const camAspect = cameraSettings.width / cameraSettings.height;
-                    const overlayHeight = overlayWidth / camAspect;
-                    const x = canvas.width - overlayWidth - CONFIG.OVERLAY_MARGIN;
-                    const y = canvas.height - overlayHeight - CONFIG.OVERLAY_MARGIN;
-                    
-                    ctx.save();
-                    ctx.beginPath();
-                    ctx.moveTo(x + CONFIG.OVERLAY_CORNER_RADIUS, y);
-                    ctx.lineTo(x + overlayWidth - CONFIG.OVERLAY_CORNER_RADIUS, y);
-                    ctx.quadraticCurveTo(x + overlayWidth, y, x + overlayWidth, y + CONFIG.OVERLAY_CORNER_RADIUS);
-                    ctx.lineTo(x + overlayWidth, y + overlayHeight - CONFIG.OVERLAY_CORNER_RADIUS);
-                    ctx.quadraticCurveTo(x + overlayWidth, y + overlayHeight, x + overlayWidth - CONFIG.OVERLAY_CORNER_RADIUS, y + overlayHeight);
-                    ctx.lineTo(x + CONFIG.OVERLAY_CORNER_RADIUS, y + overlayHeight);
-                    ctx.quadraticCurveTo(x, y + overlayHeight, x, y + overlayHeight - CONFIG.OVERLAY_CORNER_RADIUS);
-                    ctx.lineTo(x, y + CONFIG.OVERLAY_CORNER_RADIUS);
-                    ctx.quadraticCurveTo(x, y, x + CONFIG.OVERLAY_CORNER_RADIUS, y);
-                    ctx.closePath();
-                    ctx.clip();
-                    ctx.drawImage(RecordingState.cameraVideo, x, y, overlayWidth, overlayHeight);
-                    ctx.restore();
-                }
+                drawScene(ctx, canvas, overlayStyle);
+                TextOverlays.draw(ctx, canvas.width, canvas.height);
+                Annotations.draw(ctx);
                 
                 // Draw watermark
-                drawWatermark(ctx, canvas.width, canvas.height);
+                drawWatermark(ctx, canvas.width, canvas.height, watermarkStyle);
                 
                 RecordingState.animationId = requestAnimationFrame(draw);
             };
             
             draw();
-            recordingStream = canvas.captureStream(CONFIG.RECORDING_FPS);
+            recordingStream = canvas.captureStream(quality.fps);
             
             const audioTracks = RecordingState.mediaStream.getAudioTracks();
             audioTracks.forEach(track => recordingStream.addTrack(track));
             
             RecordingState.previewCanvas = canvas;
-            RecordingState.previewCanvas.style.display = 'block';
-            RecordingState.previewCanvas.style.width = '100%';
-            RecordingState.previewCanvas.style.maxWidth = '800px';
-            RecordingState.previewCanvas.style.height = 'auto';
-            RecordingState.previewCanvas.style.borderRadius = '10px';
-            RecordingState.previewCanvas.style.boxShadow = '0 4px 15px rgba(0,0,0,0.2)';
+            applyPreviewCanvasStyle(canvas);
         } else if (config.camera && !config.screen) {
             // Camera only mode - set up preview video element
             const cameraTrack = RecordingState.mediaStream.getVideoTracks()[0];
@@ -657,8 +3671,9 @@ export async function startRecording(config, showToast = null) {
             const ctx = canvas.getContext('2d');
             
             if (ctx) {
-                canvas.width = cameraSettings.width || CONFIG.DEFAULT_VIDEO_WIDTH;
-                canvas.height = cameraSettings.height || CONFIG.DEFAULT_VIDEO_HEIGHT;
+                const canvasSize = getCanvasSize(cameraSettings.width, cameraSettings.height, quality);
+                canvas.width = canvasSize.width;
+                canvas.height = canvasSize.height;
                 RecordingState.recordingCanvas = canvas;
                 
                 const draw = () => {
@@ -671,35 +3686,108 @@ export async function startRecording(config, showToast = null) {
                     ctx.clearRect(0, 0, canvas.width, canvas.height);
                     
                     if (RecordingState.cameraVideo.readyState >= 2) {
-                        ctx.drawImage(RecordingState.cameraVideo, 0, 0, canvas.width, canvas.height);
+                        drawCameraFrame(
+                            ctx,
+                            CameraEffects.frame(RecordingState.cameraVideo),
+                            { x: 0, y: 0, width: canvas.width, height: canvas.height },
+                            CameraAdjustments.get(getActiveDeviceId('camera'))
+                        );
                     }
+                    TextOverlays.draw(ctx, canvas.width, canvas.height);
+                    Annotations.draw(ctx);
                     
                     // Draw watermark
-                    drawWatermark(ctx, canvas.width, canvas.height);
+                    drawWatermark(ctx, canvas.width, canvas.height, watermarkStyle);
                     
                     RecordingState.animationId = requestAnimationFrame(draw);
                 };
                 
                 draw();
-                recordingStream = canvas.captureStream(CONFIG.RECORDING_FPS);
+                recordingStream = canvas.captureStream(quality.fps);
                 
                 const audioTracks = RecordingState.mediaStream.getAudioTracks();
                 audioTracks.forEach(track => recordingStream.addTrack(track));
                 
                 RecordingState.previewCanvas = canvas;
-                RecordingState.previewCanvas.style.display = 'block';
-                RecordingState.previewCanvas.style.width = '100%';
-                RecordingState.previewCanvas.style.maxWidth = '800px';
-                RecordingState.previewCanvas.style.height = 'auto';
-                RecordingState.previewCanvas.style.borderRadius = '10px';
-                RecordingState.previewCanvas.style.boxShadow = '0 4px 15px rgba(0,0,0,0.2)';
+                applyPreviewCanvasStyle(canvas);
             } else {
                 // Fallback to simple video element preview
-                return startSimpleRecording(config, showToast);
+                return startSimpleRecording(config, showToast, beforeStart);
+            }
+        } else if (config.screen) {
+            // Screen only mode - composite through a canvas for the watermark and region crop
+            const screenTrack = RecordingState.mediaStream.getVideoTracks()[0];
+            const screenSettings = screenTrack.getSettings();
+            
+            RecordingState.screenVideo = document.createElement('video');
+            RecordingState.screenVideo.muted = true;
+            
+            const screenPromise = new Promise((resolve) => {
+                RecordingState.screenVideo.onloadeddata = () => {
+                    RecordingState.screenVideo.play().then(() => resolve()).catch(console.error);
+                };
+            });
+            
+            RecordingState.screenVideo.srcObject = new MediaStream([screenTrack]);
+            CursorTracker.start(screenTrack, config);
+            
+            await screenPromise;
+            
+            const canvas = document.createElement('canvas');
+            const ctx = canvas.getContext('2d');
+            
+            if (ctx) {
+                const canvasSize = getCanvasSize(
+                    screenSettings.width || RecordingState.screenVideo.videoWidth,
+                    screenSettings.height || RecordingState.screenVideo.videoHeight,
+                    quality
+                );
+                canvas.width = canvasSize.width;
+                canvas.height = canvasSize.height;
+                RecordingState.recordingCanvas = canvas;
+                
+                const draw = () => {
+                    PerformanceMonitor.frame();
+                    
+                    const video = RecordingState.screenVideo;
+                    if (video.paused && video.srcObject) {
+                        video.play().catch(console.error);
+                    }
+                    
+                    ctx.fillStyle = '#000';
+                    ctx.fillRect(0, 0, canvas.width, canvas.height);
+                    
+                    // Letterbox if the shared window is resized or a region is selected
+                    if (video.readyState >= 2 && video.videoWidth) {
+                        const fullSource = getScreenSourceRect(video);
+                        const rect = containRect(fullSource.width, fullSource.height, { x: 0, y: 0, width: canvas.width, height: canvas.height });
+                        const source = ScreenZoom.apply(video, fullSource);
+                        ScreenZoom.setView(fullSource, rect, video);
+                        ctx.drawImage(video, source.x, source.y, source.width, source.height, rect.x, rect.y, rect.width, rect.height);
+                        CursorTracker.draw(ctx, video, source, rect);
+                    }
+                    TextOverlays.draw(ctx, canvas.width, canvas.height);
+                    Annotations.draw(ctx);
+                    
+                    // Draw watermark
+                    drawWatermark(ctx, canvas.width, canvas.height, watermarkStyle);
+                    
+                    RecordingState.animationId = requestAnimationFrame(draw);
+                };
+                
+                draw();
+                recordingStream = canvas.captureStream(quality.fps);
+                
+                const audioTracks = RecordingState.mediaStream.getAudioTracks();
+                audioTracks.forEach(track => recordingStream.addTrack(track));
+                
+                RecordingState.previewCanvas = canvas;
+                applyPreviewCanvasStyle(canvas);
             }
+            // Without a 2D context, record the raw screen stream (no watermark or region)
         }
         
-        return startMediaRecorder(recordingStream, config, showToast);
+        return startWhenReady(recordingStream, config, showToast, beforeStart);
     } catch (err) {
         PerformanceMonitor.stop();
         ErrorHandler.handle(err, `Failed to start: ${err.message}`, showToast);
@@ -707,7 +3795,20 @@ export async function startRecording(config, showToast = null) {
     }
 }
 
-async function startSimpleRecording(config, showToast = null) {
+/**
+ * Style a compositor canvas for the in-page preview
+ * @param {HTMLCanvasElement} canvas - Compositor canvas
+ */
+function applyPreviewCanvasStyle(canvas) {
+    canvas.style.display = 'block';
+    canvas.style.width = '100%';
+    canvas.style.maxWidth = '800px';
+    canvas.style.height = 'auto';
+    canvas.style.borderRadius = '10px';
+    canvas.style.boxShadow = '0 4px 15px rgba(0,0,0,0.2)';
+}
+
+async function startSimpleRecording(config, showToast = null, beforeStart = null) {
     const ui = await import('./ui.js');
     const { elements } = ui;
     
@@ -717,58 +3818,44 @@ async function startSimpleRecording(config, showToast = null) {
     if (elements.recordingActionButtons) elements.recordingActionButtons.classList.remove('hidden');
     if (elements.startBtn) elements.startBtn.disabled = true;
     
-    return startMediaRecorder(RecordingState.mediaStream, config, showToast);
+    return startWhenReady(RecordingState.mediaStream, config, showToast, beforeStart);
 }
 
-async function startMediaRecorder(stream, config, showToast = null) {
-    RecordingState.clearRecordedChunks();
-    
-    // Determine the best supported MIME type for recording
-    let mimeType = CONFIG.VIDEO_MIME_TYPE;
-    const supportedTypes = [
-        'video/mp4',
-        'video/webm;codecs=h264',
-        'video/webm;codecs=vp9',
-        'video/webm;codecs=vp8',
-        'video/webm'
-    ];
-    
-    // Check for Firefox-specific MIME type support
-    const isFirefox = navigator.userAgent.toLowerCase().includes('firefox');
-    if (isFirefox) {
-        // Firefox has better support for WebM without specific codecs
-        supportedTypes.unshift('video/webm;codecs=vp9,opus');
-        supportedTypes.unshift('video/webm;codecs=vp8,opus');
+/**
+ * Run the caller's pre-start step, then start the recorder unless it was cancelled
+ * @returns {Promise<boolean>} - True if recording started
+ */
+async function startWhenReady(stream, config, showToast, beforeStart) {
+    if (beforeStart && !(await beforeStart())) {
+        cleanupRecording();
+        return false;
     }
-    
-    // Find the first supported MIME type
-    for (const type of supportedTypes) {
-        if (MediaRecorder.isTypeSupported(type)) {
-            mimeType = type;
-            break;
-        }
+    return startMediaRecorder(stream, config, showToast);
+}
+
+async function startMediaRecorder(stream, config, showToast = null) {
+    // Determine the best supported MIME type for the chosen codec
+    const quality = getQualitySettings(config);
+    const mimeType = getRecorderMimeType(quality.codec);
+    if (quality.codec !== 'auto' && !isCodecSupported(quality.codec) && showToast) {
+        showToast(`${quality.codec.toUpperCase()} isn't supported here - recording as ${mimeType}`, 'warning');
     }
     
-    // Final fallback for Firefox
-    if (isFirefox && !MediaRecorder.isTypeSupported(mimeType)) {
-        mimeType = 'video/webm';
+    // Open a session in the chunk store so data survives a crashed tab
+    try {
+        RecordingState.sessionId = await createRecordingSession({ config, mimeType, recordingStartTime: Date.now() });
+        holdSessionLock(RecordingState.sessionId);
+    } catch (err) {
+        cleanupRecording();
+        ErrorHandler.handle(err, 'Could not prepare storage for recording. Please free up space and try again.', showToast);
+        return false;
     }
     
-    RecordingState.mediaRecorder = new MediaRecorder(stream, { mimeType });
-    
-    RecordingState.mediaRecorder.ondataavailable = (e) => {
-        if (e.data.size > 0) RecordingState.addRecordedChunk(e.data);
-    };
-    
-    RecordingState.mediaRecorder.onstop = () => stopRecording(showToast);
-    
-    RecordingState.mediaRecorder.onerror = (e) => {
-        ErrorHandler.handle(e.error, `Recording error: ${e.error}`, showToast);
-        stopRecording(showToast);
-    };
-    
-    RecordingState.mediaRecorder.start();
+    RecordingState.recorderStream = stream;
+    RecordingState.mediaRecorder = createMediaRecorder(stream, mimeType, quality, showToast);
+    RecordingState.mediaRecorder.start(CONFIG.RECORDING_TIMESLICE);
     RecordingState.isRecording = true;
+    RecordingState.partStartElapsed = 0;
     
     // Start recording timer
     startRecordingTimer(showToast);
@@ -783,16 +3870,70 @@ async function startMediaRecorder(stream, config, showToast = null) {
         }
     }, CONFIG.DRAFT_AUTO_SAVE_INTERVAL);
     
-    if (showToast) showToast('Recording started... Keep this tab active for continuous recording.');
+    if (showToast) {
+        showToast(RecordingState.takes.length > 0
+            ? `Take ${getNextTakeNumber()} recording`
+            : 'Recording started... Keep this tab active for continuous recording.');
+    }
     
     return true;
 }
 
+/**
+ * Create a MediaRecorder that persists its chunks to the current session
+ * and starts a new part when the split limits are reached
+ * @param {MediaStream} stream - Stream to record
+ * @param {string} mimeType - Recorder MIME type
+ * @param {Object} quality - Quality settings (see getQualitySettings)
+ * @param {Function} showToast - Toast notification function
+ * @returns {MediaRecorder}
+ */
+function createMediaRecorder(stream, mimeType, quality, showToast = null) {
+    const recorder = new MediaRecorder(stream, {
+        mimeType,
+        videoBitsPerSecond: quality.bitrate,
+        audioBitsPerSecond: CONFIG.AUDIO_BITRATE
+    });
+    
+    let chunkWriteWarned = false;
+    recorder.ondataavailable = (e) => {
+        if (e.data.size > 0) {
+            RecordingState.addRecordedChunk(e.data).catch(err => {
+                console.error('[Recording] Failed to persist chunk:', err);
+                if (!chunkWriteWarned) {
+                    chunkWriteWarned = true;
+                    ErrorHandler.handle(err, 'Some recording data could not be written to storage.', showToast);
+                }
+            });
+            if (shouldSplitPart()) rollOverPart(showToast);
+        }
+    };
+    
+    recorder.onstop = () => stopRecording(showToast);
+    
+    recorder.onerror = (e) => {
+        ErrorHandler.handle(e.error, `Recording error: ${e.error}`, showToast);
+        stopRecording(showToast);
+    };
+    
+    return recorder;
+}
+
 export async function stopRecording(showToast = null) {
     const ui = await import('./ui.js');
     const { elements, updateToggles, AppConfig } = ui;
     const { closePipElement } = ui;
     
+    // Guard against re-entry (e.g. double clicks or the recorder's own stop event)
+    if (RecordingState.isStopping) return;
+    RecordingState.isStopping = true;
+    Countdown.cancel();
+    
+    // Let a take or part that is ending file its last chunk first
+    if (RecordingState.takeTransition) await RecordingState.takeTransition;
+    if (RecordingState.partTransition) await RecordingState.partTransition;
+    const partDuration = getPartElapsed();
+    
     RecordingState.isRecording = false;
     RecordingState.isPaused = false;
     
@@ -825,15 +3966,22 @@ export async function stopRecording(showToast = null) {
         document.exitPictureInPicture().catch(console.error);
     }
     
-    // Stop media recorder
-    if (RecordingState.mediaRecorder && RecordingState.mediaRecorder.state === 'recording') {
-        try {
-            RecordingState.mediaRecorder.stop();
-        } catch (e) {
-            // Ignore
-        }
+    // Stop media recorder and wait for its final chunk
+    const recorder = RecordingState.mediaRecorder;
+    if (recorder && recorder.state !== 'inactive') {
+        await new Promise((resolve) => {
+            recorder.onstop = () => resolve();
+            try {
+                recorder.stop();
+            } catch (e) {
+                resolve();
+            }
+        });
     }
     
+    // Make sure every chunk has reached the chunk store before assembling
+    await RecordingState.flushChunks();
+    
     // Stop all media streams
     [RecordingState.mediaStream, RecordingState.screenStream, RecordingState.cameraStream, RecordingState.micStream].forEach(stream => {
         if (stream) {
@@ -872,6 +4020,9 @@ export async function stopRecording(showToast = null) {
     
     // Update UI - hide recording action buttons
     if (elements.recordingActionButtons) elements.recordingActionButtons.classList.add('hidden');
+    if (elements.takesPanel) elements.takesPanel.classList.add('hidden');
+    ui.hideScreenEndedPrompt();
+    ui.closeAnnotations();
     if (elements.previewVideo) elements.previewVideo.srcObject = null;
     
     // Hide recording timer
@@ -911,13 +4062,38 @@ export async function stopRecording(showToast = null) {
         }
     };
     
-    const result = await saveRecording(RecordingState.recordedChunks, config, showToast, onAfterSave);
-    
-    if (result && !result.saved && result.blob) {
-        downloadVideo(result.blob, result.filename, showToast);
+    const series = RecordingState.series;
+    if (series) {
+        // A split recording saves its last part like the others, once the earlier parts are stored
+        await RecordingState.partSaves;
+        const last = { ...RecordingState.detachSession(), number: series.part, duration: partDuration };
+        await savePart(last, RecordingState.config || config, series.id, showToast, onAfterSave);
+    } else {
+        // A multi-take session saves its finished takes plus the one in progress
+        const sessionIds = [...RecordingState.takes.map(take => take.sessionId), RecordingState.sessionId].filter(Boolean);
+        const results = sessionIds.length > 1
+            ? await saveTakes(sessionIds, config, showToast, onAfterSave)
+            : [sessionIds.length > 0 ? await saveRecording(sessionIds[0], config, showToast, onAfterSave) : null];
+        
+        results?.forEach(result => {
+            if (result && !result.saved && result.blob) {
+                downloadVideo(result.blob, result.filename, showToast);
+            }
+        });
+        
+        // The recording is now in the library, downloaded or deliberately discarded.
+        // Takes that couldn't be read (a null result) stay in the chunk store for crash recovery.
+        if (results?.every(Boolean)) {
+            for (const sessionId of sessionIds) {
+                try {
+                    await deleteRecordingSession(sessionId);
+                } catch (err) {
+                    console.warn('[Recording] Failed to clear recording session:', err);
+                }
+            }
+        }
     }
     
-    RecordingState.clearRecordedChunks();
     RecordingState.reset();
     
     if (elements.startBtn) elements.startBtn.disabled = false;
@@ -954,6 +4130,7 @@ export function togglePause(showToast = null) {
             }
             
             RecordingState.isPaused = false;
+            saveDraft();
             
             // Resume canvas drawing if using canvas recording
             if (RecordingState.screenVideo && RecordingState.cameraVideo) {
@@ -975,6 +4152,7 @@ export function togglePause(showToast = null) {
             
             RecordingState.isPaused = true;
             RecordingState.pausedStartTime = Date.now();
+            saveDraft();
             
             // Pause canvas drawing if using canvas recording
             if (RecordingState.screenVideo) {
@@ -1010,44 +4188,144 @@ export function restorePauseState() {
 // ============================================
 
 export function saveDraft() {
-    if (RecordingState.recordedChunks.length > 0) {
+    if (RecordingState.sessionId) {
+        // Chunks are already persisted as they arrive - only timing state needs saving
         const draft = {
-            chunks: RecordingState.recordedChunks.slice(),
-            timestamp: Date.now(),
+            recordingStartTime: RecordingState.recordingStartTime,
             isPaused: RecordingState.isPaused,
             pausedStartTime: RecordingState.pausedStartTime,
             totalPausedDuration: RecordingState.totalPausedDuration
         };
-        try {
-            sessionStorage.setItem(`${STORAGE_KEY}_draft`, JSON.stringify(draft));
-        } catch (e) {
+        updateRecordingSession(RecordingState.sessionId, draft).catch(e => {
             console.warn('Failed to save draft:', e);
+        });
+    }
+}
+
+// ============================================
+// CRASH RECOVERY
+// ============================================
+
+// Web Lock name prefix - a live tab holds its session's lock for the whole recording
+const SESSION_LOCK_PREFIX = 'screenrecord-session-';
+
+/**
+ * Hold a Web Lock for the session until RecordingState.reset() releases it.
+ * The browser drops the lock if the tab crashes or closes, which is how
+ * another page load tells an orphaned session apart from a live one.
+ * @param {string} sessionId - Recording session ID
+ */
+function holdSessionLock(sessionId) {
+    if (!navigator.locks) return;
+    
+    navigator.locks.request(`${SESSION_LOCK_PREFIX}${sessionId}`, () => new Promise((resolve) => {
+        RecordingState.sessionLockRelease = resolve;
+    })).catch(err => {
+        console.warn('[Recording] Failed to acquire session lock:', err);
+    });
+}
+
+/**
+ * Estimate how much footage a session holds, excluding paused time
+ * @param {Object} session - Recording session record
+ * @returns {number} - Duration in seconds
+ */
+export function getSessionDuration(session) {
+    const start = session.recordingStartTime || session.startedAt;
+    const end = session.isPaused && session.pausedStartTime ? session.pausedStartTime : session.updatedAt;
+    return Math.max(0, (end - start - (session.totalPausedDuration || 0)) / 1000);
+}
+
+/**
+ * Find recording sessions left behind by a crashed or closed tab.
+ * Empty and expired sessions are cleaned up along the way.
+ * @returns {Promise<Array>} - Recoverable sessions, newest first
+ */
+export async function findRecoverableSessions() {
+    let sessions = [];
+    try {
+        sessions = await getAllRecordingSessions();
+    } catch (err) {
+        console.warn('Failed to read recording sessions:', err);
+        return [];
+    }
+    
+    // Sessions whose lock is still held belong to a tab that is recording right now
+    let heldLocks = null;
+    if (navigator.locks?.query) {
+        try {
+            const { held } = await navigator.locks.query();
+            heldLocks = new Set(held.map(lock => lock.name));
+        } catch (err) {
+            heldLocks = null;
+        }
+    }
+    
+    const recoverable = [];
+    for (const session of sessions) {
+        if (session.id === RecordingState.sessionId || RecordingState.takes.some(take => take.sessionId === session.id)) continue;
+        
+        const isLive = heldLocks
+            ? heldLocks.has(`${SESSION_LOCK_PREFIX}${session.id}`)
+            : Date.now() - session.updatedAt < CONFIG.DRAFT_AUTO_SAVE_INTERVAL * 2;
+        if (isLive) continue;
+        
+        if (!session.chunkCount || Date.now() - session.updatedAt > CONFIG.DRAFT_MAX_AGE) {
+            deleteRecordingSession(session.id).catch(err => {
+                console.warn('Failed to remove stale recording session:', err);
+            });
+            continue;
         }
+        
+        recoverable.push(session);
     }
+    
+    return recoverable.sort((a, b) => b.startedAt - a.startedAt);
 }
 
-export async function recoverDraft() {
-    const { STATE_VERSION, STORAGE_KEY } = await import('./utils.js');
+/**
+ * Rebuild an orphaned session into a library recording
+ * @param {string} sessionId - Recording session ID
+ * @param {Function} showToast - Toast notification function
+ * @param {Function} onAfterSave - Called with the new video ID after saving
+ * @returns {Promise<boolean>} - Whether the recording was saved or downloaded
+ */
+export async function recoverSession(sessionId, showToast = null, onAfterSave = null) {
     try {
-        const draftData = sessionStorage.getItem(`${STORAGE_KEY}_draft`);
-        if (draftData) {
-            const draft = JSON.parse(draftData);
-            if (Date.now() - draft.timestamp < CONFIG.DRAFT_MAX_AGE) {
-                // Restore pause state
-                if (draft.isPaused) {
-                    RecordingState.isPaused = true;
-                    RecordingState.totalPausedDuration = draft.totalPausedDuration || 0;
-                    // Calculate ongoing pause duration
-                    if (draft.pausedStartTime) {
-                        RecordingState.totalPausedDuration += Date.now() - draft.pausedStartTime;
-                        RecordingState.pausedStartTime = Date.now();
-                    }
-                }
-                return draft;
-            }
+        const session = await getRecordingSession(sessionId);
+        if (!session) return false;
+        
+        // A part of a split recording rejoins its series
+        const series = session.seriesId ? { seriesId: session.seriesId, part: session.part } : {};
+        const result = await saveRecording(sessionId, session.config || {}, showToast, onAfterSave, series);
+        
+        // Keep the session around if the user backed out of the filename dialog
+        if (!result || result.cancelled) return false;
+        
+        if (!result.saved && result.blob) {
+            await downloadVideo(result.blob, result.filename, showToast);
         }
+        
+        await deleteRecordingSession(sessionId);
+        return true;
+    } catch (err) {
+        ErrorHandler.handle(err, 'Failed to recover recording.', showToast);
+        return false;
+    }
+}
+
+/**
+ * Permanently discard an orphaned session and its chunks
+ * @param {string} sessionId - Recording session ID
+ * @param {Function} showToast - Toast notification function
+ * @returns {Promise<boolean>}
+ */
+export async function discardSession(sessionId, showToast = null) {
+    try {
+        await deleteRecordingSession(sessionId);
+        return true;
     } catch (err) {
-        console.warn('Failed to recover draft:', err);
+        ErrorHandler.handle(err, 'Failed to discard unsaved recording.', showToast);
+        return false;
     }
-    return null;
-}
\ No newline at end of file
+}
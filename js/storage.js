@@ -2,13 +2,21 @@
 // INDEXEDDB STORAGE MODULE
 // ============================================
 
-import { ErrorHandler, generateThumbnail, formatFileSize, formatDate, generateVideoTitle, generateSmartFilename, generateUniqueFilename, CONFIG, StorageRetry, estimateStorageUsage } from './utils.js';
+import { ErrorHandler, generateThumbnail, formatFileSize, formatDate, generateVideoTitle, generateSmartFilename, generateUniqueFilename, CONFIG, StorageRetry, estimateStorageUsage, getVideoFormat } from './utils.js';
 import { StorageValidator, Validator } from './validation.js';
+import { rewriteWebm } from './webm.js';
 
 // Database configuration - use CONFIG values
 const DB_NAME = CONFIG.DB_NAME;
 const DB_VERSION = CONFIG.DB_VERSION;
 const STORE_NAME = CONFIG.STORE_NAME;
+const CHUNK_STORE_NAME = CONFIG.CHUNK_STORE_NAME;
+const SESSION_STORE_NAME = CONFIG.SESSION_STORE_NAME;
+const BRANDING_STORE_NAME = CONFIG.BRANDING_STORE_NAME;
+
+// Keys of the image records in the branding store
+const BRANDING_LOGO_KEY = 'logo';
+const CAMERA_BACKGROUND_KEY = 'camera-background';
 
 // Pagination configuration
 const PAGINATION_PAGE_SIZE = CONFIG.PAGINATION_PAGE_SIZE || 10;
@@ -30,6 +38,16 @@ export function openDB() {
                 const store = db.createObjectStore(STORE_NAME, { keyPath: 'id' });
                 store.createIndex('date', 'date', { unique: false });
             }
+            // Chunks are keyed by [sessionId, index] so a key range returns them in recording order
+            if (!db.objectStoreNames.contains(CHUNK_STORE_NAME)) {
+                db.createObjectStore(CHUNK_STORE_NAME, { keyPath: ['sessionId', 'index'] });
+            }
+            if (!db.objectStoreNames.contains(SESSION_STORE_NAME)) {
+                db.createObjectStore(SESSION_STORE_NAME, { keyPath: 'id' });
+            }
+            if (!db.objectStoreNames.contains(BRANDING_STORE_NAME)) {
+                db.createObjectStore(BRANDING_STORE_NAME, { keyPath: 'id' });
+            }
         };
     });
 }
@@ -176,6 +194,275 @@ export async function clearAllVideos() {
     });
 }
 
+// ============================================
+// RECORDING SESSIONS & CHUNKS
+// ============================================
+
+/**
+ * Key range covering every chunk of a recording session
+ * @param {string} sessionId - Recording session ID
+ * @returns {IDBKeyRange}
+ */
+function sessionChunkRange(sessionId) {
+    return IDBKeyRange.bound([sessionId, 0], [sessionId, Infinity]);
+}
+
+/**
+ * Create a recording session record that chunks are attached to while capturing
+ * @param {Object} session - Session metadata (config, mimeType, timing)
+ * @returns {Promise<string>} - The new session ID
+ */
+export async function createRecordingSession(session = {}) {
+    const now = Date.now();
+    const sessionObj = {
+        id: now.toString(),
+        startedAt: now,
+        updatedAt: now,
+        chunkCount: 0,
+        size: 0,
+        ...session
+    };
+    
+    return StorageRetry.execute(async () => {
+        const db = await openDB();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(SESSION_STORE_NAME, 'readwrite');
+            const request = tx.objectStore(SESSION_STORE_NAME).add(sessionObj);
+            
+            request.onsuccess = () => resolve(sessionObj.id);
+            request.onerror = () => reject(request.error);
+        });
+    });
+}
+
+/**
+ * Persist a single recorded chunk and bump the session's chunk count in one transaction
+ * @param {string} sessionId - Recording session ID
+ * @param {number} index - Chunk position within the recording
+ * @param {Blob} blob - Chunk data from MediaRecorder
+ * @returns {Promise<void>}
+ */
+export async function appendRecordingChunk(sessionId, index, blob) {
+    return StorageRetry.execute(async () => {
+        const db = await openDB();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction([CHUNK_STORE_NAME, SESSION_STORE_NAME], 'readwrite');
+            const sessions = tx.objectStore(SESSION_STORE_NAME);
+            
+            tx.objectStore(CHUNK_STORE_NAME).put({ sessionId, index, blob });
+            
+            const getRequest = sessions.get(sessionId);
+            getRequest.onsuccess = () => {
+                if (getRequest.result) {
+                    sessions.put({
+                        ...getRequest.result,
+                        chunkCount: Math.max(getRequest.result.chunkCount || 0, index + 1),
+                        size: (getRequest.result.size || 0) + blob.size,
+                        updatedAt: Date.now()
+                    });
+                }
+            };
+            
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }, { maxRetries: 2, initialDelay: 200 });
+}
+
+/**
+ * Merge fields into an existing recording session
+ * @param {string} sessionId - Recording session ID
+ * @param {Object} updates - Fields to merge
+ * @returns {Promise<void>}
+ */
+export async function updateRecordingSession(sessionId, updates = {}) {
+    const db = await openDB();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(SESSION_STORE_NAME, 'readwrite');
+        const sessions = tx.objectStore(SESSION_STORE_NAME);
+        
+        const getRequest = sessions.get(sessionId);
+        getRequest.onsuccess = () => {
+            if (getRequest.result) {
+                sessions.put({ ...getRequest.result, ...updates, updatedAt: Date.now() });
+            }
+        };
+        
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+export async function getRecordingSession(sessionId) {
+    const db = await openDB();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(SESSION_STORE_NAME, 'readonly');
+        const request = tx.objectStore(SESSION_STORE_NAME).get(sessionId);
+        
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+export async function getAllRecordingSessions() {
+    const db = await openDB();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(SESSION_STORE_NAME, 'readonly');
+        const request = tx.objectStore(SESSION_STORE_NAME).getAll();
+        
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Read all stored chunks of a session in recording order
+ * @param {string} sessionId - Recording session ID
+ * @returns {Promise<Blob[]>} - Chunk blobs
+ */
+export async function getSessionChunks(sessionId) {
+    const db = await openDB();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(CHUNK_STORE_NAME, 'readonly');
+        const request = tx.objectStore(CHUNK_STORE_NAME).getAll(sessionChunkRange(sessionId));
+        
+        request.onsuccess = () => resolve(request.result.map(record => record.blob));
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Delete a recording session and all of its chunks
+ * @param {string} sessionId - Recording session ID
+ * @returns {Promise<void>}
+ */
+export async function deleteRecordingSession(sessionId) {
+    return StorageRetry.execute(async () => {
+        const db = await openDB();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction([CHUNK_STORE_NAME, SESSION_STORE_NAME], 'readwrite');
+            tx.objectStore(CHUNK_STORE_NAME).delete(sessionChunkRange(sessionId));
+            tx.objectStore(SESSION_STORE_NAME).delete(sessionId);
+            
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+        });
+    });
+}
+
+// ============================================
+// BRANDING
+// ============================================
+
+/**
+ * Store an image record in the branding store, replacing any previous one
+ * @param {string} id - Record key
+ * @param {Blob} blob - Image data
+ * @param {string} name - Original file name
+ * @returns {Promise<void>}
+ */
+async function putBrandingImage(id, blob, name) {
+    return StorageRetry.execute(async () => {
+        const db = await openDB();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(BRANDING_STORE_NAME, 'readwrite');
+            tx.objectStore(BRANDING_STORE_NAME).put({
+                id,
+                blob,
+                name,
+                type: blob.type,
+                updatedAt: Date.now()
+            });
+            
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+        });
+    });
+}
+
+/**
+ * @param {string} id - Record key
+ * @returns {Promise<{blob: Blob, name: string, type: string, updatedAt: number}|undefined>}
+ */
+async function getBrandingImage(id) {
+    const db = await openDB();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(BRANDING_STORE_NAME, 'readonly');
+        const request = tx.objectStore(BRANDING_STORE_NAME).get(id);
+        
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * @param {string} id - Record key
+ * @returns {Promise<void>}
+ */
+async function deleteBrandingImage(id) {
+    const db = await openDB();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(BRANDING_STORE_NAME, 'readwrite');
+        tx.objectStore(BRANDING_STORE_NAME).delete(id);
+        
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+/**
+ * Store a custom watermark logo, replacing any previous one
+ * @param {Blob} blob - Image data (PNG, JPEG, SVG, WebP)
+ * @param {string} name - Original file name
+ * @returns {Promise<void>}
+ */
+export async function saveBrandingLogo(blob, name = '') {
+    return putBrandingImage(BRANDING_LOGO_KEY, blob, name);
+}
+
+/**
+ * Get the custom watermark logo record
+ * @returns {Promise<{blob: Blob, name: string, type: string, updatedAt: number}|undefined>}
+ */
+export async function getBrandingLogo() {
+    return getBrandingImage(BRANDING_LOGO_KEY);
+}
+
+/**
+ * Remove the custom watermark logo
+ * @returns {Promise<void>}
+ */
+export async function deleteBrandingLogo() {
+    return deleteBrandingImage(BRANDING_LOGO_KEY);
+}
+
+/**
+ * Store the camera background image, replacing any previous one
+ * @param {Blob} blob - Image data (PNG, JPEG, WebP)
+ * @param {string} name - Original file name
+ * @returns {Promise<void>}
+ */
+export async function saveCameraBackground(blob, name = '') {
+    return putBrandingImage(CAMERA_BACKGROUND_KEY, blob, name);
+}
+
+/**
+ * Get the camera background image record
+ * @returns {Promise<{blob: Blob, name: string, type: string, updatedAt: number}|undefined>}
+ */
+export async function getCameraBackground() {
+    return getBrandingImage(CAMERA_BACKGROUND_KEY);
+}
+
+/**
+ * Remove the camera background image
+ * @returns {Promise<void>}
+ */
+export async function deleteCameraBackground() {
+    return deleteBrandingImage(CAMERA_BACKGROUND_KEY);
+}
+
 // ============================================
 // VIDEO MANAGEMENT
 // ============================================
@@ -202,13 +489,14 @@ export async function showFilenameEditModal(options, onSave = null) {
         
         // Generate initial filename
         const initialFilename = generateUniqueFilename(options);
+        const extension = options.extension || '.mp4';
         input.value = initialFilename;
-        preview.textContent = `${initialFilename}.mp4`;
+        preview.textContent = `${initialFilename}${extension}`;
         
         // Update preview on input change
         const updatePreview = () => {
             const value = input.value.trim();
-            preview.textContent = value ? `${value}.mp4` : `${initialFilename}.mp4`;
+            preview.textContent = value ? `${value}${extension}` : `${initialFilename}${extension}`;
         };
         
         input.oninput = updatePreview;
@@ -264,27 +552,64 @@ export async function showFilenameEditModal(options, onSave = null) {
     });
 }
 
-export async function saveRecording(chunks, config, showToast = null, onAfterSave = null) {
+/**
+ * Assemble a recording and store it in the library
+ * @param {Blob[]|string} source - Chunk blobs, or a recording session ID whose stored chunks are assembled
+ * @param {Object} config - Recording configuration
+ * @param {Function} showToast - Toast notification function
+ * @param {Function} onAfterSave - Called with the new video ID after a successful save
+ * @param {Object} options - Part of a split recording: {seriesId, part, title} - a title skips the filename dialog
+ * @returns {Promise<Object|null>} - Saved video object, or download fallback info
+ */
+export async function saveRecording(source, config, showToast = null, onAfterSave = null, options = {}) {
+    const { seriesId = null, part = null, title = null } = options;
+    let chunks = source;
+    let sessionMimeType = null;
+    if (typeof source === 'string') {
+        try {
+            chunks = await getSessionChunks(source);
+            sessionMimeType = (await getRecordingSession(source))?.mimeType;
+        } catch (err) {
+            ErrorHandler.handle(err, 'Failed to read recording data from storage.', showToast);
+            return null;
+        }
+    }
+    
     if (!chunks || chunks.length === 0) {
         // Silent return for empty recordings - not an error, just nothing to save
         return null;
     }
     
-    const videoBlob = new Blob(chunks, { type: 'video/mp4' });
+    // Keep the type MediaRecorder actually produced (chunks carry it too)
+    const format = getVideoFormat(sessionMimeType || chunks[0]?.type || CONFIG.VIDEO_MIME_TYPE);
+    const fallbackFilename = part ? `recording-part-${part}${format.extension}` : `recording${format.extension}`;
+    let videoBlob = new Blob(chunks, { type: format.mimeType });
+    
+    // MediaRecorder's WebM has no duration or seek index - rebuild the container so it's seekable
+    let duration = 0;
+    if (format.container === 'webm') {
+        try {
+            const rewritten = await rewriteWebm(videoBlob);
+            videoBlob = rewritten.blob;
+            duration = rewritten.duration || 0;
+        } catch (err) {
+            console.warn('WebM metadata rewrite failed:', err);
+        }
+    }
     const size = videoBlob.size;
     
     // Check size limit using validation module
     const sizeValidation = StorageValidator.validateFileSize({ size }, CONFIG.MAX_FILE_SIZE);
     if (!sizeValidation.isValid) {
         ErrorHandler.handleStorageFull(showToast);
-        return { blob: videoBlob, filename: 'recording.mp4', saved: false };
+        return { blob: videoBlob, filename: fallbackFilename, saved: false };
     }
     
     // Check storage quota before saving
     const quotaValidation = await StorageValidator.checkStorageQuota(size);
     if (!quotaValidation.isValid) {
         if (showToast) showToast(quotaValidation.firstError, 'error');
-        return { blob: videoBlob, filename: 'recording.mp4', saved: false };
+        return { blob: videoBlob, filename: fallbackFilename, saved: false };
     }
     
     // Generate thumbnail with longer timeout
@@ -295,49 +620,52 @@ export async function saveRecording(chunks, config, showToast = null, onAfterSav
         console.warn('Thumbnail generation failed:', err);
     }
     
-    // Get duration
-    const tempVideo = document.createElement('video');
-    const { URLManager } = await import('./utils.js');
-    const tempUrl = URLManager.create(URL.createObjectURL(videoBlob));
-    tempVideo.src = tempUrl;
-    tempVideo.muted = true;
-    tempVideo.playsInline = true;
-    let duration = 0;
-    
-    try {
-        await new Promise((resolve, reject) => {
-            const timeout = setTimeout(() => reject(new Error('Timeout')), CONFIG.VIDEO_METADATA_TIMEOUT);
-            
-            tempVideo.onloadedmetadata = () => {
-                clearTimeout(timeout);
-                duration = tempVideo.duration || 0;
-                resolve();
-            };
-            tempVideo.onerror = (e) => {
-                clearTimeout(timeout);
-                console.warn('Video metadata error:', e);
-                reject(new Error('Metadata load failed'));
-            };
-            tempVideo.load();
-        });
-    } catch (err) {
-        console.warn('Duration fetch failed:', err);
-        duration = 0;
+    // Get duration from the player unless the container rewrite already knows it
+    if (!duration) {
+        const tempVideo = document.createElement('video');
+        const { URLManager } = await import('./utils.js');
+        const tempUrl = URLManager.create(URL.createObjectURL(videoBlob));
+        tempVideo.src = tempUrl;
+        tempVideo.muted = true;
+        tempVideo.playsInline = true;
+        
+        try {
+            await new Promise((resolve, reject) => {
+                const timeout = setTimeout(() => reject(new Error('Timeout')), CONFIG.VIDEO_METADATA_TIMEOUT);
+                
+                tempVideo.onloadedmetadata = () => {
+                    clearTimeout(timeout);
+                    // Unfixed WebM reports Infinity here
+                    duration = Number.isFinite(tempVideo.duration) ? tempVideo.duration : 0;
+                    resolve();
+                };
+                tempVideo.onerror = (e) => {
+                    clearTimeout(timeout);
+                    console.warn('Video metadata error:', e);
+                    reject(new Error('Metadata load failed'));
+                };
+                tempVideo.load();
+            });
+        } catch (err) {
+            console.warn('Duration fetch failed:', err);
+            duration = 0;
+        }
+        URLManager.revoke(tempUrl);
     }
-    URLManager.revoke(tempUrl);
     
-    // Show filename edit modal
+    // Show filename edit modal - parts saved while still recording are named automatically
     const filenameOptions = {
         config,
         duration,
-        counter: null
+        counter: part,
+        extension: format.extension
     };
     
-    const editedFilename = await showFilenameEditModal(filenameOptions);
+    const editedFilename = title || await showFilenameEditModal(filenameOptions);
     
     if (editedFilename === null) {
         // User cancelled
-        return { blob: videoBlob, filename: 'recording.mp4', saved: false, cancelled: true };
+        return { blob: videoBlob, filename: fallbackFilename, saved: false, cancelled: true };
     }
     
     // Create video object - ensure thumbnail is a valid string
@@ -347,14 +675,17 @@ export async function saveRecording(chunks, config, showToast = null, onAfterSav
         date: new Date().toISOString(),
         thumbnail: typeof thumbnail === 'string' && thumbnail.length > 0 ? thumbnail : '',
         videoBlob,
+        mimeType: format.mimeType,
+        codec: format.codec,
         config,
         duration,
-        size
+        size,
+        ...(seriesId ? { seriesId, part } : {})
     };
     
     try {
         await addVideo(videoObj);
-        if (showToast) showToast('Recording saved!', 'success');
+        if (showToast) showToast(part ? `Part ${part} saved!` : 'Recording saved!', 'success');
         // Call onAfterSave callback if provided
         if (onAfterSave && typeof onAfterSave === 'function') {
             onAfterSave(videoObj.id);
@@ -363,7 +694,7 @@ export async function saveRecording(chunks, config, showToast = null, onAfterSav
     } catch (err) {
         console.error('Failed to save recording:', err);
         ErrorHandler.handleSaveFailed(showToast);
-        return { blob: videoBlob, filename: 'recording.mp4', saved: false };
+        return { blob: videoBlob, filename: fallbackFilename, saved: false };
     }
 }
 
@@ -379,13 +710,44 @@ export async function downloadVideo(blob, filename, showToast = null) {
     URLManager.revoke(url);
 }
 
+/**
+ * Work out the real file format of a stored recording.
+ * Recordings saved before the MIME type was stored were all labelled video/mp4,
+ * so their container is sniffed from the file header instead.
+ * @param {Object} video - Video object from the database
+ * @returns {Promise<{mimeType: string, container: string, extension: string, codec: string}>}
+ */
+export async function getStoredVideoFormat(video) {
+    if (video.mimeType) return getVideoFormat(video.mimeType);
+    
+    try {
+        const header = new Uint8Array(await video.videoBlob.slice(0, 12).arrayBuffer());
+        // WebM/Matroska files start with the EBML magic number
+        if (header[0] === 0x1A && header[1] === 0x45 && header[2] === 0xDF && header[3] === 0xA3) {
+            return getVideoFormat('video/webm');
+        }
+    } catch (err) {
+        console.warn('Could not read recording header:', err);
+    }
+    return getVideoFormat(video.videoBlob?.type || CONFIG.VIDEO_MIME_TYPE);
+}
+
+/**
+ * Build the download filename for a stored recording
+ * @param {Object} video - Video object from the database
+ * @returns {Promise<string>}
+ */
+async function getVideoFilename(video) {
+    const { generateSafeFilename } = await import('./utils.js');
+    const format = await getStoredVideoFormat(video);
+    return `${generateSafeFilename(video.title)}${format.extension}`;
+}
+
 export async function downloadSaved(id, showToast = null) {
     try {
         const video = await getVideo(id);
         if (video && video.videoBlob) {
-            const { generateSafeFilename } = await import('./utils.js');
-            const safeTitle = generateSafeFilename(video.title);
-            await downloadVideo(video.videoBlob, `${safeTitle}.mp4`, showToast);
+            await downloadVideo(video.videoBlob, await getVideoFilename(video), showToast);
         }
     } catch (err) {
         ErrorHandler.handle(err, 'Failed to download video.', showToast);
@@ -582,9 +944,7 @@ export async function syncRecordingsToFileSystem(onProgress = null, showToast =
 
             try {
                 // Generate filename
-                const { generateSafeFilename } = await import('./utils.js');
-                const safeTitle = generateSafeFilename(video.title);
-                const filename = `${safeTitle}.mp4`;
+                const filename = await getVideoFilename(video);
 
                 // Get or create the file in the directory
                 let fileHandle;
@@ -647,16 +1007,15 @@ export async function syncSingleRecording(id, showToast = null) {
         }
 
         // Generate filename
-        const { generateSafeFilename } = await import('./utils.js');
-        const safeTitle = generateSafeFilename(video.title);
-        const filename = `${safeTitle}.mp4`;
+        const format = await getStoredVideoFormat(video);
+        const filename = await getVideoFilename(video);
 
         // Show file picker
         const handle = await window.showSaveFilePicker({
             suggestedName: filename,
             types: [{
                 description: 'Video files',
-                accept: { 'video/mp4': ['.mp4'], 'video/webm': ['.webm'] }
+                accept: { [`video/${format.container === 'mkv' ? 'x-matroska' : format.container}`]: [format.extension] }
             }]
         });
 
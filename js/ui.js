@@ -2,9 +2,9 @@
 // UI MODULE - DOM Manipulation
 // ============================================
 
-import { createElement, sanitizeTitle, formatDuration, formatFileSize, formatDate, STATE_VERSION, STORAGE_KEY, VALID_CONFIG_KEYS, VALID_CONFIG_VALUES, CONFIG, Capabilities, initCapabilitiesUI } from './utils.js';
-import { getAllVideos, getVideo, downloadSaved, deleteVideo, secureDeleteAll, getStorageInfo, getVideosPaginated, getVideosCount, getCleanupSuggestions, syncRecordingsToFileSystem, isFileSystemAccessSupported } from './storage.js';
-import { startRecording, stopRecording, RecordingState, togglePause } from './recording.js';
+import { createElement, sanitizeTitle, formatDuration, formatFileSize, formatDate, STATE_VERSION, STORAGE_KEY, SOURCE_CONFIG_KEYS, isValidConfigValue, CONFIG, Capabilities, initCapabilitiesUI, PermissionManager, CameraAdjustments, DEFAULT_CAMERA_ADJUSTMENTS, normalizeCameraAdjustments } from './utils.js';
+import { getAllVideos, getVideo, downloadSaved, deleteVideo, secureDeleteAll, getStorageInfo, getVideosPaginated, getVideosCount, getCleanupSuggestions, syncRecordingsToFileSystem, isFileSystemAccessSupported, saveBrandingLogo, getBrandingLogo, deleteBrandingLogo, saveCameraBackground, getCameraBackground, deleteCameraBackground, getStoredVideoFormat } from './storage.js';
+import { startRecording, stopRecording, RecordingState, togglePause, findRecoverableSessions, recoverSession, discardSession, getSessionDuration, getOverlayStyle, getOverlayRect, drawCameraOverlay, drawCameraFrame, moveOverlayRect, resizeOverlayRect, SCENE_LAYOUTS, setSceneLayout, canSwitchSceneLayout, getWatermarkStyle, drawWatermark, loadImageFromBlob, getQualitySettings, isCodecSupported, estimateMegabytesPerMinute, getDisplayVideoConstraints, REGION_ASPECTS, getRegionFromDrag, fitRegionToAspect, setScreenRegion, canSelectScreenRegion, AudioMixer, AUDIO_CHANNELS, measureAnalyser, getCameraConstraints, getMicConstraints, canSwitchCamera, canSwitchMicrophone, switchCamera, switchMicrophone, getActiveDeviceId, restorePreferredDevices, SCREEN_ENDED_ACTIONS, reshareScreen, continueWithoutScreen, Countdown, isTakesSession, getNextTakeNumber, endTake, startNextTake, discardLastTake, moveTake, formatTimerDuration, setRecordingTimeLimit, ANNOTATION_TOOLS, Annotations, canAnnotate, ScreenZoom, canZoomScreen, TEXT_OVERLAY_TYPES, TextOverlays, canShowTextOverlays, CameraEffects, getCameraEffectStyle } from './recording.js';
 import { Validator, RecordingConfigValidator, StorageValidator, ValidationMessages } from './validation.js';
 
 // ============================================
@@ -24,6 +24,18 @@ export class CommandMenu {
             'new-recording': () => this.handleNewRecording(),
             'saved-recordings': () => this.handleSavedRecordings(),
             'naming-pattern': () => this.handleNamingPattern(),
+            'camera-overlay': () => this.handleCameraOverlay(),
+            'camera-effects': () => this.handleCameraEffects(),
+            'watermark': () => this.handleWatermark(),
+            'quality': () => this.handleQuality(),
+            'recording-options': () => this.handleRecordingOptions(),
+            'schedule': () => this.handleSchedule(),
+            'devices': () => this.handleDevices(),
+            'audio-processing': () => this.handleAudioProcessing(),
+            'select-region': () => this.handleSelectRegion(),
+            'annotate': () => this.handleAnnotate(),
+            'text-overlays': () => this.handleTextOverlays(),
+            'text-overlay': (item) => this.handleTextOverlay(item),
             'shortcuts': () => this.handleShortcuts(),
             'dark-mode': () => this.handleDarkMode()
         };
@@ -49,9 +61,10 @@ export class CommandMenu {
         // Keyboard navigation
         document.addEventListener('keydown', (e) => this.handleKeydown(e));
         
-        // Click on items
-        this.items.forEach((item, index) => {
-            item.addEventListener('click', () => this.select(index));
+        // Click on items - delegated, since overlay preset items are added after init
+        this.results.addEventListener('click', (e) => {
+            const index = this.items.indexOf(e.target.closest('.command-item'));
+            if (index >= 0) this.select(index);
         });
         
         // Search functionality
@@ -68,6 +81,7 @@ export class CommandMenu {
         this.input.value = '';
         this.input.focus();
         this.selectedIndex = 0;
+        renderTextOverlayCommands();
         this.showAllItems();
         this.updateSelection();
     }
@@ -157,7 +171,7 @@ export class CommandMenu {
         
         const action = this.items[index]?.dataset.action;
         if (action && this.actions[action]) {
-            this.actions[action]();
+            this.actions[action](this.items[index]);
         }
     }
     
@@ -185,6 +199,66 @@ export class CommandMenu {
         openNamingPatternModal();
     }
     
+    handleCameraOverlay() {
+        this.close();
+        openCameraOverlayModal();
+    }
+    
+    handleCameraEffects() {
+        this.close();
+        openCameraEffectsModal();
+    }
+    
+    handleWatermark() {
+        this.close();
+        openWatermarkModal();
+    }
+    
+    handleQuality() {
+        this.close();
+        openQualityModal();
+    }
+    
+    handleRecordingOptions() {
+        this.close();
+        openRecordingOptionsModal();
+    }
+    
+    handleSchedule() {
+        this.close();
+        openScheduleModal();
+    }
+    
+    handleDevices() {
+        this.close();
+        openDevicesModal();
+    }
+    
+    handleAudioProcessing() {
+        this.close();
+        openAudioProcessingModal();
+    }
+    
+    handleSelectRegion() {
+        this.close();
+        openRegionPicker();
+    }
+    
+    handleAnnotate() {
+        this.close();
+        openAnnotations();
+    }
+    
+    handleTextOverlays() {
+        this.close();
+        openTextOverlaysModal();
+    }
+    
+    handleTextOverlay(item) {
+        this.close();
+        toggleTextOverlay(item.dataset.overlayId);
+    }
+    
     handleShortcuts() {
         this.close();
         const shortcutsModal = document.getElementById('shortcuts-modal');
@@ -234,6 +308,20 @@ let pipPausedTime = 0;
 let pipIsPaused = false;
 let pipPausedStart = null;
 
+// Compact scene layout labels for the PiP controls
+const PIP_SCENE_LABELS = {
+    'pip': 'PiP',
+    'side-by-side': 'Split',
+    'camera': 'Camera',
+    'screen': 'Screen'
+};
+
+// Short audio channel names for the PiP meters
+const PIP_AUDIO_LABELS = {
+    mic: 'Mic',
+    systemAudio: 'System'
+};
+
 /**
  * Check if Document Picture-in-Picture is supported
  * @returns {boolean}
@@ -254,10 +342,25 @@ export async function openPipElement(stream) {
     }
 
     try {
+        // Opened during the countdown too, before the recording (and canSwitchSceneLayout()) is live
+        const showLayouts = !!RecordingState.screenVideo && !!RecordingState.cameraVideo;
+        const layoutButtons = Object.keys(SCENE_LAYOUTS).map((layout, i) => `
+                    <button data-layout="${layout}" class="${layout === RecordingState.sceneLayout ? 'active' : ''}" title="${SCENE_LAYOUTS[layout]} (Alt+${i + 1})">${PIP_SCENE_LABELS[layout]}</button>`
+        ).join('');
+        const audioChannels = AudioMixer.channels;
+        const meterRows = audioChannels.map(channel => `
+                    <div class="pip-meter${AudioMixer.isMuted(channel) ? ' muted' : ''}" data-channel="${channel}">
+                        <button class="pip-mute" data-channel="${channel}" title="Mute ${AUDIO_CHANNELS[channel]}">${AudioMixer.isMuted(channel) ? '🔇' : '🔊'}</button>
+                        <span class="pip-meter-label">${PIP_AUDIO_LABELS[channel]}</span>
+                        <div class="pip-meter-bar"><div class="pip-meter-fill"></div></div>
+                        <span class="pip-clip">CLIP</span>
+                    </div>`
+        ).join('');
+        
         // Open Document PiP window
         pipWindow = await window.documentPictureInPicture.requestWindow({
             width: 400,
-            height: 300
+            height: (showLayouts ? 340 : 300) + (audioChannels.length ? 12 + audioChannels.length * 30 : 0)
         });
 
         // Write the PiP content to the new window
@@ -370,6 +473,101 @@ export async function openPipElement(stream) {
                     body.paused #pip-pause-btn {
                         background: #4CAF50 !important;
                     }
+                    #pip-layouts {
+                        display: flex;
+                        justify-content: center;
+                        gap: 6px;
+                        padding: 0 12px 12px;
+                        background: rgba(255, 255, 255, 0.05);
+                    }
+                    #pip-layouts.hidden {
+                        display: none;
+                    }
+                    #pip-layouts button {
+                        background: rgba(255, 255, 255, 0.08);
+                        border: 1px solid transparent;
+                        color: rgba(255, 255, 255, 0.8);
+                        padding: 4px 10px;
+                        border-radius: 6px;
+                        cursor: pointer;
+                        font-size: 12px;
+                        transition: all 0.2s ease;
+                    }
+                    #pip-layouts button:hover {
+                        background: rgba(255, 255, 255, 0.16);
+                    }
+                    #pip-layouts button.active {
+                        border-color: #8b9cf4;
+                        color: #fff;
+                    }
+                    #pip-meters {
+                        display: flex;
+                        flex-direction: column;
+                        gap: 6px;
+                        padding: 6px 12px;
+                        background: rgba(255, 255, 255, 0.05);
+                    }
+                    .pip-meter {
+                        display: flex;
+                        align-items: center;
+                        gap: 8px;
+                        font-size: 12px;
+                    }
+                    .pip-mute {
+                        background: rgba(255, 255, 255, 0.08);
+                        border: none;
+                        border-radius: 4px;
+                        padding: 2px 6px;
+                        cursor: pointer;
+                    }
+                    .pip-meter.muted .pip-mute {
+                        background: #f44336;
+                    }
+                    .pip-meter-label {
+                        width: 48px;
+                        color: rgba(255, 255, 255, 0.7);
+                    }
+                    .pip-meter-bar {
+                        flex: 1;
+                        height: 6px;
+                        background: rgba(255, 255, 255, 0.1);
+                        border-radius: 3px;
+                        overflow: hidden;
+                    }
+                    .pip-meter-fill {
+                        height: 100%;
+                        width: 0;
+                        background: #4CAF50;
+                    }
+                    .pip-meter-fill.hot {
+                        background: #ff9800;
+                    }
+                    .pip-meter-fill.clipping {
+                        background: #f44336;
+                    }
+                    .pip-clip {
+                        font-size: 10px;
+                        font-family: 'Courier New', monospace;
+                        color: rgba(255, 255, 255, 0.3);
+                    }
+                    .pip-clip.active {
+                        color: #ff4444;
+                        font-weight: bold;
+                    }
+                    #recording-countdown {
+                        position: absolute;
+                        inset: 0;
+                        display: flex;
+                        align-items: center;
+                        justify-content: center;
+                        background: rgba(0, 0, 0, 0.6);
+                        font-size: 72px;
+                        font-weight: bold;
+                        font-family: 'Courier New', monospace;
+                    }
+                    #recording-countdown.hidden {
+                        display: none;
+                    }
                 </style>
             </head>
             <body>
@@ -379,11 +577,16 @@ export async function openPipElement(stream) {
                         <span class="recording-dot"></span>
                         <span id="pip-timer-text">00:00</span>
                     </div>
+                    <div id="recording-countdown" class="hidden" title="Press Esc to cancel"></div>
                 </div>
                 <div id="pip-controls">
                     <button id="pip-pause-btn" title="Pause/Resume recording">⏸ Pause</button>
                     <button id="pip-stop-btn" title="Stop recording">⏹ Stop</button>
                 </div>
+                <div id="pip-layouts" class="${showLayouts ? '' : 'hidden'}">${layoutButtons}
+                </div>${audioChannels.length ? `
+                <div id="pip-meters">${meterRows}
+                </div>` : ''}
                 <div id="pip-status">Recording active - Keep this window visible</div>
                 <script>
                     // Set video source
@@ -410,6 +613,27 @@ export async function openPipElement(stream) {
                         window.opener.postMessage({ type: 'pip-stop' }, '*');
                     });
                     
+                    // Handle scene layout buttons
+                    document.querySelectorAll('#pip-layouts button').forEach(btn => {
+                        btn.addEventListener('click', () => {
+                            window.opener.postMessage({ type: 'pip-layout', layout: btn.dataset.layout }, '*');
+                        });
+                    });
+                    
+                    // Handle audio mute buttons
+                    document.querySelectorAll('.pip-mute').forEach(btn => {
+                        btn.addEventListener('click', () => {
+                            window.opener.postMessage({ type: 'pip-mute', channel: btn.dataset.channel }, '*');
+                        });
+                    });
+                    
+                    // Escape cancels the countdown before recording
+                    document.addEventListener('keydown', (e) => {
+                        if (e.key === 'Escape') {
+                            window.opener.postMessage({ type: 'countdown-cancel' }, '*');
+                        }
+                    });
+                    
                     // Handle window close
                     window.addEventListener('beforeunload', () => {
                         window.opener.postMessage({ type: 'pip-close' }, '*');
@@ -444,6 +668,15 @@ export async function openPipElement(stream) {
                 case 'pip-stop':
                     handlePipStop();
                     break;
+                case 'pip-layout':
+                    switchSceneLayout(event.data.layout);
+                    break;
+                case 'pip-mute':
+                    toggleAudioMute(event.data.channel);
+                    break;
+                case 'countdown-cancel':
+                    Countdown.cancel();
+                    break;
                 case 'pip-close':
                     handlePipClose();
                     break;
@@ -480,32 +713,70 @@ async function handlePipPause() {
     const isPaused = await togglePause();
     
     if (isPaused !== null && isPaused !== undefined) {
-        pipIsPaused = isPaused;
+        syncPauseControls(isPaused);
+    }
+}
+
+/**
+ * Show the pause state on the page's pause button, the paused overlay and the PiP window
+ * @param {boolean} isPaused - Whether the recording is now paused
+ */
+export function syncPauseControls(isPaused) {
+    if (elements.pauseBtn) {
+        elements.pauseBtn.innerHTML = isPaused ? `
+                    <svg viewBox="0 0 16 16" fill="currentColor">
+                        <polygon points="4 3 13 8 4 13 4 3"/>
+                    </svg>
+                    <span>Resume</span>
+                ` : `
+                    <svg viewBox="0 0 16 16" fill="currentColor">
+                        <rect x="4" y="3" width="2" height="10" rx="1"/>
+                        <rect x="10" y="3" width="2" height="10" rx="1"/>
+                    </svg>
+                    <span>Pause</span>
+                `;
+    }
+    if (elements.pausedOverlay) {
+        elements.pausedOverlay.classList.toggle('hidden', !isPaused);
+    }
+    
+    if (pipIsPaused === isPaused) return;
+    pipIsPaused = isPaused;
+    
+    if (pipWindow && !pipWindow.closed) {
+        const pauseBtn = pipWindow.document.getElementById('pip-pause-btn');
+        const status = pipWindow.document.getElementById('pip-status');
         
-        if (pipWindow && !pipWindow.closed) {
-            const pauseBtn = pipWindow.document.getElementById('pip-pause-btn');
-            const status = pipWindow.document.getElementById('pip-status');
-            
-            if (pauseBtn) {
-                pauseBtn.innerHTML = isPaused ? '▶ Resume' : '⏸ Pause';
-            }
-            
-            if (status) {
-                status.textContent = isPaused ? 'Recording paused' : 'Recording active - Keep this window visible';
-            }
-            
-            pipWindow.document.body.classList.toggle('paused', isPaused);
+        if (pauseBtn) {
+            pauseBtn.innerHTML = isPaused ? '▶ Resume' : '⏸ Pause';
         }
         
-        if (isPaused) {
-            pipPausedStart = Date.now();
-        } else if (pipPausedStart) {
-            pipPausedTime += Date.now() - pipPausedStart;
-            pipPausedStart = null;
+        if (status) {
+            status.textContent = isPaused ? 'Recording paused' : 'Recording active - Keep this window visible';
         }
+        
+        pipWindow.document.body.classList.toggle('paused', isPaused);
+    }
+    
+    if (isPaused) {
+        pipPausedStart = Date.now();
+    } else if (pipPausedStart) {
+        pipPausedTime += Date.now() - pipPausedStart;
+        pipPausedStart = null;
     }
 }
 
+/**
+ * Highlight the active scene layout in the PiP window
+ */
+function syncPipSceneButtons() {
+    if (!pipWindow || pipWindow.closed) return;
+    
+    pipWindow.document.querySelectorAll('#pip-layouts button').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.layout === RecordingState.sceneLayout);
+    });
+}
+
 /**
  * Handle stop button click from PiP window
  */
@@ -526,10 +797,28 @@ function handlePipClose() {
     closePipElement();
 }
 
+/**
+ * Point the PiP video at the current camera after a mid-recording camera switch
+ */
+export function refreshPipCamera() {
+    const video = pipWindow && !pipWindow.closed ? pipWindow.document.getElementById('pip-video') : null;
+    const cameraStream = RecordingState.cameraVideo?.srcObject;
+    if (!video || !cameraStream) return;
+    
+    // Only replace a feed whose camera has been stopped - a canvas feed keeps working
+    const tracks = video.srcObject?.getVideoTracks() || [];
+    if (tracks.length > 0 && tracks.every(track => track.readyState === 'ended')) {
+        video.srcObject = new MediaStream(cameraStream.getTracks());
+    }
+}
+
 /**
  * Close the custom PiP element
  */
 export function closePipElement() {
+    // Meters running on the PiP window's frames move back to the page
+    const metersOnPip = audioMeterFrame && audioMeterFrame.source === pipWindow;
+    
     if (pipWindow) {
         // Remove message listener
         if (pipWindow._messageHandler) {
@@ -545,6 +834,11 @@ export function closePipElement() {
         pipWindow = null;
     }
     
+    if (metersOnPip) {
+        audioMeterFrame = null;
+        updateAudioMeters();
+    }
+    
     // Stop timer
     stopPipTimer();
     
@@ -657,7 +951,173 @@ export const elements = {
     namingPatternCustom: null,
     namingPatternCancel: null,
     namingPatternSave: null,
-    patternPreviewText: null
+    patternPreviewText: null,
+    // Camera overlay modal elements
+    cameraOverlayModal: null,
+    cameraOverlayPreview: null,
+    cameraOverlayPosition: null,
+    cameraOverlaySize: null,
+    cameraOverlayCustomSize: null,
+    cameraOverlayShape: null,
+    cameraOverlayBorderColor: null,
+    cameraOverlayBorderWidth: null,
+    cameraOverlayShadow: null,
+    cameraOverlayReset: null,
+    cameraOverlayCancel: null,
+    cameraOverlaySave: null,
+    cameraBubbleFrame: null,
+    audioMixer: null,
+    // Region picker elements
+    regionBtn: null,
+    regionPicker: null,
+    regionPickerCanvas: null,
+    regionAspectButtons: [],
+    regionFull: null,
+    regionCancel: null,
+    regionApply: null,
+    // Annotation layer elements
+    annotateBtn: null,
+    annotationLayer: null,
+    annotationTools: null,
+    annotationColors: null,
+    annotationFade: null,
+    annotationClear: null,
+    annotationDone: null,
+    // Watermark modal elements
+    watermarkModal: null,
+    watermarkPreview: null,
+    watermarkEnabled: null,
+    watermarkLogo: null,
+    watermarkFile: null,
+    watermarkFileName: null,
+    watermarkRemove: null,
+    watermarkPosition: null,
+    watermarkOpacity: null,
+    watermarkScale: null,
+    watermarkCancel: null,
+    watermarkSave: null,
+    // Camera background modal elements
+    cameraEffectsModal: null,
+    cameraEffect: null,
+    cameraBlurGroup: null,
+    cameraBlur: null,
+    cameraBackgroundColorGroup: null,
+    cameraBackgroundColor: null,
+    cameraBackgroundUploadGroup: null,
+    cameraBackgroundFile: null,
+    cameraBackgroundFileName: null,
+    cameraBackgroundRemove: null,
+    cameraEffectsCancel: null,
+    cameraEffectsSave: null,
+    // Quality modal elements
+    qualityModal: null,
+    qualityPreset: null,
+    qualityResolution: null,
+    qualityFps: null,
+    qualityBitrate: null,
+    qualityCodec: null,
+    qualityEstimateText: null,
+    qualityCancel: null,
+    qualitySave: null,
+    // Screen share ended prompt
+    screenEndedBanner: null,
+    screenEndedText: null,
+    screenEndedReshare: null,
+    screenEndedCamera: null,
+    screenEndedStop: null,
+    // Multi-take session
+    endTakeBtn: null,
+    takesPanel: null,
+    takesSummary: null,
+    takesList: null,
+    nextTakeBtn: null,
+    discardTakeBtn: null,
+    // Countdown overlay
+    countdownOverlay: null,
+    countdownNumber: null,
+    countdownCancel: null,
+    // Recording options modal elements
+    recordingOptionsModal: null,
+    screenEndedAction: null,
+    recordInTakes: null,
+    countdownSeconds: null,
+    countdownBeep: null,
+    maxRecordingMinutes: null,
+    limitWarningMinutes: null,
+    splitSizeMb: null,
+    splitMinutes: null,
+    screenCursorGroup: null,
+    screenCursor: null,
+    cursorHighlight: null,
+    clickRipples: null,
+    regionBeforeStart: null,
+    zoomLevel: null,
+    recordingOptionsCancel: null,
+    recordingOptionsSave: null,
+    // Schedule modal elements
+    scheduleModal: null,
+    scheduleStart: null,
+    scheduleStopMode: null,
+    scheduleDurationGroup: null,
+    scheduleDuration: null,
+    scheduleStopAtGroup: null,
+    scheduleStopAt: null,
+    scheduleAdd: null,
+    scheduleList: null,
+    scheduleClose: null,
+    // Text overlays modal elements
+    textOverlaysModal: null,
+    textOverlayList: null,
+    textOverlayFormLabel: null,
+    textOverlayType: null,
+    textOverlayTitleLabel: null,
+    textOverlayTitle: null,
+    textOverlaySubtitleGroup: null,
+    textOverlaySubtitleLabel: null,
+    textOverlaySubtitle: null,
+    textOverlayColors: null,
+    textOverlayCancelEdit: null,
+    textOverlaySave: null,
+    textOverlaysClose: null,
+    // Devices modal elements
+    openDevicesBtn: null,
+    switchDevicesBtn: null,
+    devicesModal: null,
+    cameraDevice: null,
+    cameraDevicePreview: null,
+    cameraDeviceStatus: null,
+    cameraAdjustPreview: null,
+    cameraAdjustments: null,
+    cameraMirror: null,
+    cameraZoom: null,
+    cameraOffsetX: null,
+    cameraOffsetY: null,
+    cameraBrightness: null,
+    cameraContrast: null,
+    cameraSaturation: null,
+    cameraAdjustReset: null,
+    micDevice: null,
+    micDeviceTest: null,
+    micDeviceStatus: null,
+    devicesCancel: null,
+    devicesSave: null,
+    // Audio processing modal elements
+    audioProcessingModal: null,
+    micNoiseSuppression: null,
+    micEchoCancellation: null,
+    micAutoGainControl: null,
+    micNoiseGate: null,
+    micGateThreshold: null,
+    micCompressor: null,
+    micCompressorThreshold: null,
+    micCompressorRatio: null,
+    audioProcessingCancel: null,
+    audioProcessingSave: null,
+    // Recovery modal elements
+    recoveryModal: null,
+    recoveryDetails: null,
+    recoveryRecover: null,
+    recoveryDiscard: null
 };
 
 // ============================================
@@ -774,6 +1234,180 @@ export function initElements() {
     elements.namingPatternCancel = document.getElementById('naming-pattern-cancel');
     elements.namingPatternSave = document.getElementById('naming-pattern-save');
     elements.patternPreviewText = document.getElementById('pattern-preview-text');
+    // Camera overlay modal elements
+    elements.cameraOverlayModal = document.getElementById('camera-overlay-modal');
+    elements.cameraOverlayPreview = document.getElementById('camera-overlay-preview');
+    elements.cameraOverlayPosition = document.getElementById('camera-overlay-position');
+    elements.cameraOverlaySize = document.getElementById('camera-overlay-size');
+    elements.cameraOverlayCustomSize = document.getElementById('camera-overlay-custom-size');
+    elements.cameraOverlayShape = document.getElementById('camera-overlay-shape');
+    elements.cameraOverlayBorderColor = document.getElementById('camera-overlay-border-color');
+    elements.cameraOverlayBorderWidth = document.getElementById('camera-overlay-border-width');
+    elements.cameraOverlayShadow = document.getElementById('camera-overlay-shadow');
+    elements.cameraOverlayReset = document.getElementById('camera-overlay-reset');
+    elements.cameraOverlayCancel = document.getElementById('camera-overlay-cancel');
+    elements.cameraOverlaySave = document.getElementById('camera-overlay-save');
+    elements.cameraBubbleFrame = document.getElementById('camera-bubble-frame');
+    elements.audioMixer = document.getElementById('audio-mixer');
+    // Region picker elements
+    elements.regionBtn = document.getElementById('select-region');
+    elements.regionPicker = document.getElementById('region-picker');
+    elements.regionPickerCanvas = document.getElementById('region-picker-canvas');
+    elements.regionAspectButtons = Array.from(document.querySelectorAll('.region-aspect-btn'));
+    elements.regionFull = document.getElementById('region-full');
+    elements.regionCancel = document.getElementById('region-cancel');
+    elements.regionApply = document.getElementById('region-apply');
+    // Annotation layer elements
+    elements.annotateBtn = document.getElementById('annotate');
+    elements.annotationLayer = document.getElementById('annotation-layer');
+    elements.annotationTools = document.getElementById('annotation-tools');
+    elements.annotationColors = document.getElementById('annotation-colors');
+    elements.annotationFade = document.getElementById('annotation-fade');
+    elements.annotationClear = document.getElementById('annotation-clear');
+    elements.annotationDone = document.getElementById('annotation-done');
+    // Watermark modal elements
+    elements.watermarkModal = document.getElementById('watermark-modal');
+    elements.watermarkPreview = document.getElementById('watermark-preview');
+    elements.watermarkEnabled = document.getElementById('watermark-enabled');
+    elements.watermarkLogo = document.getElementById('watermark-logo');
+    elements.watermarkFile = document.getElementById('watermark-file');
+    elements.watermarkFileName = document.getElementById('watermark-file-name');
+    elements.watermarkRemove = document.getElementById('watermark-remove');
+    elements.watermarkPosition = document.getElementById('watermark-position');
+    elements.watermarkOpacity = document.getElementById('watermark-opacity');
+    elements.watermarkScale = document.getElementById('watermark-scale');
+    elements.watermarkCancel = document.getElementById('watermark-cancel');
+    elements.watermarkSave = document.getElementById('watermark-save');
+    // Camera background modal elements
+    elements.cameraEffectsModal = document.getElementById('camera-effects-modal');
+    elements.cameraEffect = document.getElementById('camera-effect');
+    elements.cameraBlurGroup = document.getElementById('camera-blur-group');
+    elements.cameraBlur = document.getElementById('camera-blur');
+    elements.cameraBackgroundColorGroup = document.getElementById('camera-background-color-group');
+    elements.cameraBackgroundColor = document.getElementById('camera-background-color');
+    elements.cameraBackgroundUploadGroup = document.getElementById('camera-background-upload-group');
+    elements.cameraBackgroundFile = document.getElementById('camera-background-file');
+    elements.cameraBackgroundFileName = document.getElementById('camera-background-file-name');
+    elements.cameraBackgroundRemove = document.getElementById('camera-background-remove');
+    elements.cameraEffectsCancel = document.getElementById('camera-effects-cancel');
+    elements.cameraEffectsSave = document.getElementById('camera-effects-save');
+    // Quality modal elements
+    elements.qualityModal = document.getElementById('quality-modal');
+    elements.qualityPreset = document.getElementById('quality-preset');
+    elements.qualityResolution = document.getElementById('quality-resolution');
+    elements.qualityFps = document.getElementById('quality-fps');
+    elements.qualityBitrate = document.getElementById('quality-bitrate');
+    elements.qualityCodec = document.getElementById('quality-codec');
+    elements.qualityEstimateText = document.getElementById('quality-estimate-text');
+    elements.qualityCancel = document.getElementById('quality-cancel');
+    elements.qualitySave = document.getElementById('quality-save');
+    
+    // Screen share ended prompt
+    elements.screenEndedBanner = document.getElementById('screen-ended-banner');
+    elements.screenEndedText = document.getElementById('screen-ended-text');
+    elements.screenEndedReshare = document.getElementById('screen-ended-reshare');
+    elements.screenEndedCamera = document.getElementById('screen-ended-camera');
+    elements.screenEndedStop = document.getElementById('screen-ended-stop');
+    
+    // Multi-take session
+    elements.endTakeBtn = document.getElementById('end-take');
+    elements.takesPanel = document.getElementById('takes-panel');
+    elements.takesSummary = document.getElementById('takes-summary');
+    elements.takesList = document.getElementById('takes-list');
+    elements.nextTakeBtn = document.getElementById('next-take');
+    elements.discardTakeBtn = document.getElementById('discard-take');
+    
+    // Countdown overlay
+    elements.countdownOverlay = document.getElementById('countdown-overlay');
+    elements.countdownNumber = document.getElementById('countdown-number');
+    elements.countdownCancel = document.getElementById('countdown-cancel');
+    
+    // Recording options modal elements
+    elements.recordingOptionsModal = document.getElementById('recording-options-modal');
+    elements.screenEndedAction = document.getElementById('screen-ended-action');
+    elements.recordInTakes = document.getElementById('record-in-takes');
+    elements.countdownSeconds = document.getElementById('countdown-seconds');
+    elements.countdownBeep = document.getElementById('countdown-beep');
+    elements.maxRecordingMinutes = document.getElementById('max-recording-minutes');
+    elements.limitWarningMinutes = document.getElementById('limit-warning-minutes');
+    elements.splitSizeMb = document.getElementById('split-size-mb');
+    elements.splitMinutes = document.getElementById('split-minutes');
+    elements.screenCursorGroup = document.getElementById('screen-cursor-group');
+    elements.screenCursor = document.getElementById('screen-cursor');
+    elements.cursorHighlight = document.getElementById('cursor-highlight');
+    elements.clickRipples = document.getElementById('click-ripples');
+    elements.regionBeforeStart = document.getElementById('region-before-start');
+    elements.zoomLevel = document.getElementById('zoom-level');
+    elements.recordingOptionsCancel = document.getElementById('recording-options-cancel');
+    elements.recordingOptionsSave = document.getElementById('recording-options-save');
+    
+    // Schedule modal elements
+    elements.scheduleModal = document.getElementById('schedule-modal');
+    elements.scheduleStart = document.getElementById('schedule-start');
+    elements.scheduleStopMode = document.getElementById('schedule-stop-mode');
+    elements.scheduleDurationGroup = document.getElementById('schedule-duration-group');
+    elements.scheduleDuration = document.getElementById('schedule-duration');
+    elements.scheduleStopAtGroup = document.getElementById('schedule-stop-at-group');
+    elements.scheduleStopAt = document.getElementById('schedule-stop-at');
+    elements.scheduleAdd = document.getElementById('schedule-add');
+    elements.scheduleList = document.getElementById('schedule-list');
+    elements.scheduleClose = document.getElementById('schedule-close');
+    
+    // Text overlays modal elements
+    elements.textOverlaysModal = document.getElementById('text-overlays-modal');
+    elements.textOverlayList = document.getElementById('text-overlay-list');
+    elements.textOverlayFormLabel = document.getElementById('text-overlay-form-label');
+    elements.textOverlayType = document.getElementById('text-overlay-type');
+    elements.textOverlayTitleLabel = document.getElementById('text-overlay-title-label');
+    elements.textOverlayTitle = document.getElementById('text-overlay-title');
+    elements.textOverlaySubtitleGroup = document.getElementById('text-overlay-subtitle-group');
+    elements.textOverlaySubtitleLabel = document.getElementById('text-overlay-subtitle-label');
+    elements.textOverlaySubtitle = document.getElementById('text-overlay-subtitle');
+    elements.textOverlayColors = document.getElementById('text-overlay-colors');
+    elements.textOverlayCancelEdit = document.getElementById('text-overlay-cancel-edit');
+    elements.textOverlaySave = document.getElementById('text-overlay-save');
+    elements.textOverlaysClose = document.getElementById('text-overlays-close');
+    
+    // Devices modal elements
+    elements.openDevicesBtn = document.getElementById('open-devices');
+    elements.switchDevicesBtn = document.getElementById('switch-devices');
+    elements.devicesModal = document.getElementById('devices-modal');
+    elements.cameraDevice = document.getElementById('camera-device');
+    elements.cameraDevicePreview = document.getElementById('camera-device-preview');
+    elements.cameraDeviceStatus = document.getElementById('camera-device-status');
+    elements.cameraAdjustPreview = document.getElementById('camera-adjust-preview');
+    elements.cameraAdjustments = document.getElementById('camera-adjustments');
+    elements.cameraMirror = document.getElementById('camera-mirror');
+    elements.cameraZoom = document.getElementById('camera-zoom');
+    elements.cameraOffsetX = document.getElementById('camera-offset-x');
+    elements.cameraOffsetY = document.getElementById('camera-offset-y');
+    elements.cameraBrightness = document.getElementById('camera-brightness');
+    elements.cameraContrast = document.getElementById('camera-contrast');
+    elements.cameraSaturation = document.getElementById('camera-saturation');
+    elements.cameraAdjustReset = document.getElementById('camera-adjust-reset');
+    elements.micDevice = document.getElementById('mic-device');
+    elements.micDeviceTest = document.getElementById('mic-device-test');
+    elements.micDeviceStatus = document.getElementById('mic-device-status');
+    elements.devicesCancel = document.getElementById('devices-cancel');
+    elements.devicesSave = document.getElementById('devices-save');
+    
+    // Audio processing modal elements
+    elements.audioProcessingModal = document.getElementById('audio-processing-modal');
+    elements.micNoiseSuppression = document.getElementById('mic-noise-suppression');
+    elements.micEchoCancellation = document.getElementById('mic-echo-cancellation');
+    elements.micAutoGainControl = document.getElementById('mic-auto-gain-control');
+    elements.micNoiseGate = document.getElementById('mic-noise-gate');
+    elements.micGateThreshold = document.getElementById('mic-gate-threshold');
+    elements.micCompressor = document.getElementById('mic-compressor');
+    elements.micCompressorThreshold = document.getElementById('mic-compressor-threshold');
+    elements.micCompressorRatio = document.getElementById('mic-compressor-ratio');
+    elements.audioProcessingCancel = document.getElementById('audio-processing-cancel');
+    elements.audioProcessingSave = document.getElementById('audio-processing-save');
+    // Recovery modal elements
+    elements.recoveryModal = document.getElementById('recovery-modal');
+    elements.recoveryDetails = document.getElementById('recovery-details');
+    elements.recoveryRecover = document.getElementById('recovery-recover');
+    elements.recoveryDiscard = document.getElementById('recovery-discard');
 }
 
 // ============================================
@@ -841,18 +1475,78 @@ function getToastIcon(type) {
 // CONFIG MANAGEMENT
 // ============================================
 
+const DEFAULT_APP_CONFIG = {
+    screen: false,
+    camera: false,
+    mic: false,
+    systemAudio: false,
+    // Camera overlay
+    overlayPosition: 'bottom-right',
+    overlaySize: 'medium',
+    overlayCustomSize: 20,
+    overlayShape: 'rounded',
+    overlayBorderColor: '#ffffff',
+    overlayBorderWidth: 0,
+    overlayShadow: false,
+    // Watermark
+    watermarkEnabled: true,
+    watermarkLogo: 'default',
+    watermarkPosition: 'top-left',
+    watermarkOpacity: 100,
+    watermarkScale: 8,
+    // Quality
+    qualityPreset: 'balanced',
+    qualityResolution: '1080p',
+    qualityFps: 30,
+    qualityCodec: 'auto',
+    qualityBitrate: 4000000,
+    // Audio mixer
+    micVolume: 100,
+    systemAudioVolume: 100,
+    // Devices ('' = browser default)
+    cameraDeviceId: '',
+    micDeviceId: '',
+    // Recording options
+    screenEndedAction: 'pause',
+    recordInTakes: false,
+    countdownSeconds: 3,
+    countdownBeep: false,
+    maxRecordingMinutes: 0,
+    limitWarningMinutes: 2,
+    splitSizeMB: 450,
+    splitMinutes: 0,
+    screenCursor: 'always',
+    cursorHighlight: false,
+    clickRipples: false,
+    regionBeforeStart: false,
+    zoomLevel: 2,
+    // Annotations
+    annotationColor: '#FF3B30',
+    annotationFadeSeconds: 0,
+    // Camera background
+    cameraEffect: 'none',
+    cameraBlur: 2,
+    cameraBackgroundColor: '#1F2937',
+    // Microphone processing
+    micNoiseSuppression: true,
+    micEchoCancellation: true,
+    micAutoGainControl: true,
+    micNoiseGate: false,
+    micGateThreshold: -50,
+    micCompressor: false,
+    micCompressorThreshold: -24,
+    micCompressorRatio: 4
+};
+
 export const AppConfig = {
-    _config: {
-        screen: false,
-        camera: false,
-        mic: false,
-        systemAudio: false
-    },
+    _config: { ...DEFAULT_APP_CONFIG },
     
     get config() { return { ...this._config }; },
     
+    get defaults() { return { ...DEFAULT_APP_CONFIG }; },
+    
     setConfig(key, value) {
-        if (VALID_CONFIG_KEYS?.includes(key) && typeof value === VALID_CONFIG_VALUES?.[key]) {
+        if (isValidConfigValue(key, value)) {
             this._config[key] = value;
             this.persist();
             return true;
@@ -863,7 +1557,7 @@ export const AppConfig = {
     setConfigBatch(newConfig) {
         const validated = {};
         Object.entries(newConfig).forEach(([key, value]) => {
-            if (VALID_CONFIG_KEYS?.includes(key) && typeof value === VALID_CONFIG_VALUES?.[key]) {
+            if (isValidConfigValue(key, value)) {
                 validated[key] = value;
             }
         });
@@ -873,7 +1567,7 @@ export const AppConfig = {
     },
     
     reset() {
-        this._config = { screen: false, camera: false, mic: false, systemAudio: false };
+        this._config = { ...DEFAULT_APP_CONFIG };
         this.persist();
     },
     
@@ -892,7 +1586,11 @@ export const AppConfig = {
             if (stored) {
                 const state = JSON.parse(stored);
                 if (state.config) {
-                    this._config = { ...this._config, ...state.config };
+                    // Drop stale or malformed entries from older versions
+                    const valid = Object.fromEntries(
+                        Object.entries(state.config).filter(([key, value]) => isValidConfigValue(key, value))
+                    );
+                    this._config = { ...this._config, ...valid };
                     return true;
                 }
             }
@@ -911,9 +1609,9 @@ export function updateConfigSummary() {
     if (!elements.configSummary || !elements.startBtn) return;
     
     const config = AppConfig.config;
-    const active = Object.entries(config)
-        .filter(([k, v]) => v)
-        .map(([k]) => k.replace(/([A-Z])/g, ' $1').trim())
+    const active = SOURCE_CONFIG_KEYS
+        .filter(k => config[k])
+        .map(k => k.replace(/([A-Z])/g, ' $1').trim())
         .join(', ');
     
     elements.configSummary.textContent = active ? `Selected: ${active}` : 'Select screen or camera to start';
@@ -1002,6 +1700,13 @@ function createVideoCard(video) {
     const meta = createElement('div', { className: 'saved-card-meta' });
     meta.innerHTML = `${dateStr} · ${durationStr} · ${sizeStr}`;
     
+    // Format badge - older recordings have no stored type, so it's sniffed from the file
+    const formatBadge = createElement('span', { className: 'saved-card-format' });
+    meta.appendChild(formatBadge);
+    getStoredVideoFormat(video).then(format => {
+        formatBadge.textContent = [format.container.toUpperCase(), format.codec].filter(Boolean).join(' · ');
+    }).catch(() => formatBadge.remove());
+    
     content.appendChild(title);
     content.appendChild(meta);
     
@@ -1058,6 +1763,47 @@ function createVideoCard(video) {
     return card;
 }
 
+/**
+ * Refresh a split recording's group header from the parts it holds
+ * @param {HTMLElement} group - The .saved-series element
+ */
+function updateSeriesHeader(group) {
+    const cards = [...group.querySelectorAll('.saved-card')];
+    const duration = cards.reduce((total, card) => total + Number(card.dataset.duration || 0), 0);
+    group.querySelector('.saved-series-header').textContent =
+        `Split recording · ${cards.length} ${cards.length === 1 ? 'part' : 'parts'} · ${formatDuration(duration)}`;
+}
+
+/**
+ * Append recording cards to the saved list. Parts of a split recording are
+ * kept together in one group, in part order, even across loaded pages.
+ * @param {Array} videos - Video objects from the database
+ */
+function appendVideoCards(videos) {
+    videos.forEach(video => {
+        const card = createVideoCard(video);
+        if (!video.seriesId) {
+            elements.savedList.appendChild(card);
+            return;
+        }
+        
+        card.dataset.part = String(video.part || 0);
+        card.dataset.duration = String(video.duration || 0);
+        
+        let group = elements.savedList.querySelector(`.saved-series[data-series-id="${CSS.escape(video.seriesId)}"]`);
+        if (!group) {
+            group = createElement('div', { className: 'saved-series' });
+            group.dataset.seriesId = video.seriesId;
+            group.appendChild(createElement('div', { className: 'saved-series-header' }));
+            elements.savedList.appendChild(group);
+        }
+        
+        const later = [...group.querySelectorAll('.saved-card')].find(other => Number(other.dataset.part) > (video.part || 0));
+        group.insertBefore(card, later || null);
+        updateSeriesHeader(group);
+    });
+}
+
 /**
  * Update the saved list header with total count
  */
@@ -1137,17 +1883,10 @@ export async function populateSavedList(append = false) {
         // Clear and re-render all filtered videos (not just new ones)
         if (!append) {
             elements.savedList.innerHTML = '';
-            filteredVideos.forEach(video => {
-                const card = createVideoCard(video);
-                elements.savedList.appendChild(card);
-            });
+            appendVideoCards(filteredVideos);
         } else {
             // For load more, only add new videos that match filters
-            const newVideos = result.videos.filter(video => FilterState.matches(video));
-            newVideos.forEach(video => {
-                const card = createVideoCard(video);
-                elements.savedList.appendChild(card);
-            });
+            appendVideoCards(result.videos.filter(video => FilterState.matches(video)));
         }
         
         updateLoadMoreButton();
@@ -1231,10 +1970,7 @@ async function loadAllVideosForFilter() {
             elements.savedList.appendChild(emptyMsg);
         } else {
             // Render all filtered videos
-            filteredVideos.forEach(video => {
-                const card = createVideoCard(video);
-                elements.savedList.appendChild(card);
-            });
+            appendVideoCards(filteredVideos);
         }
         
         // Hide load more button when showing filtered results
@@ -1312,6 +2048,107 @@ export async function playVideo(id) {
 // EVENT LISTENERS
 // ============================================
 
+/**
+ * Start a recording with the current config - from the Start button, or a scheduled job
+ * @param {Object} options - {scheduled: started by the scheduler rather than a click}
+ * @returns {Promise<boolean>} - True if recording started
+ */
+async function beginRecording({ scheduled = false } = {}) {
+    // Check browser type for specific handling
+    const isSafari = /^((?!chrome|android).)*safari/i.test(navigator.userAgent);
+    const isFirefox = /^((?!seamonkey|chrome|android).)*firefox/i.test(navigator.userAgent) || navigator.userAgent.toLowerCase().includes('firefox');
+    
+    if (isSafari && AppConfig.config.screen && !window._safariScreenStream) {
+        // Safari path: call getDisplayMedia directly from user gesture
+        try {
+            const screenStream = await navigator.mediaDevices.getDisplayMedia({
+                video: getDisplayVideoConstraints(AppConfig.config),
+                audio: false // Safari doesn't support system audio
+            });
+            
+            // Store the screen stream for use in recording
+            window._safariScreenStream = screenStream;
+        } catch (err) {
+            if (err.name === 'NotAllowedError') {
+                showToast('Screen sharing was denied. Please allow access and try again.', 'error');
+            } else {
+                showToast(`Screen share failed: ${err.message}`, 'error');
+            }
+            return false;
+        }
+    }
+    
+    // Firefox-specific: Ensure we're in a secure context and mediaDevices is available
+    if (isFirefox) {
+        if (!navigator.mediaDevices?.getDisplayMedia) {
+            showToast('Screen sharing not supported in this browser.', 'error');
+            return false;
+        }
+    }
+    
+    // Validate configuration before starting
+    const configValidation = RecordingConfigValidator.validate(AppConfig.config);
+    
+    if (!configValidation.isValid) {
+        showToast(configValidation.firstError, 'error');
+        return false;
+    }
+    
+    // Check storage quota
+    const storageValidation = await StorageValidator.checkStorageQuota();
+    if (!storageValidation.isValid) {
+        showToast(storageValidation.firstError, 'error');
+        return false;
+    }
+    
+    // Show warnings if any
+    if (storageValidation.warnings.length > 0) {
+        showToast(storageValidation.warnings[0], 'warning');
+    }
+    
+    // The floating window needs a user gesture, and nobody is there to pick a region, so scheduled starts go without them
+    const result = await startRecording(AppConfig.config, showToast, () => prepareRecordingStart({ openPip: !scheduled, pickRegion: !scheduled }));
+    if (result) {
+        // Show recording action buttons (pause/stop)
+        if (elements.recordingActionButtons) {
+            elements.recordingActionButtons.classList.remove('hidden');
+        }
+        // Update pause button text
+        if (elements.pauseBtn) {
+            elements.pauseBtn.innerHTML = `
+                <svg viewBox="0 0 16 16" fill="currentColor">
+                    <rect x="4" y="3" width="2" height="10" rx="1"/>
+                    <rect x="10" y="3" width="2" height="10" rx="1"/>
+                </svg>
+                <span>Pause</span>
+            `;
+        }
+        elements.startBtn.disabled = true;
+        updateToggles(true);
+        
+        positionCameraBubbleFrame();
+        elements.regionBtn?.classList.toggle('hidden', !canSelectScreenRegion());
+        elements.annotateBtn?.classList.toggle('hidden', !canAnnotate());
+        elements.switchDevicesBtn?.classList.toggle('hidden', !canSwitchCamera() && !canSwitchMicrophone());
+        const stopLabel = elements.stopBtn?.querySelector('span');
+        if (stopLabel) stopLabel.textContent = isTakesSession() ? 'Finish' : 'Stop';
+        renderTakesPanel();
+        showAudioMixer();
+        
+        // Show recording timer
+        if (elements.recordingTimer) {
+            elements.recordingTimer.style.display = 'block';
+        }
+        
+        // Hide paused overlay
+        if (elements.pausedOverlay) {
+            elements.pausedOverlay.classList.add('hidden');
+        }
+    }
+    
+    return result;
+}
+
 export function setupEventListeners() {
     // Toggle events
     elements.screenToggle?.addEventListener('change', (e) => {
@@ -1335,201 +2172,60 @@ export function setupEventListeners() {
     });
     
     // Recording controls
-    elements.startBtn?.addEventListener('click', async () => {
-        // Check browser type for specific handling
-        const isSafari = /^((?!chrome|android).)*safari/i.test(navigator.userAgent);
-        const isFirefox = /^((?!seamonkey|chrome|android).)*firefox/i.test(navigator.userAgent) || navigator.userAgent.toLowerCase().includes('firefox');
-        
-        if (isSafari && AppConfig.config.screen) {
-            // Safari path: call getDisplayMedia directly from user gesture
-            try {
-                const screenStream = await navigator.mediaDevices.getDisplayMedia({
-                    video: true,
-                    audio: false // Safari doesn't support system audio
-                });
+    elements.startBtn?.addEventListener('click', () => beginRecording());
+    
+    elements.stopBtn?.addEventListener('click', () => stopRecording(showToast));
+    
+    elements.pauseBtn?.addEventListener('click', () => {
+        const isPaused = togglePause(showToast);
+        if (isPaused !== null) syncPauseControls(isPaused);
+    });
+    
+    // Sidebar toggle
+    const sidebarToggle = document.getElementById('toggle-sidebar');
+    sidebarToggle?.addEventListener('click', () => {
+        elements.sidebar?.classList.toggle('open');
+    });
+    
+    elements.closeSidebar?.addEventListener('click', () => {
+        elements.sidebar?.classList.remove('open');
+        // Remove inline right style to let default CSS take over
+        elements.sidebar?.style.removeProperty('right');
+    });
+    
+    // Close sidebar on outside click
+    document.addEventListener('click', (e) => {
+        if (elements.sidebar?.classList.contains('open') &&
+            !elements.sidebar.contains(e.target) &&
+            !sidebarToggle?.contains(e.target)) {
+            elements.sidebar.classList.remove('open');
+        }
+    });
+    
+    // New recording
+    elements.newRecording?.addEventListener('click', () => {
+        stopRecording(showToast);
+        updateToggles(false);
+        elements.configSummary.textContent = 'Select inputs to start';
+    });
+    
+    // Naming pattern settings
+    const namingPatternSettingsBtn = document.getElementById('naming-pattern-settings');
+    namingPatternSettingsBtn?.addEventListener('click', () => {
+        openNamingPatternModal();
+    });
+    
+    // PiP button - use Document Picture-in-Picture API with custom controls
+    elements.enablePipBtn?.addEventListener('click', async () => {
+        if (isDocumentPipSupported()) {
+            // Use Document PiP with custom controls (system-wide floating window)
+            if (RecordingState.cameraVideo || RecordingState.previewCanvas) {
+                let stream = null;
                 
-                // Store the screen stream for use in recording
-                window._safariScreenStream = screenStream;
-            } catch (err) {
-                if (err.name === 'NotAllowedError') {
-                    showToast('Screen sharing was denied. Please allow access and try again.', 'error');
-                } else {
-                    showToast(`Screen share failed: ${err.message}`, 'error');
-                }
-                return;
-            }
-        }
-        
-        // Firefox-specific: Ensure we're in a secure context and mediaDevices is available
-        if (isFirefox) {
-            if (!navigator.mediaDevices?.getDisplayMedia) {
-                showToast('Screen sharing not supported in this browser.', 'error');
-                return;
-            }
-        }
-        
-        // Validate configuration before starting
-        const configValidation = RecordingConfigValidator.validate(AppConfig.config);
-        
-        if (!configValidation.isValid) {
-            showToast(configValidation.firstError, 'error');
-            return;
-        }
-        
-        // Check storage quota
-        const storageValidation = await StorageValidator.checkStorageQuota();
-        if (!storageValidation.isValid) {
-            showToast(storageValidation.firstError, 'error');
-            return;
-        }
-        
-        // Show warnings if any
-        if (storageValidation.warnings.length > 0) {
-            showToast(storageValidation.warnings[0], 'warning');
-        }
-        
-        const result = await startRecording(AppConfig.config, showToast);
-        if (result) {
-            // Show recording action buttons (pause/stop)
-            if (elements.recordingActionButtons) {
-                elements.recordingActionButtons.classList.remove('hidden');
-            }
-            // Update pause button text
-            if (elements.pauseBtn) {
-                elements.pauseBtn.innerHTML = `
-                    <svg viewBox="0 0 16 16" fill="currentColor">
-                        <rect x="4" y="3" width="2" height="10" rx="1"/>
-                        <rect x="10" y="3" width="2" height="10" rx="1"/>
-                    </svg>
-                    <span>Pause</span>
-                `;
-            }
-            elements.startBtn.disabled = true;
-            updateToggles(true);
-            
-            // Show preview canvas if exists
-            if (RecordingState.previewCanvas && elements.previewArea) {
-                // Check if previewVideo is a direct child of previewArea
-                if (elements.previewVideo && elements.previewVideo.parentNode === elements.previewArea) {
-                    elements.previewArea.insertBefore(RecordingState.previewCanvas, elements.previewVideo);
-                } else {
-                    elements.previewArea.appendChild(RecordingState.previewCanvas);
-                }
-                if (elements.previewVideo) {
-                    elements.previewVideo.style.display = 'none';
-                }
-                elements.previewArea.classList.remove('hidden');
-            }
-            
-            // Show recording timer
-            if (elements.recordingTimer) {
-                elements.recordingTimer.style.display = 'block';
-            }
-            
-            // Hide paused overlay
-            if (elements.pausedOverlay) {
-                elements.pausedOverlay.classList.add('hidden');
-            }
-            
-            // Automatically open Document Picture-in-Picture if supported
-            if (isDocumentPipSupported()) {
-                let stream = null;
-                
-                if (RecordingState.cameraVideo && RecordingState.cameraVideo.srcObject) {
-                    stream = RecordingState.cameraVideo.srcObject;
-                } else if (RecordingState.previewCanvas) {
-                    stream = RecordingState.previewCanvas.captureStream(30);
-                }
-                
-                if (stream) {
-                    // Open PiP automatically
-                    await openPipElement(stream);
-                    
-                    // Hide PiP info since PiP is now open
-                    if (elements.pipInfo) {
-                        elements.pipInfo.classList.add('hidden');
-                    }
-                }
-            } else {
-                // Show PiP info if camera enabled (fallback for native PiP)
-                if (AppConfig.config.camera && document.pictureInPictureEnabled) {
-                    elements.pipInfo?.classList.remove('hidden');
-                }
-            }
-        }
-    });
-    
-    elements.stopBtn?.addEventListener('click', () => stopRecording(showToast));
-    
-    elements.pauseBtn?.addEventListener('click', async () => {
-        const recording = await import('./recording.js');
-        const isPaused = recording.togglePause(showToast);
-        if (isPaused !== undefined) {
-            if (elements.pauseBtn) {
-                elements.pauseBtn.innerHTML = isPaused ? `
-                    <svg viewBox="0 0 16 16" fill="currentColor">
-                        <polygon points="4 3 13 8 4 13 4 3"/>
-                    </svg>
-                    <span>Resume</span>
-                ` : `
-                    <svg viewBox="0 0 16 16" fill="currentColor">
-                        <rect x="4" y="3" width="2" height="10" rx="1"/>
-                        <rect x="10" y="3" width="2" height="10" rx="1"/>
-                    </svg>
-                    <span>Pause</span>
-                `;
-            }
-            if (elements.pausedOverlay) {
-                elements.pausedOverlay.classList.toggle('hidden', !isPaused);
-            }
-        }
-    });
-    
-    // Sidebar toggle
-    const sidebarToggle = document.getElementById('toggle-sidebar');
-    sidebarToggle?.addEventListener('click', () => {
-        elements.sidebar?.classList.toggle('open');
-    });
-    
-    elements.closeSidebar?.addEventListener('click', () => {
-        elements.sidebar?.classList.remove('open');
-        // Remove inline right style to let default CSS take over
-        elements.sidebar?.style.removeProperty('right');
-    });
-    
-    // Close sidebar on outside click
-    document.addEventListener('click', (e) => {
-        if (elements.sidebar?.classList.contains('open') &&
-            !elements.sidebar.contains(e.target) &&
-            !sidebarToggle?.contains(e.target)) {
-            elements.sidebar.classList.remove('open');
-        }
-    });
-    
-    // New recording
-    elements.newRecording?.addEventListener('click', () => {
-        stopRecording(showToast);
-        updateToggles(false);
-        elements.configSummary.textContent = 'Select inputs to start';
-    });
-    
-    // Naming pattern settings
-    const namingPatternSettingsBtn = document.getElementById('naming-pattern-settings');
-    namingPatternSettingsBtn?.addEventListener('click', () => {
-        openNamingPatternModal();
-    });
-    
-    // PiP button - use Document Picture-in-Picture API with custom controls
-    elements.enablePipBtn?.addEventListener('click', async () => {
-        if (isDocumentPipSupported()) {
-            // Use Document PiP with custom controls (system-wide floating window)
-            if (RecordingState.cameraVideo || RecordingState.previewCanvas) {
-                let stream = null;
-                
-                if (RecordingState.cameraVideo && RecordingState.cameraVideo.srcObject) {
-                    stream = RecordingState.cameraVideo.srcObject;
-                } else if (RecordingState.previewCanvas) {
-                    stream = RecordingState.previewCanvas.captureStream(30);
+                if (RecordingState.cameraVideo && RecordingState.cameraVideo.srcObject) {
+                    stream = RecordingState.cameraVideo.srcObject;
+                } else if (RecordingState.previewCanvas) {
+                    stream = RecordingState.previewCanvas.captureStream(30);
                 }
                 
                 if (stream) {
@@ -1650,6 +2346,50 @@ export function setupEventListeners() {
     // Naming pattern modal events
     setupNamingPatternModal();
     
+    // Camera overlay modal events
+    setupCameraOverlayModal();
+    
+    // Watermark modal events
+    setupWatermarkModal();
+    
+    // Camera background modal events
+    setupCameraEffectsModal();
+    
+    // Quality modal events
+    setupQualityModal();
+    
+    // Screen share ended prompt
+    setupScreenEndedPrompt();
+    
+    // Countdown overlay
+    setupCountdown();
+    
+    // Multi-take session controls
+    setupTakesPanel();
+    
+    // Recording options modal events
+    setupRecordingOptionsModal();
+    
+    // Schedule modal events
+    setupScheduleModal();
+    
+    // Text overlay presets
+    setupTextOverlays();
+    
+    // Devices modal events
+    setupDevicesModal();
+    
+    // Audio processing modal events
+    setupAudioProcessingModal();
+    
+    // Camera bubble drag/resize during recording
+    setupCameraBubbleEditor();
+    
+    // Screen region picker during recording
+    setupRegionPicker();
+    setupAnnotations();
+    setupScreenZoom();
+    
     // Keyboard shortcuts modal
     elements.shortcutsInfoBtn?.addEventListener('click', () => {
         elements.shortcutsModal?.classList.remove('hidden');
@@ -1683,6 +2423,89 @@ export function setupEventListeners() {
     });
 }
 
+// ============================================
+// CRASH RECOVERY
+// ============================================
+
+/**
+ * Ask the user what to do with an orphaned recording session
+ * @param {Object} session - Recording session record
+ * @returns {Promise<string|null>} - 'recover', 'discard', or null to decide later
+ */
+function showRecoveryModal(session) {
+    return new Promise((resolve) => {
+        const { recoveryModal, recoveryDetails, recoveryRecover, recoveryDiscard } = elements;
+        const closeBtn = recoveryModal?.querySelector('.modal-close');
+        
+        if (!recoveryModal || !recoveryDetails || !recoveryRecover || !recoveryDiscard) {
+            resolve(confirm('An unsaved recording was found. Recover it?') ? 'recover' : null);
+            return;
+        }
+        
+        const sources = SOURCE_CONFIG_KEYS
+            .filter(key => session.config?.[key])
+            .map(key => key.replace(/([A-Z])/g, ' $1').trim())
+            .join(', ');
+        
+        const list = createElement('dl');
+        [
+            ['Started', formatDate(session.startedAt)],
+            ['Length', formatDuration(getSessionDuration(session))],
+            ['Size', formatFileSize(session.size || 0)],
+            ['Sources', sources || 'Unknown'],
+            ['State', session.isPaused ? 'Paused' : 'Recording']
+        ].forEach(([label, value]) => {
+            list.appendChild(createElement('dt', { textContent: label }));
+            list.appendChild(createElement('dd', { textContent: value }));
+        });
+        recoveryDetails.innerHTML = '';
+        recoveryDetails.appendChild(list);
+        
+        recoveryModal.classList.remove('hidden');
+        recoveryRecover.focus();
+        
+        const finish = (choice) => {
+            recoveryModal.classList.add('hidden');
+            recoveryRecover.onclick = null;
+            recoveryDiscard.onclick = null;
+            if (closeBtn) closeBtn.onclick = null;
+            resolve(choice);
+        };
+        
+        recoveryRecover.onclick = () => finish('recover');
+        recoveryDiscard.onclick = () => {
+            if (confirm('Discard this recording? This cannot be undone.')) {
+                finish('discard');
+            }
+        };
+        if (closeBtn) closeBtn.onclick = () => finish(null);
+    });
+}
+
+/**
+ * Offer to recover recordings interrupted by a crash or closed tab
+ */
+export async function offerSessionRecovery() {
+    const sessions = await findRecoverableSessions();
+    
+    for (const session of sessions) {
+        const choice = await showRecoveryModal(session);
+        
+        if (choice === 'recover') {
+            const onAfterSave = async (videoId) => {
+                await populateSavedList();
+                await updateStorageInfo();
+                playVideo(videoId);
+            };
+            await recoverSession(session.id, showToast, onAfterSave);
+        } else if (choice === 'discard') {
+            if (await discardSession(session.id, showToast)) {
+                showToast('Unsaved recording discarded.');
+            }
+        }
+    }
+}
+
 // ============================================
 // SIDEBAR TOGGLE
 // ============================================
@@ -1901,16 +2724,8 @@ function handleKeyboardShortcuts(e) {
     // Cmd/Ctrl + Shift + X: Pause/Resume (only when recording)
     if (modifierKey && e.shiftKey && (e.key === 'x' || e.key === 'X') && RecordingState.isRecording) {
         e.preventDefault();
-        togglePause(showToast).then(isPaused => {
-            if (isPaused !== undefined && elements.pauseBtn) {
-                elements.pauseBtn.innerHTML = isPaused ?
-                    `<svg viewBox="0 0 16 16" fill="currentColor"><polygon points="4 3 13 8 4 13 4 3"/></svg> Resume` :
-                    `<svg viewBox="0 0 16 16" fill="currentColor"><rect x="4" y="3" width="2" height="10" rx="1"/><rect x="10" y="3" width="2" height="10" rx="1"/></svg> Pause`;
-                if (elements.pausedOverlay) {
-                    elements.pausedOverlay.classList.toggle('hidden', !isPaused);
-                }
-            }
-        });
+        const isPaused = togglePause(showToast);
+        if (isPaused !== null) syncPauseControls(isPaused);
         return;
     }
     
@@ -1920,6 +2735,17 @@ function handleKeyboardShortcuts(e) {
         const shortcutsModal = document.getElementById('shortcuts-modal');
         const filenameModal = document.getElementById('filename-modal');
         const namingModal = document.getElementById('naming-pattern-modal');
+        const cameraOverlayModal = document.getElementById('camera-overlay-modal');
+        const watermarkModal = document.getElementById('watermark-modal');
+        const cameraEffectsModal = document.getElementById('camera-effects-modal');
+        const qualityModal = document.getElementById('quality-modal');
+        const recordingOptionsModal = document.getElementById('recording-options-modal');
+        const scheduleModal = document.getElementById('schedule-modal');
+        const textOverlaysModal = document.getElementById('text-overlays-modal');
+        const devicesModal = document.getElementById('devices-modal');
+        const audioProcessingModal = document.getElementById('audio-processing-modal');
+        const regionPicker = document.getElementById('region-picker');
+        const annotationLayer = document.getElementById('annotation-layer');
         const commandMenu = document.getElementById('command-menu');
         
         if (!shortcutsModal?.classList.contains('hidden')) {
@@ -1934,6 +2760,50 @@ function handleKeyboardShortcuts(e) {
             namingModal.classList.add('hidden');
             return;
         }
+        if (!cameraOverlayModal?.classList.contains('hidden')) {
+            cameraOverlayModal.classList.add('hidden');
+            return;
+        }
+        if (!watermarkModal?.classList.contains('hidden')) {
+            watermarkModal.querySelector('.modal-close')?.click();
+            return;
+        }
+        if (!cameraEffectsModal?.classList.contains('hidden')) {
+            cameraEffectsModal.querySelector('.modal-close')?.click();
+            return;
+        }
+        if (!qualityModal?.classList.contains('hidden')) {
+            qualityModal.classList.add('hidden');
+            return;
+        }
+        if (!recordingOptionsModal?.classList.contains('hidden')) {
+            recordingOptionsModal.classList.add('hidden');
+            return;
+        }
+        if (!scheduleModal?.classList.contains('hidden')) {
+            scheduleModal.classList.add('hidden');
+            return;
+        }
+        if (!textOverlaysModal?.classList.contains('hidden')) {
+            textOverlaysModal.classList.add('hidden');
+            return;
+        }
+        if (!devicesModal?.classList.contains('hidden')) {
+            devicesModal.querySelector('.modal-close')?.click();
+            return;
+        }
+        if (!audioProcessingModal?.classList.contains('hidden')) {
+            audioProcessingModal.classList.add('hidden');
+            return;
+        }
+        if (!regionPicker?.classList.contains('hidden')) {
+            cancelRegionPicker();
+            return;
+        }
+        if (!annotationLayer?.classList.contains('hidden')) {
+            closeAnnotations();
+            return;
+        }
         if (!commandMenu?.classList.contains('hidden')) {
             commandMenu.classList.add('hidden');
             return;
@@ -1947,10 +2817,35 @@ function handleKeyboardShortcuts(e) {
         return;
     }
     
+    // Cmd/Ctrl + Shift + L: Cycle scene layout (only when recording)
+    if (modifierKey && e.shiftKey && (e.key === 'l' || e.key === 'L') && RecordingState.isRecording) {
+        e.preventDefault();
+        cycleSceneLayout();
+        return;
+    }
+    
+    // Cmd/Ctrl + Shift + E: Draw on the recording (only when recording)
+    if (modifierKey && e.shiftKey && (e.key === 'e' || e.key === 'E') && RecordingState.isRecording) {
+        e.preventDefault();
+        toggleAnnotations();
+        return;
+    }
+    
+    // Alt + 1-4: Pick scene layout (only when recording). Uses e.code - Option+digit types symbols on macOS
+    const layoutDigit = /^Digit([1-9])$/.exec(e.code);
+    if (e.altKey && !e.shiftKey && !modifierKey && layoutDigit && RecordingState.isRecording) {
+        const layout = Object.keys(SCENE_LAYOUTS)[Number(layoutDigit[1]) - 1];
+        if (layout) {
+            e.preventDefault();
+            switchSceneLayout(layout);
+        }
+        return;
+    }
+    
     // Cmd/Ctrl + Shift + S: Save current recording
     if (modifierKey && e.shiftKey && (e.key === 's' || e.key === 'S')) {
         e.preventDefault();
-        if (RecordingState.isRecording && RecordingState.recordedChunks.length > 0) {
+        if (RecordingState.isRecording && RecordingState.chunkCount > 0) {
             saveCurrentRecording();
         }
         return;
@@ -1974,7 +2869,9 @@ async function saveCurrentRecording() {
             playVideo(videoId);
         };
         
-        const result = await saveRecording(RecordingState.recordedChunks, config, showToast, onAfterSave);
+        // Wait for in-flight chunk writes so the snapshot includes everything recorded so far
+        await RecordingState.flushChunks();
+        const result = await saveRecording(RecordingState.sessionId, config, showToast, onAfterSave);
         
         if (result && result.cancelled) {
             // User cancelled the save, do nothing
@@ -2134,4 +3031,3312 @@ export async function openNamingPatternModal() {
     }
     
     namingPatternModal.classList.remove('hidden');
+}
+
+// ============================================
+// CAMERA OVERLAY SETTINGS
+// ============================================
+
+// Stand-in camera frame for the overlay preview (built on first use)
+let overlayPreviewCamera = null;
+
+/**
+ * Get a placeholder head-and-shoulders frame to preview the overlay with
+ * @returns {HTMLCanvasElement}
+ */
+function getOverlayPreviewCamera() {
+    if (overlayPreviewCamera) return overlayPreviewCamera;
+    
+    const canvas = document.createElement('canvas');
+    canvas.width = 640;
+    canvas.height = 360;
+    const ctx = canvas.getContext('2d');
+    
+    const background = ctx.createLinearGradient(0, 0, 0, canvas.height);
+    background.addColorStop(0, '#4b5563');
+    background.addColorStop(1, '#1f2937');
+    ctx.fillStyle = background;
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    
+    ctx.fillStyle = '#9ca3af';
+    ctx.beginPath();
+    ctx.arc(320, 150, 70, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.beginPath();
+    ctx.ellipse(320, 390, 150, 130, 0, 0, Math.PI * 2);
+    ctx.fill();
+    
+    overlayPreviewCamera = canvas;
+    return canvas;
+}
+
+/**
+ * Draw a mock desktop to stand in for the screen capture
+ * @param {CanvasRenderingContext2D} ctx - Canvas 2D context
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ */
+function drawPreviewScreen(ctx, width, height) {
+    const desktop = ctx.createLinearGradient(0, 0, width, height);
+    desktop.addColorStop(0, '#8b9cf4');
+    desktop.addColorStop(1, '#5b6ee1');
+    ctx.fillStyle = desktop;
+    ctx.fillRect(0, 0, width, height);
+    
+    // Application window
+    const wx = width * 0.1;
+    const wy = height * 0.12;
+    const ww = width * 0.8;
+    const wh = height * 0.76;
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(wx, wy, ww, wh);
+    ctx.fillStyle = '#e5e7eb';
+    ctx.fillRect(wx, wy, ww, height * 0.06);
+    
+    // Placeholder text lines
+    ctx.fillStyle = '#d1d5db';
+    for (let i = 0; i < 6; i++) {
+        const lineWidth = ww * (i % 3 === 2 ? 0.45 : 0.7);
+        ctx.fillRect(wx + ww * 0.06, wy + height * (0.14 + i * 0.09), lineWidth, height * 0.03);
+    }
+}
+
+/**
+ * Read the overlay settings currently entered in the modal
+ * @returns {Object} Overlay config entries
+ */
+function readCameraOverlayForm() {
+    return {
+        overlayPosition: elements.cameraOverlayPosition?.value,
+        overlaySize: elements.cameraOverlaySize?.value,
+        overlayCustomSize: Number(elements.cameraOverlayCustomSize?.value),
+        overlayShape: elements.cameraOverlayShape?.value,
+        overlayBorderColor: elements.cameraOverlayBorderColor?.value,
+        overlayBorderWidth: Number(elements.cameraOverlayBorderWidth?.value),
+        overlayShadow: !!elements.cameraOverlayShadow?.checked
+    };
+}
+
+/**
+ * Populate the modal from a config
+ * @param {Object} config - Config with overlay entries
+ */
+function fillCameraOverlayForm(config) {
+    if (elements.cameraOverlayPosition) elements.cameraOverlayPosition.value = config.overlayPosition;
+    if (elements.cameraOverlaySize) elements.cameraOverlaySize.value = config.overlaySize;
+    if (elements.cameraOverlayCustomSize) elements.cameraOverlayCustomSize.value = config.overlayCustomSize;
+    if (elements.cameraOverlayShape) elements.cameraOverlayShape.value = config.overlayShape;
+    if (elements.cameraOverlayBorderColor) elements.cameraOverlayBorderColor.value = config.overlayBorderColor;
+    if (elements.cameraOverlayBorderWidth) elements.cameraOverlayBorderWidth.value = config.overlayBorderWidth;
+    if (elements.cameraOverlayShadow) elements.cameraOverlayShadow.checked = config.overlayShadow;
+}
+
+/**
+ * Redraw the overlay preview from the modal's current (unsaved) values
+ */
+function renderCameraOverlayPreview() {
+    const canvas = elements.cameraOverlayPreview;
+    const config = readCameraOverlayForm();
+    
+    // Keep value labels and the custom size slider in sync with the form
+    const customSizeGroup = elements.cameraOverlayModal?.querySelector('.camera-overlay-custom-size-group');
+    customSizeGroup?.classList.toggle('hidden', config.overlaySize !== 'custom');
+    const customSizeValue = document.getElementById('camera-overlay-custom-size-value');
+    if (customSizeValue) customSizeValue.textContent = `${config.overlayCustomSize}%`;
+    const borderWidthValue = document.getElementById('camera-overlay-border-width-value');
+    if (borderWidthValue) borderWidthValue.textContent = `${config.overlayBorderWidth}px`;
+    
+    if (!canvas) return;
+    
+    // Render at recording resolution so margins, radius and border match the output
+    canvas.width = CONFIG.DEFAULT_VIDEO_WIDTH;
+    canvas.height = CONFIG.DEFAULT_VIDEO_HEIGHT;
+    const ctx = canvas.getContext('2d');
+    if (!ctx) return;
+    
+    drawPreviewScreen(ctx, canvas.width, canvas.height);
+    
+    const camera = getOverlayPreviewCamera();
+    const style = getOverlayStyle(config);
+    const rect = getOverlayRect(canvas.width, canvas.height, camera.width / camera.height, style);
+    drawCameraOverlay(ctx, camera, rect, style);
+}
+
+/**
+ * Setup camera overlay modal event listeners
+ */
+function setupCameraOverlayModal() {
+    const { cameraOverlayModal, cameraOverlayReset, cameraOverlayCancel, cameraOverlaySave } = elements;
+    
+    if (!cameraOverlayModal) return;
+    
+    const closeModal = () => cameraOverlayModal.classList.add('hidden');
+    
+    // Live preview as settings change
+    [
+        elements.cameraOverlayPosition, elements.cameraOverlaySize, elements.cameraOverlayCustomSize,
+        elements.cameraOverlayShape, elements.cameraOverlayBorderColor, elements.cameraOverlayBorderWidth,
+        elements.cameraOverlayShadow
+    ].forEach(input => {
+        input?.addEventListener('input', renderCameraOverlayPreview);
+        input?.addEventListener('change', renderCameraOverlayPreview);
+    });
+    
+    // Reset button - restores defaults in the form, applied on save
+    cameraOverlayReset?.addEventListener('click', () => {
+        fillCameraOverlayForm(AppConfig.defaults);
+        renderCameraOverlayPreview();
+    });
+    
+    // Save button
+    cameraOverlaySave?.addEventListener('click', () => {
+        AppConfig.setConfigBatch(readCameraOverlayForm());
+        closeModal();
+        showToast(
+            RecordingState.isRecording ? 'Camera overlay saved - applies to your next recording' : 'Camera overlay saved!',
+            'success'
+        );
+    });
+    
+    // Cancel button
+    cameraOverlayCancel?.addEventListener('click', closeModal);
+    
+    // Close button
+    const closeBtn = cameraOverlayModal.querySelector('.modal-close');
+    closeBtn?.addEventListener('click', closeModal);
+    
+    // Close on backdrop click
+    cameraOverlayModal.addEventListener('click', (e) => {
+        if (e.target === cameraOverlayModal || e.target.classList.contains('modal-backdrop')) {
+            closeModal();
+        }
+    });
+}
+
+/**
+ * Open camera overlay settings modal
+ */
+export function openCameraOverlayModal() {
+    const { cameraOverlayModal } = elements;
+    
+    if (!cameraOverlayModal) return;
+    
+    fillCameraOverlayForm(AppConfig.config);
+    cameraOverlayModal.classList.remove('hidden');
+    renderCameraOverlayPreview();
+}
+
+// ============================================
+// WATERMARK SETTINGS
+// ============================================
+
+// Unsaved logo changes in the watermark modal - written to IndexedDB on save
+const WatermarkDraft = {
+    image: null, // Decoded logo shown in the preview (stored or newly picked)
+    file: null, // Newly picked file
+    name: '',
+    removed: false, // Stored logo should be deleted
+    
+    reset() {
+        this.image = null;
+        this.file = null;
+        this.name = '';
+        this.removed = false;
+    }
+};
+
+/**
+ * Read the watermark settings currently entered in the modal
+ * @returns {Object} Watermark config entries
+ */
+function readWatermarkForm() {
+    return {
+        watermarkEnabled: !!elements.watermarkEnabled?.checked,
+        watermarkLogo: elements.watermarkLogo?.value,
+        watermarkPosition: elements.watermarkPosition?.value,
+        watermarkOpacity: Number(elements.watermarkOpacity?.value),
+        watermarkScale: Number(elements.watermarkScale?.value)
+    };
+}
+
+/**
+ * Populate the modal from a config
+ * @param {Object} config - Config with watermark entries
+ */
+function fillWatermarkForm(config) {
+    if (elements.watermarkEnabled) elements.watermarkEnabled.checked = config.watermarkEnabled;
+    if (elements.watermarkLogo) elements.watermarkLogo.value = config.watermarkLogo;
+    if (elements.watermarkPosition) elements.watermarkPosition.value = config.watermarkPosition;
+    if (elements.watermarkOpacity) elements.watermarkOpacity.value = config.watermarkOpacity;
+    if (elements.watermarkScale) elements.watermarkScale.value = config.watermarkScale;
+}
+
+/**
+ * Redraw the watermark preview from the modal's current (unsaved) values
+ */
+function renderWatermarkPreview() {
+    const canvas = elements.watermarkPreview;
+    const config = readWatermarkForm();
+    
+    // Keep labels and dependent controls in sync with the form
+    elements.watermarkModal?.querySelector('.watermark-options')?.classList.toggle('disabled', !config.watermarkEnabled);
+    elements.watermarkModal?.querySelector('.watermark-upload-group')?.classList.toggle('hidden', config.watermarkLogo !== 'custom');
+    elements.watermarkRemove?.classList.toggle('hidden', !WatermarkDraft.image);
+    if (elements.watermarkFileName) elements.watermarkFileName.textContent = WatermarkDraft.name || 'No logo uploaded';
+    const opacityValue = document.getElementById('watermark-opacity-value');
+    if (opacityValue) opacityValue.textContent = `${config.watermarkOpacity}%`;
+    const scaleValue = document.getElementById('watermark-scale-value');
+    if (scaleValue) scaleValue.textContent = `${config.watermarkScale}%`;
+    
+    if (!canvas) return;
+    
+    // Render at recording resolution so padding and size match the output
+    canvas.width = CONFIG.DEFAULT_VIDEO_WIDTH;
+    canvas.height = CONFIG.DEFAULT_VIDEO_HEIGHT;
+    const ctx = canvas.getContext('2d');
+    if (!ctx) return;
+    
+    drawPreviewScreen(ctx, canvas.width, canvas.height);
+    drawWatermark(ctx, canvas.width, canvas.height, getWatermarkStyle(config, WatermarkDraft.image));
+}
+
+/**
+ * Setup watermark modal event listeners
+ */
+function setupWatermarkModal() {
+    const { watermarkModal, watermarkFile, watermarkRemove, watermarkCancel, watermarkSave } = elements;
+    
+    if (!watermarkModal) return;
+    
+    const closeModal = () => {
+        watermarkModal.classList.add('hidden');
+        WatermarkDraft.reset();
+    };
+    
+    // Live preview as settings change
+    [
+        elements.watermarkEnabled, elements.watermarkLogo, elements.watermarkPosition,
+        elements.watermarkOpacity, elements.watermarkScale
+    ].forEach(input => {
+        input?.addEventListener('input', renderWatermarkPreview);
+        input?.addEventListener('change', renderWatermarkPreview);
+    });
+    
+    // Logo upload - decoded for the preview, stored on save
+    watermarkFile?.addEventListener('change', async () => {
+        const file = watermarkFile.files?.[0];
+        watermarkFile.value = '';
+        if (!file) return;
+        
+        if (!file.type.startsWith('image/')) {
+            showToast('Please choose an image file', 'error');
+            return;
+        }
+        if (file.size > CONFIG.WATERMARK_MAX_LOGO_SIZE) {
+            showToast(`Logo must be under ${formatFileSize(CONFIG.WATERMARK_MAX_LOGO_SIZE)}`, 'error');
+            return;
+        }
+        
+        try {
+            WatermarkDraft.image = await loadImageFromBlob(file);
+            WatermarkDraft.file = file;
+            WatermarkDraft.name = file.name;
+            WatermarkDraft.removed = false;
+            if (elements.watermarkLogo) elements.watermarkLogo.value = 'custom';
+            renderWatermarkPreview();
+        } catch (err) {
+            showToast('Could not read that image', 'error');
+        }
+    });
+    
+    // Remove custom logo
+    watermarkRemove?.addEventListener('click', () => {
+        WatermarkDraft.reset();
+        WatermarkDraft.removed = true;
+        if (elements.watermarkLogo) elements.watermarkLogo.value = 'default';
+        renderWatermarkPreview();
+    });
+    
+    // Save button
+    watermarkSave?.addEventListener('click', async () => {
+        try {
+            if (WatermarkDraft.file) {
+                await saveBrandingLogo(WatermarkDraft.file, WatermarkDraft.name);
+            } else if (WatermarkDraft.removed) {
+                await deleteBrandingLogo();
+            }
+        } catch (err) {
+            console.error('Failed to save watermark logo:', err);
+            showToast('Failed to save logo', 'error');
+            return;
+        }
+        
+        const config = readWatermarkForm();
+        if (config.watermarkLogo === 'custom' && !WatermarkDraft.image) {
+            config.watermarkLogo = 'default';
+            showToast('No custom logo uploaded - using the default watermark', 'warning');
+        }
+        
+        AppConfig.setConfigBatch(config);
+        closeModal();
+        showToast(
+            RecordingState.isRecording ? 'Watermark saved - applies to your next recording' : 'Watermark saved!',
+            'success'
+        );
+    });
+    
+    // Cancel button
+    watermarkCancel?.addEventListener('click', closeModal);
+    
+    // Close button
+    const closeBtn = watermarkModal.querySelector('.modal-close');
+    closeBtn?.addEventListener('click', closeModal);
+    
+    // Close on backdrop click
+    watermarkModal.addEventListener('click', (e) => {
+        if (e.target === watermarkModal || e.target.classList.contains('modal-backdrop')) {
+            closeModal();
+        }
+    });
+}
+
+/**
+ * Open watermark settings modal
+ */
+export async function openWatermarkModal() {
+    const { watermarkModal } = elements;
+    
+    if (!watermarkModal) return;
+    
+    WatermarkDraft.reset();
+    fillWatermarkForm(AppConfig.config);
+    watermarkModal.classList.remove('hidden');
+    renderWatermarkPreview();
+    
+    // Show the stored logo once it has loaded
+    try {
+        const record = await getBrandingLogo();
+        if (record?.blob && !WatermarkDraft.file && !WatermarkDraft.removed) {
+            WatermarkDraft.image = await loadImageFromBlob(record.blob);
+            WatermarkDraft.name = record.name || 'Custom logo';
+            renderWatermarkPreview();
+        }
+    } catch (err) {
+        console.warn('Failed to load watermark logo:', err);
+    }
+}
+
+// ============================================
+// CAMERA BACKGROUND
+// ============================================
+
+// Camera effect values -> labels
+const CAMERA_EFFECT_LABELS = {
+    none: 'None',
+    blur: 'Blur background',
+    color: 'Solid colour',
+    image: 'Background image'
+};
+
+// Labels for CONFIG.CAMERA_BLUR_OPTIONS, lightest first
+const CAMERA_BLUR_LABELS = ['Light', 'Medium', 'Strong'];
+
+// Unsaved background image changes in the modal - written to IndexedDB on save
+const CameraBackgroundDraft = {
+    image: null, // Decoded image (stored or newly picked)
+    file: null, // Newly picked file
+    name: '',
+    removed: false, // Stored image should be deleted
+    
+    reset() {
+        this.image = null;
+        this.file = null;
+        this.name = '';
+        this.removed = false;
+    }
+};
+
+/**
+ * Show the controls for the chosen effect
+ */
+function syncCameraEffectsForm() {
+    const effect = elements.cameraEffect?.value;
+    elements.cameraBlurGroup?.classList.toggle('hidden', effect !== 'blur');
+    elements.cameraBackgroundColorGroup?.classList.toggle('hidden', effect !== 'color' && effect !== 'image');
+    elements.cameraBackgroundUploadGroup?.classList.toggle('hidden', effect !== 'image');
+    elements.cameraBackgroundRemove?.classList.toggle('hidden', !CameraBackgroundDraft.image);
+    if (elements.cameraBackgroundFileName) {
+        elements.cameraBackgroundFileName.textContent = CameraBackgroundDraft.name || 'No image uploaded';
+    }
+}
+
+/**
+ * Setup camera background modal event listeners
+ */
+function setupCameraEffectsModal() {
+    const {
+        cameraEffectsModal, cameraEffect, cameraBlur, cameraBackgroundColor, cameraBackgroundFile,
+        cameraBackgroundRemove, cameraEffectsCancel, cameraEffectsSave
+    } = elements;
+    
+    if (!cameraEffectsModal) return;
+    
+    cameraEffect?.replaceChildren(...CONFIG.CAMERA_EFFECT_OPTIONS.map(value =>
+        createElement('option', { value, textContent: CAMERA_EFFECT_LABELS[value] || value })
+    ));
+    cameraBlur?.replaceChildren(...CONFIG.CAMERA_BLUR_OPTIONS.map((value, i) =>
+        createElement('option', { value: String(value), textContent: CAMERA_BLUR_LABELS[i] || `${value}%` })
+    ));
+    cameraEffect?.addEventListener('change', syncCameraEffectsForm);
+    
+    const closeModal = () => {
+        cameraEffectsModal.classList.add('hidden');
+        CameraBackgroundDraft.reset();
+    };
+    
+    // Image upload - decoded straight away, stored on save
+    cameraBackgroundFile?.addEventListener('change', async () => {
+        const file = cameraBackgroundFile.files?.[0];
+        cameraBackgroundFile.value = '';
+        if (!file) return;
+        
+        if (!file.type.startsWith('image/')) {
+            showToast('Please choose an image file', 'error');
+            return;
+        }
+        if (file.size > CONFIG.CAMERA_BACKGROUND_MAX_SIZE) {
+            showToast(`Background image must be under ${formatFileSize(CONFIG.CAMERA_BACKGROUND_MAX_SIZE)}`, 'error');
+            return;
+        }
+        
+        try {
+            CameraBackgroundDraft.image = await loadImageFromBlob(file);
+            CameraBackgroundDraft.file = file;
+            CameraBackgroundDraft.name = file.name;
+            CameraBackgroundDraft.removed = false;
+            if (cameraEffect) cameraEffect.value = 'image';
+            syncCameraEffectsForm();
+        } catch (err) {
+            showToast('Could not read that image', 'error');
+        }
+    });
+    
+    // Remove background image
+    cameraBackgroundRemove?.addEventListener('click', () => {
+        CameraBackgroundDraft.reset();
+        CameraBackgroundDraft.removed = true;
+        syncCameraEffectsForm();
+    });
+    
+    // Save button
+    cameraEffectsSave?.addEventListener('click', async () => {
+        try {
+            if (CameraBackgroundDraft.file) {
+                await saveCameraBackground(CameraBackgroundDraft.file, CameraBackgroundDraft.name);
+            } else if (CameraBackgroundDraft.removed) {
+                await deleteCameraBackground();
+            }
+        } catch (err) {
+            console.error('Failed to save camera background:', err);
+            showToast('Failed to save background image', 'error');
+            return;
+        }
+        
+        const config = {
+            cameraEffect: cameraEffect?.value,
+            cameraBlur: Number(cameraBlur?.value),
+            cameraBackgroundColor: cameraBackgroundColor?.value
+        };
+        if (config.cameraEffect === 'image' && !CameraBackgroundDraft.image) {
+            showToast('No background image uploaded - using the solid colour', 'warning');
+        }
+        AppConfig.setConfigBatch(config);
+        
+        // Effects apply to the camera live
+        const image = CameraBackgroundDraft.image;
+        const live = RecordingState.isRecording && !!RecordingState.cameraVideo;
+        closeModal();
+        if (live) {
+            await CameraEffects.configure(getCameraEffectStyle(AppConfig.config, image), showToast);
+        }
+        showToast(live ? 'Camera background updated' : 'Camera background saved!', 'success');
+    });
+    
+    // Cancel button
+    cameraEffectsCancel?.addEventListener('click', closeModal);
+    
+    // Close button
+    const closeBtn = cameraEffectsModal.querySelector('.modal-close');
+    closeBtn?.addEventListener('click', closeModal);
+    
+    // Close on backdrop click
+    cameraEffectsModal.addEventListener('click', (e) => {
+        if (e.target === cameraEffectsModal || e.target.classList.contains('modal-backdrop')) {
+            closeModal();
+        }
+    });
+}
+
+/**
+ * Open camera background modal
+ */
+export async function openCameraEffectsModal() {
+    const { cameraEffectsModal, cameraEffect, cameraBlur, cameraBackgroundColor } = elements;
+    
+    if (!cameraEffectsModal) return;
+    
+    CameraBackgroundDraft.reset();
+    if (cameraEffect) cameraEffect.value = AppConfig.config.cameraEffect;
+    if (cameraBlur) cameraBlur.value = String(AppConfig.config.cameraBlur);
+    if (cameraBackgroundColor) cameraBackgroundColor.value = AppConfig.config.cameraBackgroundColor;
+    syncCameraEffectsForm();
+    cameraEffectsModal.classList.remove('hidden');
+    
+    // Show the stored image once it has loaded
+    try {
+        const record = await getCameraBackground();
+        if (record?.blob && !CameraBackgroundDraft.file && !CameraBackgroundDraft.removed) {
+            CameraBackgroundDraft.image = await loadImageFromBlob(record.blob);
+            CameraBackgroundDraft.name = record.name || 'Background image';
+            syncCameraEffectsForm();
+        }
+    } catch (err) {
+        console.warn('Failed to load camera background:', err);
+    }
+}
+
+// ============================================
+// QUALITY SETTINGS
+// ============================================
+
+/**
+ * Format a bitrate for display
+ * @param {number} bitsPerSecond - Bitrate
+ * @returns {string}
+ */
+function formatBitrate(bitsPerSecond) {
+    return bitsPerSecond >= 1000000 ? `${bitsPerSecond / 1000000} Mbps` : `${bitsPerSecond / 1000} kbps`;
+}
+
+/**
+ * Fill the quality selects from CONFIG (run once)
+ */
+function populateQualityOptions() {
+    const { qualityPreset, qualityResolution, qualityFps, qualityBitrate, qualityCodec } = elements;
+    const addOption = (select, value, label, disabled = false) => {
+        const option = createElement('option', { value: String(value), textContent: label });
+        option.disabled = disabled;
+        select?.appendChild(option);
+    };
+    
+    Object.entries(CONFIG.QUALITY_PRESETS).forEach(([key, preset]) => {
+        addOption(qualityPreset, key, `${preset.label} (${preset.resolution}, ${preset.fps}fps, ${formatBitrate(preset.bitrate)})`);
+    });
+    addOption(qualityPreset, 'custom', 'Custom');
+    CONFIG.RESOLUTION_OPTIONS.forEach(option => addOption(qualityResolution, option.label, option.label));
+    CONFIG.FRAME_RATE_OPTIONS.forEach(fps => addOption(qualityFps, fps, `${fps} fps`));
+    CONFIG.BITRATE_OPTIONS.forEach(bitrate => addOption(qualityBitrate, bitrate, formatBitrate(bitrate)));
+    addOption(qualityCodec, 'auto', 'Auto (best available)');
+    CONFIG.CODEC_PREFERENCES.forEach(codec => {
+        const supported = isCodecSupported(codec);
+        addOption(qualityCodec, codec, `${codec.toUpperCase()}${supported ? '' : ' (not supported)'}`, !supported);
+    });
+}
+
+/**
+ * Read the quality settings currently entered in the modal
+ * @returns {Object} Quality config entries
+ */
+function readQualityForm() {
+    return {
+        qualityPreset: elements.qualityPreset?.value,
+        qualityResolution: elements.qualityResolution?.value,
+        qualityFps: Number(elements.qualityFps?.value),
+        qualityBitrate: Number(elements.qualityBitrate?.value),
+        qualityCodec: elements.qualityCodec?.value
+    };
+}
+
+/**
+ * Populate the modal from a config, showing preset values in the detail fields
+ * @param {Object} config - Config with quality entries
+ */
+function fillQualityForm(config) {
+    const preset = CONFIG.QUALITY_PRESETS[config.qualityPreset];
+    if (elements.qualityPreset) elements.qualityPreset.value = config.qualityPreset;
+    if (elements.qualityResolution) elements.qualityResolution.value = preset ? preset.resolution : config.qualityResolution;
+    if (elements.qualityFps) elements.qualityFps.value = String(preset ? preset.fps : config.qualityFps);
+    if (elements.qualityBitrate) elements.qualityBitrate.value = String(preset ? preset.bitrate : config.qualityBitrate);
+    if (elements.qualityCodec) elements.qualityCodec.value = config.qualityCodec;
+}
+
+/**
+ * Update the estimated size readout
+ */
+function updateQualityEstimate() {
+    if (!elements.qualityEstimateText) return;
+    
+    const quality = getQualitySettings(readQualityForm());
+    const withAudio = AppConfig.config.mic || AppConfig.config.systemAudio;
+    const perMinute = estimateMegabytesPerMinute(quality.bitrate, withAudio);
+    elements.qualityEstimateText.textContent = `≈ ${perMinute.toFixed(perMinute < 10 ? 1 : 0)} MB per minute`;
+}
+
+/**
+ * Setup quality modal event listeners
+ */
+function setupQualityModal() {
+    const { qualityModal, qualityPreset, qualityCancel, qualitySave } = elements;
+    
+    if (!qualityModal || !qualityPreset) return;
+    
+    populateQualityOptions();
+    
+    const closeModal = () => qualityModal.classList.add('hidden');
+    
+    // Picking a preset fills in its values
+    qualityPreset.addEventListener('change', () => {
+        fillQualityForm({ ...readQualityForm(), qualityPreset: qualityPreset.value });
+        updateQualityEstimate();
+    });
+    
+    // Editing a detail turns the preset into Custom
+    [elements.qualityResolution, elements.qualityFps, elements.qualityBitrate].forEach(select => {
+        select?.addEventListener('change', () => {
+            qualityPreset.value = 'custom';
+            updateQualityEstimate();
+        });
+    });
+    
+    // Save button
+    qualitySave?.addEventListener('click', () => {
+        AppConfig.setConfigBatch(readQualityForm());
+        closeModal();
+        showToast(
+            RecordingState.isRecording ? 'Quality saved - applies to your next recording' : 'Quality settings saved!',
+            'success'
+        );
+    });
+    
+    // Cancel button
+    qualityCancel?.addEventListener('click', closeModal);
+    
+    // Close button
+    const closeBtn = qualityModal.querySelector('.modal-close');
+    closeBtn?.addEventListener('click', closeModal);
+    
+    // Close on backdrop click
+    qualityModal.addEventListener('click', (e) => {
+        if (e.target === qualityModal || e.target.classList.contains('modal-backdrop')) {
+            closeModal();
+        }
+    });
+}
+
+/**
+ * Open quality settings modal
+ */
+export function openQualityModal() {
+    const { qualityModal } = elements;
+    
+    if (!qualityModal) return;
+    
+    fillQualityForm(AppConfig.config);
+    updateQualityEstimate();
+    qualityModal.classList.remove('hidden');
+}
+
+// ============================================
+// SCREEN SHARE ENDED
+// ============================================
+
+/**
+ * Offer to share the screen again after sharing stopped mid-recording
+ * @param {string} action - The screenEndedAction that was applied ('pause' or 'camera')
+ */
+export function showScreenEndedPrompt(action) {
+    const { screenEndedBanner, screenEndedText, screenEndedCamera } = elements;
+    if (!screenEndedBanner) return;
+    
+    const onCamera = action === 'camera';
+    if (screenEndedText) {
+        screenEndedText.textContent = onCamera
+            ? 'Screen sharing stopped - recording the camera only.'
+            : 'Screen sharing stopped - recording is paused.';
+    }
+    // Camera-only is offered when it's possible and not already happening
+    screenEndedCamera?.classList.toggle('hidden', onCamera || !canSwitchSceneLayout());
+    screenEndedBanner.classList.remove('hidden');
+    positionCameraBubbleFrame();
+    syncPipSceneButtons();
+    
+    showToast(onCamera ? 'Screen sharing stopped - continuing with the camera' : 'Screen sharing stopped - recording paused', 'warning');
+}
+
+/**
+ * Hide the screen-share-ended prompt
+ */
+export function hideScreenEndedPrompt() {
+    elements.screenEndedBanner?.classList.add('hidden');
+}
+
+/**
+ * Setup the screen-share-ended prompt buttons
+ */
+function setupScreenEndedPrompt() {
+    const { screenEndedReshare, screenEndedCamera, screenEndedStop } = elements;
+    
+    screenEndedReshare?.addEventListener('click', async () => {
+        screenEndedReshare.disabled = true;
+        const reshared = await reshareScreen(showToast);
+        screenEndedReshare.disabled = false;
+        if (reshared) {
+            hideScreenEndedPrompt();
+            positionCameraBubbleFrame();
+            syncPipSceneButtons();
+            showToast('Screen sharing resumed', 'success');
+        }
+    });
+    
+    screenEndedCamera?.addEventListener('click', async () => {
+        if (await continueWithoutScreen()) {
+            hideScreenEndedPrompt();
+            positionCameraBubbleFrame();
+            syncPipSceneButtons();
+        }
+    });
+    
+    screenEndedStop?.addEventListener('click', () => stopRecording(showToast));
+}
+
+// getDisplayMedia cursor constraint values -> labels
+const SCREEN_CURSOR_LABELS = {
+    always: 'Always',
+    motion: 'Only while moving',
+    never: 'Never'
+};
+
+/**
+ * Setup recording options modal event listeners
+ */
+function setupRecordingOptionsModal() {
+    const {
+        recordingOptionsModal, screenEndedAction, recordInTakes, countdownSeconds, countdownBeep,
+        maxRecordingMinutes, limitWarningMinutes, splitSizeMb, splitMinutes,
+        screenCursorGroup, screenCursor, cursorHighlight, clickRipples, regionBeforeStart, zoomLevel,
+        recordingOptionsCancel, recordingOptionsSave
+    } = elements;
+    
+    if (!recordingOptionsModal) return;
+    
+    screenEndedAction?.replaceChildren(...Object.entries(SCREEN_ENDED_ACTIONS).map(([value, label]) =>
+        createElement('option', { value, textContent: label })
+    ));
+    countdownSeconds?.replaceChildren(...CONFIG.COUNTDOWN_OPTIONS.map(seconds =>
+        createElement('option', { value: String(seconds), textContent: seconds ? `${seconds} seconds` : 'Off' })
+    ));
+    maxRecordingMinutes?.replaceChildren(...CONFIG.MAX_DURATION_OPTIONS.map(minutes =>
+        createElement('option', { value: String(minutes), textContent: minutes ? formatMinutes(minutes) : 'No limit' })
+    ));
+    limitWarningMinutes?.replaceChildren(...CONFIG.LIMIT_WARNING_OPTIONS.map(minutes =>
+        createElement('option', { value: String(minutes), textContent: `${formatMinutes(minutes)} before` })
+    ));
+    splitSizeMb?.replaceChildren(...CONFIG.SPLIT_SIZE_OPTIONS.map(megabytes =>
+        createElement('option', { value: String(megabytes), textContent: megabytes ? `${megabytes} MB` : 'No size limit' })
+    ));
+    splitMinutes?.replaceChildren(...CONFIG.SPLIT_DURATION_OPTIONS.map(minutes =>
+        createElement('option', { value: String(minutes), textContent: minutes ? formatMinutes(minutes) : 'No length limit' })
+    ));
+    screenCursor?.replaceChildren(...Object.entries(SCREEN_CURSOR_LABELS).map(([value, label]) =>
+        createElement('option', { value, textContent: label })
+    ));
+    zoomLevel?.replaceChildren(...CONFIG.ZOOM_LEVELS.map(level =>
+        createElement('option', { value: String(level), textContent: `${level}x` })
+    ));
+    // Browsers without the cursor constraint decide for themselves
+    screenCursorGroup?.classList.toggle('hidden', !Capabilities.cursorConstraint);
+    
+    const closeModal = () => recordingOptionsModal.classList.add('hidden');
+    
+    // Save button
+    recordingOptionsSave?.addEventListener('click', () => {
+        AppConfig.setConfigBatch({
+            screenEndedAction: screenEndedAction?.value,
+            recordInTakes: Boolean(recordInTakes?.checked),
+            countdownSeconds: Number(countdownSeconds?.value),
+            countdownBeep: Boolean(countdownBeep?.checked),
+            maxRecordingMinutes: Number(maxRecordingMinutes?.value),
+            limitWarningMinutes: Number(limitWarningMinutes?.value),
+            splitSizeMB: Number(splitSizeMb?.value),
+            splitMinutes: Number(splitMinutes?.value),
+            screenCursor: screenCursor?.value,
+            cursorHighlight: Boolean(cursorHighlight?.checked),
+            clickRipples: Boolean(clickRipples?.checked),
+            regionBeforeStart: Boolean(regionBeforeStart?.checked),
+            zoomLevel: Number(zoomLevel?.value)
+        });
+        closeModal();
+        showToast(
+            RecordingState.isRecording ? 'Recording options saved - applies to your next recording' : 'Recording options saved!',
+            'success'
+        );
+    });
+    
+    // Cancel button
+    recordingOptionsCancel?.addEventListener('click', closeModal);
+    
+    // Close button
+    const closeBtn = recordingOptionsModal.querySelector('.modal-close');
+    closeBtn?.addEventListener('click', closeModal);
+    
+    // Close on backdrop click
+    recordingOptionsModal.addEventListener('click', (e) => {
+        if (e.target === recordingOptionsModal || e.target.classList.contains('modal-backdrop')) {
+            closeModal();
+        }
+    });
+}
+
+/**
+ * Open recording options modal
+ */
+export function openRecordingOptionsModal() {
+    const {
+        recordingOptionsModal, screenEndedAction, recordInTakes, countdownSeconds, countdownBeep,
+        maxRecordingMinutes, limitWarningMinutes, splitSizeMb, splitMinutes,
+        screenCursor, cursorHighlight, clickRipples, regionBeforeStart, zoomLevel
+    } = elements;
+    
+    if (!recordingOptionsModal) return;
+    
+    if (screenEndedAction) screenEndedAction.value = AppConfig.config.screenEndedAction;
+    if (recordInTakes) recordInTakes.checked = AppConfig.config.recordInTakes;
+    if (countdownSeconds) countdownSeconds.value = String(AppConfig.config.countdownSeconds);
+    if (countdownBeep) countdownBeep.checked = AppConfig.config.countdownBeep;
+    if (maxRecordingMinutes) maxRecordingMinutes.value = String(AppConfig.config.maxRecordingMinutes);
+    if (limitWarningMinutes) limitWarningMinutes.value = String(AppConfig.config.limitWarningMinutes);
+    if (splitSizeMb) splitSizeMb.value = String(AppConfig.config.splitSizeMB);
+    if (splitMinutes) splitMinutes.value = String(AppConfig.config.splitMinutes);
+    if (screenCursor) screenCursor.value = AppConfig.config.screenCursor;
+    if (cursorHighlight) cursorHighlight.checked = AppConfig.config.cursorHighlight;
+    if (clickRipples) clickRipples.checked = AppConfig.config.clickRipples;
+    if (regionBeforeStart) regionBeforeStart.checked = AppConfig.config.regionBeforeStart;
+    if (zoomLevel) zoomLevel.value = String(AppConfig.config.zoomLevel);
+    recordingOptionsModal.classList.remove('hidden');
+}
+
+// ============================================
+// SCHEDULED RECORDINGS
+// ============================================
+
+// How a scheduled recording stops
+const SCHEDULE_STOP_MODES = {
+    'limit': 'When I stop it, or at the max recording length',
+    'duration': 'After a set duration',
+    'time': 'At a set time'
+};
+
+// setTimeout's longest delay (~24.8 days) - later jobs are re-planned when it fires
+const MAX_TIMER_DELAY = 2147483647;
+
+// Pending jobs {id, startAt, stopAt, maxMinutes}, soonest first. Screen shares can't
+// start without a click, so screen recordings hold the share chosen when scheduling.
+const Scheduler = {
+    jobs: [],
+    streams: new Map(),
+    timer: null,
+    
+    /**
+     * Restore saved jobs, dropping any that came due while the page was closed
+     * @returns {number} - How many jobs were missed
+     */
+    load() {
+        let stored = [];
+        try {
+            stored = JSON.parse(localStorage.getItem(CONFIG.SCHEDULE_STORAGE_KEY) || '[]');
+        } catch (e) {
+            stored = [];
+        }
+        const jobs = Array.isArray(stored) ? stored.filter(job => job && typeof job.startAt === 'number') : [];
+        this.jobs = jobs.filter(job => job.startAt >= Date.now() - CONFIG.SCHEDULE_MISSED_GRACE);
+        this.save();
+        this.plan();
+        return jobs.length - this.jobs.length;
+    },
+    
+    save() {
+        try {
+            localStorage.setItem(CONFIG.SCHEDULE_STORAGE_KEY, JSON.stringify(this.jobs));
+        } catch (e) {
+            console.warn('Failed to save scheduled recordings:', e);
+        }
+    },
+    
+    /**
+     * Add a job, with the screen share it will record if any
+     * @param {Object} job - {startAt, stopAt, maxMinutes}
+     * @param {MediaStream|null} stream - Screen share chosen when scheduling
+     */
+    add(job, stream = null) {
+        const entry = { ...job, id: `job-${Date.now()}-${Math.random().toString(36).slice(2, 8)}` };
+        this.jobs = [...this.jobs, entry].sort((a, b) => a.startAt - b.startAt);
+        if (stream) this.arm(entry.id, stream);
+        this.save();
+        this.plan();
+    },
+    
+    /**
+     * Attach a screen share to a job. Sharing stopped before the start leaves the job unarmed.
+     */
+    arm(id, stream) {
+        this.release(id);
+        this.streams.set(id, stream);
+        stream.getVideoTracks()[0]?.addEventListener('ended', () => {
+            if (this.streams.get(id) !== stream) return;
+            this.release(id);
+            renderScheduleList();
+        });
+    },
+    
+    /**
+     * Stop and forget a job's screen share
+     */
+    release(id) {
+        this.streams.get(id)?.getTracks().forEach(track => track.stop());
+        this.streams.delete(id);
+    },
+    
+    /**
+     * Take a job off the list
+     * @param {string} id - Job ID
+     * @param {boolean} keepStream - Hand the screen share over instead of stopping it
+     * @returns {MediaStream|null} - The job's screen share if kept
+     */
+    remove(id, keepStream = false) {
+        const stream = this.streams.get(id) || null;
+        if (keepStream) {
+            this.streams.delete(id);
+        } else {
+            this.release(id);
+        }
+        this.jobs = this.jobs.filter(job => job.id !== id);
+        this.save();
+        this.plan();
+        return keepStream ? stream : null;
+    },
+    
+    /**
+     * Wake up when the next job is due
+     */
+    plan() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        if (this.jobs.length === 0) return;
+        
+        const delay = Math.min(Math.max(0, this.jobs[0].startAt - Date.now()), MAX_TIMER_DELAY);
+        this.timer = setTimeout(runDueJobs, delay);
+    }
+};
+
+/**
+ * "90 minutes" / "2 hours"
+ * @param {number} minutes
+ * @returns {string}
+ */
+function formatMinutes(minutes) {
+    if (minutes >= 60 && minutes % 60 === 0) {
+        const hours = minutes / 60;
+        return `${hours} ${hours === 1 ? 'hour' : 'hours'}`;
+    }
+    return `${minutes} ${minutes === 1 ? 'minute' : 'minutes'}`;
+}
+
+/**
+ * Value for a datetime-local input, in local time
+ * @param {number} time - Clock time in ms
+ * @returns {string}
+ */
+function toDateTimeInputValue(time) {
+    const date = new Date(time);
+    date.setMinutes(date.getMinutes() - date.getTimezoneOffset());
+    return date.toISOString().slice(0, 16);
+}
+
+/**
+ * Start the jobs that are due - the first one records, any others overlap it and are skipped
+ */
+async function runDueJobs() {
+    Scheduler.timer = null;
+    const due = Scheduler.jobs.filter(job => job.startAt <= Date.now());
+    
+    for (const job of due) {
+        const stream = Scheduler.remove(job.id, true);
+        await startScheduledJob(job, stream);
+    }
+    
+    Scheduler.plan();
+    renderScheduleList();
+}
+
+/**
+ * Start one scheduled recording with the current sources and apply its stop time
+ * @param {Object} job - Scheduled job
+ * @param {MediaStream|null} stream - Screen share chosen when scheduling
+ */
+async function startScheduledJob(job, stream) {
+    const releaseStream = () => stream?.getTracks().forEach(track => track.stop());
+    
+    if (RecordingState.isRecording) {
+        releaseStream();
+        showToast('Scheduled recording skipped - a recording is already running', 'warning');
+        return;
+    }
+    
+    if (AppConfig.config.screen) {
+        if (stream?.getVideoTracks()[0]?.readyState !== 'live') {
+            releaseStream();
+            showToast('Scheduled recording is due - press Start to choose what to share', 'warning');
+            return;
+        }
+        // Picked up by getMediaStream() like Safari's pre-acquired share
+        window._safariScreenStream = stream;
+    } else {
+        releaseStream();
+    }
+    
+    showToast('Starting scheduled recording', 'info');
+    const started = await beginRecording({ scheduled: true });
+    if (!started) {
+        if (window._safariScreenStream === stream) window._safariScreenStream = null;
+        releaseStream();
+        return;
+    }
+    
+    setRecordingTimeLimit({
+        maxDuration: job.maxMinutes ? job.maxMinutes * 60 : null,
+        stopAt: job.stopAt || null
+    });
+}
+
+/**
+ * Ask which screen a scheduled recording should share
+ * @returns {Promise<MediaStream|null>}
+ */
+async function selectScheduledScreen() {
+    try {
+        return await PermissionManager.requestScreenShare({
+            video: getDisplayVideoConstraints(AppConfig.config),
+            audio: AppConfig.config.systemAudio,
+            cursor: AppConfig.config.screenCursor
+        }, null);
+    } catch (err) {
+        if (err.name === 'NotAllowedError') {
+            showToast('Screen sharing was cancelled', 'info');
+        } else {
+            showToast(`Screen share failed: ${err.message}`, 'error');
+        }
+        return null;
+    }
+}
+
+/**
+ * Describe when a job stops
+ * @param {Object} job - Scheduled job
+ * @returns {string}
+ */
+function describeScheduleStop(job) {
+    if (job.maxMinutes) return `Stops after ${formatMinutes(job.maxMinutes)}`;
+    if (job.stopAt) return `Stops at ${formatDate(job.stopAt)}`;
+    const maxMinutes = AppConfig.config.maxRecordingMinutes;
+    return maxMinutes ? `Stops after ${formatMinutes(maxMinutes)} at most` : 'Stops when you stop it';
+}
+
+/**
+ * Render the pending jobs
+ */
+function renderScheduleList() {
+    const { scheduleList } = elements;
+    if (!scheduleList) return;
+    
+    if (Scheduler.jobs.length === 0) {
+        scheduleList.replaceChildren(createElement('li', { className: 'schedule-empty', textContent: 'No scheduled recordings' }));
+        return;
+    }
+    
+    scheduleList.replaceChildren(...Scheduler.jobs.map(job => {
+        const details = [describeScheduleStop(job)];
+        const needsScreen = AppConfig.config.screen && !Scheduler.streams.has(job.id);
+        if (AppConfig.config.screen) details.push(needsScreen ? 'Screen not selected' : 'Screen selected');
+        
+        const children = [
+            createElement('div', { className: 'schedule-item-text' }, [
+                createElement('span', { textContent: `Starts ${formatDate(job.startAt)}` }),
+                createElement('span', { className: 'schedule-item-detail', textContent: details.join(' · ') })
+            ])
+        ];
+        if (needsScreen) {
+            children.push(createElement('button', {
+                type: 'button',
+                className: 'btn-secondary',
+                textContent: 'Select screen',
+                onclick: async () => {
+                    const stream = await selectScheduledScreen();
+                    if (!stream) return;
+                    if (Scheduler.jobs.some(pending => pending.id === job.id)) {
+                        Scheduler.arm(job.id, stream);
+                    } else {
+                        stream.getTracks().forEach(track => track.stop());
+                    }
+                    renderScheduleList();
+                }
+            }));
+        }
+        children.push(createElement('button', {
+            type: 'button',
+            className: 'btn-secondary',
+            textContent: 'Cancel',
+            'aria-label': `Cancel the recording scheduled for ${formatDate(job.startAt)}`,
+            onclick: () => {
+                Scheduler.remove(job.id);
+                renderScheduleList();
+                showToast('Scheduled recording cancelled', 'info');
+            }
+        }));
+        
+        return createElement('li', { className: 'schedule-item' }, children);
+    }));
+}
+
+/**
+ * Show the inputs for the chosen stop mode
+ */
+function syncScheduleForm() {
+    const mode = elements.scheduleStopMode?.value;
+    elements.scheduleDurationGroup?.classList.toggle('hidden', mode !== 'duration');
+    elements.scheduleStopAtGroup?.classList.toggle('hidden', mode !== 'time');
+}
+
+/**
+ * Read and check the schedule form
+ * @returns {Object|null} - {startAt, stopAt, maxMinutes}, or null after showing what's wrong
+ */
+function readScheduleForm() {
+    const { scheduleStart, scheduleStopMode, scheduleDuration, scheduleStopAt } = elements;
+    const startAt = new Date(scheduleStart?.value || '').getTime();
+    
+    if (!Number.isFinite(startAt) || startAt <= Date.now()) {
+        showToast('Choose a start time in the future', 'error');
+        return null;
+    }
+    
+    const job = { startAt, stopAt: null, maxMinutes: 0 };
+    if (scheduleStopMode?.value === 'duration') {
+        job.maxMinutes = Math.round(Number(scheduleDuration?.value));
+        if (!Number.isFinite(job.maxMinutes) || job.maxMinutes < 1) {
+            showToast('Enter how many minutes to record', 'error');
+            return null;
+        }
+    } else if (scheduleStopMode?.value === 'time') {
+        job.stopAt = new Date(scheduleStopAt?.value || '').getTime();
+        if (!Number.isFinite(job.stopAt) || job.stopAt <= startAt) {
+            showToast('The stop time must be after the start time', 'error');
+            return null;
+        }
+    }
+    
+    if (Scheduler.jobs.some(pending => pending.startAt === startAt)) {
+        showToast('A recording is already scheduled for that time', 'error');
+        return null;
+    }
+    return job;
+}
+
+/**
+ * Setup schedule modal event listeners and restore saved jobs
+ */
+function setupScheduleModal() {
+    const { scheduleModal, scheduleStopMode, scheduleAdd, scheduleClose } = elements;
+    
+    const missed = Scheduler.load();
+    if (missed > 0) {
+        showToast(`${missed} scheduled ${missed === 1 ? 'recording was' : 'recordings were'} missed while the page was closed`, 'warning');
+    }
+    
+    if (!scheduleModal) return;
+    
+    scheduleStopMode?.replaceChildren(...Object.entries(SCHEDULE_STOP_MODES).map(([value, label]) =>
+        createElement('option', { value, textContent: label })
+    ));
+    scheduleStopMode?.addEventListener('change', syncScheduleForm);
+    
+    const closeModal = () => scheduleModal.classList.add('hidden');
+    
+    scheduleAdd?.addEventListener('click', async () => {
+        const job = readScheduleForm();
+        if (!job) return;
+        
+        // Choose the screen now - sharing can't start later without a click
+        let stream = null;
+        if (AppConfig.config.screen) {
+            scheduleAdd.disabled = true;
+            stream = await selectScheduledScreen();
+            scheduleAdd.disabled = false;
+            if (!stream) return;
+        }
+        
+        Scheduler.add(job, stream);
+        renderScheduleList();
+        showToast(`Recording scheduled for ${formatDate(job.startAt)}`, 'success');
+    });
+    
+    // Close button
+    scheduleClose?.addEventListener('click', closeModal);
+    const closeBtn = scheduleModal.querySelector('.modal-close');
+    closeBtn?.addEventListener('click', closeModal);
+    
+    // Close on backdrop click
+    scheduleModal.addEventListener('click', (e) => {
+        if (e.target === scheduleModal || e.target.classList.contains('modal-backdrop')) {
+            closeModal();
+        }
+    });
+}
+
+/**
+ * Open schedule modal
+ */
+export function openScheduleModal() {
+    const { scheduleModal, scheduleStart, scheduleStopMode, scheduleDuration, scheduleStopAt } = elements;
+    
+    if (!scheduleModal) return;
+    
+    // Suggest the next quarter hour, recording for half an hour
+    const quarter = 15 * 60 * 1000;
+    const suggestedStart = Math.ceil((Date.now() + 60000) / quarter) * quarter;
+    if (scheduleStart) scheduleStart.value = toDateTimeInputValue(suggestedStart);
+    if (scheduleStopMode) scheduleStopMode.value = 'limit';
+    if (scheduleDuration) scheduleDuration.value = '30';
+    if (scheduleStopAt) scheduleStopAt.value = toDateTimeInputValue(suggestedStart + 2 * quarter);
+    syncScheduleForm();
+    renderScheduleList();
+    scheduleModal.classList.remove('hidden');
+}
+
+// ============================================
+// COUNTDOWN
+// ============================================
+
+/**
+ * Runs once the streams are live and before the recorder starts: show the
+ * preview, open the floating controls, pick a region and count down
+ * @returns {Promise<boolean>} - False if the countdown was cancelled
+ */
+async function prepareRecordingStart({ openPip = true, pickRegion = true } = {}) {
+    // Show preview canvas if exists
+    if (RecordingState.previewCanvas && elements.previewArea) {
+        // Check if previewVideo is a direct child of previewArea
+        if (elements.previewVideo && elements.previewVideo.parentNode === elements.previewArea) {
+            elements.previewArea.insertBefore(RecordingState.previewCanvas, elements.previewVideo);
+        } else {
+            elements.previewArea.appendChild(RecordingState.previewCanvas);
+        }
+        if (elements.previewVideo) {
+            elements.previewVideo.style.display = 'none';
+        }
+        elements.previewArea.classList.remove('hidden');
+    }
+    
+    // Automatically open Document Picture-in-Picture if supported
+    if (isDocumentPipSupported() && openPip) {
+        let stream = null;
+        
+        if (RecordingState.cameraVideo && RecordingState.cameraVideo.srcObject) {
+            stream = RecordingState.cameraVideo.srcObject;
+        } else if (RecordingState.previewCanvas) {
+            stream = RecordingState.previewCanvas.captureStream(30);
+        }
+        
+        if (stream) {
+            // Open PiP automatically
+            await openPipElement(stream);
+            
+            // Hide PiP info since PiP is now open
+            if (elements.pipInfo) {
+                elements.pipInfo.classList.add('hidden');
+            }
+        }
+    } else {
+        // Show PiP info if camera enabled (fallback for native PiP)
+        if (AppConfig.config.camera && document.pictureInPictureEnabled) {
+            elements.pipInfo?.classList.remove('hidden');
+        }
+    }
+    
+    // Crop before the first frame is recorded, rather than recording full-frame until a region is drawn
+    if (pickRegion && AppConfig.config.regionBeforeStart && canSelectScreenRegion()) {
+        await pickRegionBeforeStart();
+    }
+    
+    if (!(await runCountdown())) {
+        // Back to the idle page - startRecording() releases the streams
+        closePipElement();
+        if (elements.previewVideo) {
+            elements.previewVideo.srcObject = null;
+            elements.previewVideo.style.display = 'block';
+        }
+        elements.previewArea?.classList.add('hidden');
+        elements.recordingActionButtons?.classList.add('hidden');
+        elements.pipInfo?.classList.add('hidden');
+        if (elements.startBtn) elements.startBtn.disabled = false;
+        return false;
+    }
+    
+    // The floating window's timer starts with the recording, not the countdown
+    if (pipWindow && !pipWindow.closed) startPipTimer();
+    return true;
+}
+
+/**
+ * Count down before recording, on the page and in the PiP and popup windows.
+ * Escape or the Cancel button stops it.
+ * @returns {Promise<boolean>} - True when recording should start
+ */
+async function runCountdown() {
+    const seconds = AppConfig.config.countdownSeconds;
+    if (!seconds) return true;
+    
+    const completed = await Countdown.run(seconds, { beep: AppConfig.config.countdownBeep, onTick: renderCountdown });
+    renderCountdown(0);
+    if (!completed) showToast('Recording cancelled', 'info');
+    return completed;
+}
+
+/**
+ * Show the seconds left everywhere the presenter might be looking
+ * @param {number} seconds - Seconds left - 0 hides the countdown
+ */
+function renderCountdown(seconds) {
+    const { countdownOverlay, countdownNumber } = elements;
+    if (countdownNumber) countdownNumber.textContent = String(seconds);
+    countdownOverlay?.classList.toggle('hidden', seconds <= 0);
+    
+    [pipWindow, window.recordingPopup].forEach(win => {
+        if (!win || win.closed) return;
+        const countdown = win.document.getElementById('recording-countdown');
+        if (!countdown) return;
+        countdown.textContent = String(seconds);
+        countdown.classList.toggle('hidden', seconds <= 0);
+    });
+}
+
+/**
+ * Setup countdown cancel: the overlay button and Escape on the page or popup
+ */
+function setupCountdown() {
+    elements.countdownCancel?.addEventListener('click', () => Countdown.cancel());
+    
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && Countdown.isActive) {
+            e.preventDefault();
+            Countdown.cancel();
+        }
+    });
+    
+    // The popup window posts Escape presses (the PiP window's are handled with its other messages)
+    window.addEventListener('message', (event) => {
+        if (event.source === window.recordingPopup && event.data?.type === 'countdown-cancel') {
+            Countdown.cancel();
+        }
+    });
+}
+
+// ============================================
+// MULTI-TAKE SESSION
+// ============================================
+
+/**
+ * Build one row of the takes list
+ * @param {Object} take - Entry of RecordingState.takes
+ * @param {number} index - Position in the joined recording
+ * @param {boolean} editable - Whether the order can change (between takes)
+ * @returns {HTMLElement}
+ */
+function createTakeItem(take, index, editable) {
+    const count = RecordingState.takes.length;
+    const move = (delta) => {
+        if (moveTake(index, delta)) renderTakesPanel();
+    };
+    
+    const upBtn = createElement('button', {
+        type: 'button',
+        className: 'takes-move-btn',
+        title: 'Move earlier',
+        'aria-label': `Move take ${take.number} earlier`,
+        textContent: '↑',
+        onclick: () => move(-1)
+    });
+    const downBtn = createElement('button', {
+        type: 'button',
+        className: 'takes-move-btn',
+        title: 'Move later',
+        'aria-label': `Move take ${take.number} later`,
+        textContent: '↓',
+        onclick: () => move(1)
+    });
+    upBtn.disabled = !editable || index === 0;
+    downBtn.disabled = !editable || index === count - 1;
+    
+    return createElement('li', { className: 'takes-item' }, [
+        createElement('span', { className: 'takes-item-label', textContent: `Take ${take.number}` }),
+        createElement('span', { className: 'takes-item-duration', textContent: formatTimerDuration(take.duration) }),
+        upBtn,
+        downBtn
+    ]);
+}
+
+/**
+ * Sync the takes panel and the End take / Pause buttons with the session
+ */
+export function renderTakesPanel() {
+    const { takesPanel, takesSummary, takesList, nextTakeBtn, discardTakeBtn, endTakeBtn, pauseBtn } = elements;
+    const active = isTakesSession();
+    const between = active && RecordingState.betweenTakes;
+    const takes = RecordingState.takes;
+    
+    endTakeBtn?.classList.toggle('hidden', !active || between);
+    if (pauseBtn) pauseBtn.disabled = between;
+    if (!takesPanel) return;
+    
+    takesPanel.classList.toggle('hidden', !active || (takes.length === 0 && !between));
+    if (!active) return;
+    
+    if (takesSummary) {
+        const total = formatTimerDuration(RecordingState.takesDuration);
+        const status = between ? 'ready for the next take' : `recording take ${getNextTakeNumber()}`;
+        takesSummary.textContent = `${takes.length} ${takes.length === 1 ? 'take' : 'takes'} (${total}) - ${status}`;
+    }
+    takesList?.replaceChildren(...takes.map((take, index) => createTakeItem(take, index, between)));
+    nextTakeBtn?.classList.toggle('hidden', !between);
+    if (discardTakeBtn) {
+        discardTakeBtn.classList.toggle('hidden', !between);
+        discardTakeBtn.disabled = takes.length === 0;
+    }
+}
+
+/**
+ * Setup the End take button and takes panel
+ */
+function setupTakesPanel() {
+    const { endTakeBtn, nextTakeBtn, discardTakeBtn } = elements;
+    
+    endTakeBtn?.addEventListener('click', async () => {
+        endTakeBtn.disabled = true;
+        await endTake(showToast);
+        endTakeBtn.disabled = false;
+        syncPauseControls(false);
+        renderTakesPanel();
+    });
+    
+    nextTakeBtn?.addEventListener('click', async () => {
+        nextTakeBtn.disabled = true;
+        await startNextTake(showToast, runCountdown);
+        nextTakeBtn.disabled = false;
+        renderTakesPanel();
+    });
+    
+    discardTakeBtn?.addEventListener('click', async () => {
+        await discardLastTake(showToast);
+        renderTakesPanel();
+    });
+}
+
+// ============================================
+// DEVICE PICKER
+// ============================================
+
+// Camera preview and mic test running while the devices modal is open
+const DeviceTest = {
+    cameraStream: null,
+    micStream: null,
+    audioContext: null,
+    analyser: null,
+    samples: null,
+    clippedAt: 0,
+    frame: null,
+    cameraFrame: null,
+    // Real deviceId of the previewed camera - adjustments are saved against it
+    cameraDeviceId: '',
+    cameraAdjustments: DEFAULT_CAMERA_ADJUSTMENTS,
+    // Unsaved adjustments per deviceId, kept while switching cameras in the modal
+    adjustmentDrafts: new Map(),
+    // Bumped on every restart so a slow getUserMedia can't replace a newer stream
+    cameraRequest: 0,
+    micRequest: 0,
+    
+    stopCamera() {
+        this.cameraRequest++;
+        if (this.cameraFrame) cancelAnimationFrame(this.cameraFrame);
+        this.cameraFrame = null;
+        this.cameraDeviceId = '';
+        this.cameraStream?.getTracks().forEach(track => track.stop());
+        this.cameraStream = null;
+        if (elements.cameraDevicePreview) elements.cameraDevicePreview.srcObject = null;
+        const canvas = elements.cameraAdjustPreview;
+        canvas?.getContext('2d')?.clearRect(0, 0, canvas.width, canvas.height);
+        elements.cameraAdjustments?.classList.add('hidden');
+    },
+    
+    stopMic() {
+        this.micRequest++;
+        if (this.frame) cancelAnimationFrame(this.frame);
+        this.frame = null;
+        this.micStream?.getTracks().forEach(track => track.stop());
+        this.micStream = null;
+        this.audioContext?.close().catch(() => {});
+        this.audioContext = null;
+        this.analyser = null;
+        this.clippedAt = 0;
+    },
+    
+    stop() {
+        this.stopCamera();
+        this.stopMic();
+    }
+};
+
+// Saved devices seen connected, so unplugging one can be reported once
+const connectedSavedDevices = new Set();
+
+/**
+ * Fill a device select, keeping a saved device that is currently unplugged
+ * @param {HTMLSelectElement} select - Select to fill
+ * @param {MediaDeviceInfo[]} devices - Connected devices of one kind
+ * @param {string} selectedId - deviceId to select ('' for default)
+ * @param {string} noun - 'Camera' or 'Microphone', for unlabeled devices
+ */
+function fillDeviceSelect(select, devices, selectedId, noun) {
+    if (!select) return;
+    
+    const options = [createElement('option', { value: '', textContent: 'System default' })];
+    devices.forEach((device, index) => {
+        options.push(createElement('option', {
+            value: device.deviceId,
+            textContent: device.label || `${noun} ${index + 1}`
+        }));
+    });
+    if (selectedId && !devices.some(device => device.deviceId === selectedId)) {
+        options.push(createElement('option', { value: selectedId, textContent: `Saved ${noun.toLowerCase()} (not connected)` }));
+    }
+    
+    select.replaceChildren(...options);
+    select.value = selectedId;
+}
+
+/**
+ * Re-read connected devices into the modal, keeping the current choices
+ */
+async function refreshDeviceLists() {
+    const [cameras, mics] = await Promise.all([
+        PermissionManager.listDevices('videoinput'),
+        PermissionManager.listDevices('audioinput')
+    ]);
+    fillDeviceSelect(elements.cameraDevice, cameras, elements.cameraDevice?.value ?? '', 'Camera');
+    fillDeviceSelect(elements.micDevice, mics, elements.micDevice?.value ?? '', 'Microphone');
+}
+
+/**
+ * Describe a getUserMedia failure for the preview status line
+ * @param {Error} err - getUserMedia error
+ * @param {string} noun - 'Camera' or 'Microphone'
+ * @returns {string}
+ */
+function getDeviceErrorMessage(err, noun) {
+    if (err.name === 'NotAllowedError') return `${noun} access is blocked - allow it in your browser's site settings`;
+    if (err.name === 'NotReadableError') return `${noun} is in use by another app`;
+    if (err.name === 'NotFoundError') return `No ${noun.toLowerCase()} found`;
+    return `${noun} unavailable: ${err.message}`;
+}
+
+/**
+ * Show the selected camera in the modal preview
+ */
+async function startCameraTest() {
+    DeviceTest.stopCamera();
+    const request = DeviceTest.cameraRequest;
+    const status = elements.cameraDeviceStatus;
+    if (status) status.textContent = 'Starting camera…';
+    
+    try {
+        const stream = await PermissionManager.requestCamera({
+            video: getCameraConstraints({ ...AppConfig.config, cameraDeviceId: elements.cameraDevice?.value })
+        }, showToast);
+        if (request !== DeviceTest.cameraRequest) {
+            stream.getTracks().forEach(track => track.stop());
+            return;
+        }
+        
+        DeviceTest.cameraStream = stream;
+        if (elements.cameraDevicePreview) elements.cameraDevicePreview.srcObject = stream;
+        if (status) status.textContent = '';
+        
+        const deviceId = stream.getVideoTracks()[0]?.getSettings().deviceId || '';
+        DeviceTest.cameraDeviceId = deviceId;
+        fillCameraAdjustForm(DeviceTest.adjustmentDrafts.get(deviceId) || CameraAdjustments.get(deviceId));
+        elements.cameraAdjustments?.classList.toggle('hidden', !deviceId);
+        drawCameraAdjustPreview();
+        // Labels are only exposed once access has been granted
+        await refreshDeviceLists();
+    } catch (err) {
+        if (request !== DeviceTest.cameraRequest) return;
+        console.warn('[Devices] Camera test failed:', err);
+        if (status) status.textContent = getDeviceErrorMessage(err, 'Camera');
+    }
+}
+
+/**
+ * Read the camera adjustments currently entered in the modal
+ * @returns {Object} Camera adjustments
+ */
+function readCameraAdjustForm() {
+    return normalizeCameraAdjustments({
+        mirror: !!elements.cameraMirror?.checked,
+        zoom: Number(elements.cameraZoom?.value) / 100,
+        offsetX: Number(elements.cameraOffsetX?.value) / 100,
+        offsetY: Number(elements.cameraOffsetY?.value) / 100,
+        brightness: Number(elements.cameraBrightness?.value),
+        contrast: Number(elements.cameraContrast?.value),
+        saturation: Number(elements.cameraSaturation?.value)
+    });
+}
+
+/**
+ * Show a camera's adjustments in the modal and preview them
+ * @param {Object} adjustments - Camera adjustments
+ */
+function fillCameraAdjustForm(adjustments) {
+    if (elements.cameraMirror) elements.cameraMirror.checked = adjustments.mirror;
+    if (elements.cameraZoom) elements.cameraZoom.value = Math.round(adjustments.zoom * 100);
+    if (elements.cameraOffsetX) elements.cameraOffsetX.value = Math.round(adjustments.offsetX * 100);
+    if (elements.cameraOffsetY) elements.cameraOffsetY.value = Math.round(adjustments.offsetY * 100);
+    if (elements.cameraBrightness) elements.cameraBrightness.value = adjustments.brightness;
+    if (elements.cameraContrast) elements.cameraContrast.value = adjustments.contrast;
+    if (elements.cameraSaturation) elements.cameraSaturation.value = adjustments.saturation;
+    syncCameraAdjustments();
+}
+
+/**
+ * Take the form's adjustments for the previewed camera and update the value labels
+ */
+function syncCameraAdjustments() {
+    const adjustments = readCameraAdjustForm();
+    DeviceTest.cameraAdjustments = adjustments;
+    if (DeviceTest.cameraDeviceId) DeviceTest.adjustmentDrafts.set(DeviceTest.cameraDeviceId, adjustments);
+    
+    const labels = {
+        'camera-zoom-value': `${Math.round(adjustments.zoom * 100)}%`,
+        'camera-offset-x-value': String(Math.round(adjustments.offsetX * 100)),
+        'camera-offset-y-value': String(Math.round(adjustments.offsetY * 100)),
+        'camera-brightness-value': `${adjustments.brightness}%`,
+        'camera-contrast-value': `${adjustments.contrast}%`,
+        'camera-saturation-value': `${adjustments.saturation}%`
+    };
+    Object.entries(labels).forEach(([id, text]) => {
+        const label = document.getElementById(id);
+        if (label) label.textContent = text;
+    });
+}
+
+/**
+ * Draw the camera preview the way the recording will, every frame while the modal is open
+ */
+function drawCameraAdjustPreview() {
+    const canvas = elements.cameraAdjustPreview;
+    const video = elements.cameraDevicePreview;
+    const ctx = canvas?.getContext('2d');
+    if (!ctx || !video) return;
+    
+    if (video.readyState >= 2) {
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        drawCameraFrame(ctx, video, { x: 0, y: 0, width: canvas.width, height: canvas.height }, DeviceTest.cameraAdjustments);
+    }
+    DeviceTest.cameraFrame = requestAnimationFrame(drawCameraAdjustPreview);
+}
+
+/**
+ * Meter the selected microphone in the modal
+ */
+async function startMicTest() {
+    DeviceTest.stopMic();
+    const request = DeviceTest.micRequest;
+    const status = elements.micDeviceStatus;
+    const row = elements.micDeviceTest;
+    renderAudioMeter(row, { level: 0, peak: 0, clipping: false }, 'audio');
+    
+    try {
+        const stream = await PermissionManager.requestMicrophone({
+            audio: getMicConstraints({ ...AppConfig.config, micDeviceId: elements.micDevice?.value })
+        }, showToast);
+        if (request !== DeviceTest.micRequest) {
+            stream.getTracks().forEach(track => track.stop());
+            return;
+        }
+        
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        DeviceTest.micStream = stream;
+        DeviceTest.audioContext = new AudioContextClass();
+        DeviceTest.analyser = DeviceTest.audioContext.createAnalyser();
+        DeviceTest.analyser.fftSize = 1024;
+        DeviceTest.samples = new Float32Array(DeviceTest.analyser.fftSize);
+        DeviceTest.audioContext.createMediaStreamSource(stream).connect(DeviceTest.analyser);
+        if (status) status.textContent = 'Say something to test the level';
+        
+        const update = () => {
+            const { level, peak, clipped } = measureAnalyser(DeviceTest.analyser, DeviceTest.samples);
+            const now = performance.now();
+            if (clipped) DeviceTest.clippedAt = now;
+            renderAudioMeter(row, {
+                level,
+                peak,
+                clipping: DeviceTest.clippedAt > 0 && now - DeviceTest.clippedAt < CONFIG.AUDIO_CLIP_HOLD
+            }, 'audio');
+            DeviceTest.frame = requestAnimationFrame(update);
+        };
+        update();
+        
+        await refreshDeviceLists();
+    } catch (err) {
+        if (request !== DeviceTest.micRequest) return;
+        console.warn('[Devices] Microphone test failed:', err);
+        if (status) status.textContent = getDeviceErrorMessage(err, 'Microphone');
+    }
+}
+
+/**
+ * Keep pickers current and report a saved device being unplugged
+ */
+async function handleDeviceChange() {
+    const { cameraDeviceId, micDeviceId } = AppConfig.config;
+    const [cameras, mics] = await Promise.all([
+        PermissionManager.listDevices('videoinput'),
+        PermissionManager.listDevices('audioinput')
+    ]);
+    
+    [[cameraDeviceId, cameras, 'camera'], [micDeviceId, mics, 'microphone']].forEach(([deviceId, devices, noun]) => {
+        if (!deviceId) return;
+        if (devices.some(device => device.deviceId === deviceId)) {
+            connectedSavedDevices.add(deviceId);
+        } else if (connectedSavedDevices.delete(deviceId) && !RecordingState.isRecording) {
+            // While recording, the ended track reports the switch instead
+            showToast(`Your chosen ${noun} was disconnected - the default ${noun} will be used`, 'warning');
+        }
+    });
+    
+    if (RecordingState.isRecording) {
+        await restorePreferredDevices(AppConfig.config, showToast);
+    }
+    
+    if (elements.devicesModal?.classList.contains('hidden')) return;
+    
+    await refreshDeviceLists();
+    // Restart a test whose device went away
+    if (DeviceTest.cameraStream?.getVideoTracks().every(track => track.readyState === 'ended')) startCameraTest();
+    if (DeviceTest.micStream?.getAudioTracks().every(track => track.readyState === 'ended')) startMicTest();
+}
+
+/**
+ * Setup devices modal event listeners
+ */
+function setupDevicesModal() {
+    const { devicesModal, openDevicesBtn, cameraDevice, micDevice, devicesCancel, devicesSave } = elements;
+    
+    if (!devicesModal) return;
+    
+    const closeModal = () => {
+        devicesModal.classList.add('hidden');
+        DeviceTest.stop();
+        DeviceTest.adjustmentDrafts.clear();
+    };
+    
+    openDevicesBtn?.addEventListener('click', openDevicesModal);
+    
+    // Camera adjustments - previewed live, saved per camera
+    [
+        elements.cameraMirror, elements.cameraZoom, elements.cameraOffsetX, elements.cameraOffsetY,
+        elements.cameraBrightness, elements.cameraContrast, elements.cameraSaturation
+    ].forEach(input => input?.addEventListener('input', syncCameraAdjustments));
+    elements.cameraAdjustReset?.addEventListener('click', () => fillCameraAdjustForm(DEFAULT_CAMERA_ADJUSTMENTS));
+    elements.switchDevicesBtn?.addEventListener('click', openDevicesModal);
+    cameraDevice?.addEventListener('change', startCameraTest);
+    micDevice?.addEventListener('change', startMicTest);
+    
+    // Save button
+    devicesSave?.addEventListener('click', async () => {
+        const previous = AppConfig.config;
+        const cameraDeviceId = cameraDevice?.value ?? '';
+        const micDeviceId = micDevice?.value ?? '';
+        AppConfig.setConfigBatch({ cameraDeviceId, micDeviceId });
+        // The compositor reads these every frame, so a live recording picks them up straight away
+        DeviceTest.adjustmentDrafts.forEach((adjustments, deviceId) => CameraAdjustments.set(deviceId, adjustments));
+        // Release the preview first - some cameras can only be opened once
+        closeModal();
+        
+        if (!RecordingState.isRecording) {
+            showToast('Devices saved!', 'success');
+            return;
+        }
+        
+        // Switch the live recording to a device it isn't already using
+        const needsSwitch = (kind, deviceId, previousId) => deviceId
+            ? getActiveDeviceId(kind) !== deviceId
+            : previousId !== '';
+        const switches = [];
+        if (canSwitchCamera() && needsSwitch('camera', cameraDeviceId, previous.cameraDeviceId)) {
+            switches.push(switchCamera(cameraDeviceId, showToast));
+        }
+        if (canSwitchMicrophone() && needsSwitch('mic', micDeviceId, previous.micDeviceId)) {
+            switches.push(switchMicrophone(micDeviceId, showToast));
+        }
+        
+        const results = await Promise.all(switches);
+        if (results.some(Boolean)) {
+            showToast('Switched devices - recording continues', 'success');
+        } else if (switches.length === 0) {
+            showToast(
+                canSwitchCamera() || canSwitchMicrophone() ? 'Devices saved!' : 'Devices saved - applies to your next recording',
+                'success'
+            );
+        }
+    });
+    
+    // Cancel button
+    devicesCancel?.addEventListener('click', closeModal);
+    
+    // Close button
+    const closeBtn = devicesModal.querySelector('.modal-close');
+    closeBtn?.addEventListener('click', closeModal);
+    
+    // Close on backdrop click
+    devicesModal.addEventListener('click', (e) => {
+        if (e.target === devicesModal || e.target.classList.contains('modal-backdrop')) {
+            closeModal();
+        }
+    });
+    
+    navigator.mediaDevices?.addEventListener?.('devicechange', handleDeviceChange);
+    handleDeviceChange();
+}
+
+/**
+ * Open the camera and microphone picker with a live preview
+ */
+export async function openDevicesModal() {
+    const { devicesModal } = elements;
+    
+    if (!devicesModal) return;
+    
+    const { cameraDeviceId, micDeviceId } = AppConfig.config;
+    fillDeviceSelect(elements.cameraDevice, [], cameraDeviceId, 'Camera');
+    fillDeviceSelect(elements.micDevice, [], micDeviceId, 'Microphone');
+    document.getElementById('camera-device-group')?.classList.toggle('hidden', !Capabilities.camera);
+    document.getElementById('mic-device-group')?.classList.toggle('hidden', !Capabilities.microphone);
+    devicesModal.classList.remove('hidden');
+    
+    await refreshDeviceLists();
+    if (Capabilities.camera) startCameraTest();
+    if (Capabilities.microphone) startMicTest();
+}
+
+// ============================================
+// MICROPHONE PROCESSING
+// ============================================
+
+/**
+ * Read the mic processing settings currently entered in the modal
+ * @returns {Object} Mic processing config entries
+ */
+function readAudioProcessingForm() {
+    return {
+        micNoiseSuppression: !!elements.micNoiseSuppression?.checked,
+        micEchoCancellation: !!elements.micEchoCancellation?.checked,
+        micAutoGainControl: !!elements.micAutoGainControl?.checked,
+        micNoiseGate: !!elements.micNoiseGate?.checked,
+        micGateThreshold: Number(elements.micGateThreshold?.value),
+        micCompressor: !!elements.micCompressor?.checked,
+        micCompressorThreshold: Number(elements.micCompressorThreshold?.value),
+        micCompressorRatio: Number(elements.micCompressorRatio?.value)
+    };
+}
+
+/**
+ * Populate the modal from a config
+ * @param {Object} config - Config with mic processing entries
+ */
+function fillAudioProcessingForm(config) {
+    if (elements.micNoiseSuppression) elements.micNoiseSuppression.checked = config.micNoiseSuppression;
+    if (elements.micEchoCancellation) elements.micEchoCancellation.checked = config.micEchoCancellation;
+    if (elements.micAutoGainControl) elements.micAutoGainControl.checked = config.micAutoGainControl;
+    if (elements.micNoiseGate) elements.micNoiseGate.checked = config.micNoiseGate;
+    if (elements.micGateThreshold) elements.micGateThreshold.value = config.micGateThreshold;
+    if (elements.micCompressor) elements.micCompressor.checked = config.micCompressor;
+    if (elements.micCompressorThreshold) elements.micCompressorThreshold.value = config.micCompressorThreshold;
+    if (elements.micCompressorRatio) elements.micCompressorRatio.value = config.micCompressorRatio;
+}
+
+/**
+ * Keep value labels and dependent controls in sync with the form
+ */
+function syncAudioProcessingForm() {
+    const config = readAudioProcessingForm();
+    
+    document.getElementById('mic-gate-options')?.classList.toggle('disabled', !config.micNoiseGate);
+    document.getElementById('mic-compressor-options')?.classList.toggle('disabled', !config.micCompressor);
+    
+    const gateValue = document.getElementById('mic-gate-threshold-value');
+    if (gateValue) gateValue.textContent = `${config.micGateThreshold} dB`;
+    const thresholdValue = document.getElementById('mic-compressor-threshold-value');
+    if (thresholdValue) thresholdValue.textContent = `${config.micCompressorThreshold} dB`;
+    const ratioValue = document.getElementById('mic-compressor-ratio-value');
+    if (ratioValue) ratioValue.textContent = `${config.micCompressorRatio}:1`;
+}
+
+/**
+ * Setup mic processing modal event listeners
+ */
+function setupAudioProcessingModal() {
+    const { audioProcessingModal, audioProcessingCancel, audioProcessingSave } = elements;
+    
+    if (!audioProcessingModal) return;
+    
+    const closeModal = () => audioProcessingModal.classList.add('hidden');
+    
+    [
+        elements.micNoiseGate, elements.micGateThreshold, elements.micCompressor,
+        elements.micCompressorThreshold, elements.micCompressorRatio
+    ].forEach(input => {
+        input?.addEventListener('input', syncAudioProcessingForm);
+        input?.addEventListener('change', syncAudioProcessingForm);
+    });
+    
+    // Save button
+    audioProcessingSave?.addEventListener('click', () => {
+        AppConfig.setConfigBatch(readAudioProcessingForm());
+        closeModal();
+        showToast(
+            RecordingState.isRecording ? 'Microphone processing saved - applies to your next recording' : 'Microphone processing saved!',
+            'success'
+        );
+    });
+    
+    // Cancel button
+    audioProcessingCancel?.addEventListener('click', closeModal);
+    
+    // Close button
+    const closeBtn = audioProcessingModal.querySelector('.modal-close');
+    closeBtn?.addEventListener('click', closeModal);
+    
+    // Close on backdrop click
+    audioProcessingModal.addEventListener('click', (e) => {
+        if (e.target === audioProcessingModal || e.target.classList.contains('modal-backdrop')) {
+            closeModal();
+        }
+    });
+}
+
+/**
+ * Open mic processing settings modal
+ */
+export function openAudioProcessingModal() {
+    const { audioProcessingModal } = elements;
+    
+    if (!audioProcessingModal) return;
+    
+    fillAudioProcessingForm(AppConfig.config);
+    syncAudioProcessingForm();
+    audioProcessingModal.classList.remove('hidden');
+}
+
+// ============================================
+// CAMERA BUBBLE EDITOR
+// ============================================
+
+// Active drag/resize gesture on the camera bubble frame
+let bubbleGesture = null;
+
+/**
+ * Place the bubble frame over the camera overlay on the preview canvas.
+ * Hidden when there is no composited camera overlay.
+ */
+export function positionCameraBubbleFrame() {
+    const frame = elements.cameraBubbleFrame;
+    if (!frame) return;
+    
+    const canvas = RecordingState.previewCanvas;
+    const rect = RecordingState.overlayRect;
+    // Only the PiP layout shows the bubble at its own geometry
+    if (!canvas || !rect || !canvas.isConnected || !canvas.clientWidth || RecordingState.sceneLayout !== 'pip') {
+        frame.classList.add('hidden');
+        return;
+    }
+    
+    const scale = canvas.clientWidth / canvas.width;
+    frame.style.left = `${canvas.offsetLeft + rect.x * scale}px`;
+    frame.style.top = `${canvas.offsetTop + rect.y * scale}px`;
+    frame.style.width = `${rect.width * scale}px`;
+    frame.style.height = `${rect.height * scale}px`;
+    frame.classList.remove('hidden');
+}
+
+/**
+ * Setup drag-to-move and corner resize for the camera bubble.
+ * Geometry is written to RecordingState.overlayRect, which the compositor reads every frame.
+ */
+function setupCameraBubbleEditor() {
+    const frame = elements.cameraBubbleFrame;
+    if (!frame) return;
+    
+    frame.addEventListener('pointerdown', (e) => {
+        const canvas = RecordingState.previewCanvas;
+        const rect = RecordingState.overlayRect;
+        if (!canvas || !rect) return;
+        
+        e.preventDefault();
+        frame.setPointerCapture(e.pointerId);
+        frame.classList.add('active');
+        bubbleGesture = {
+            pointerId: e.pointerId,
+            corner: e.target.dataset.corner || null,
+            startX: e.clientX,
+            startY: e.clientY,
+            startRect: rect,
+            scale: canvas.width / canvas.clientWidth
+        };
+    });
+    
+    frame.addEventListener('pointermove', (e) => {
+        const canvas = RecordingState.previewCanvas;
+        if (!bubbleGesture || e.pointerId !== bubbleGesture.pointerId || !canvas) return;
+        
+        const { corner, startX, startY, startRect, scale } = bubbleGesture;
+        const dx = (e.clientX - startX) * scale;
+        const dy = (e.clientY - startY) * scale;
+        
+        RecordingState.overlayRect = corner
+            ? resizeOverlayRect(startRect, corner, dx, dy, canvas.width, canvas.height)
+            : moveOverlayRect(startRect, dx, dy, canvas.width, canvas.height);
+        positionCameraBubbleFrame();
+    });
+    
+    const endGesture = (e) => {
+        if (!bubbleGesture || e.pointerId !== bubbleGesture.pointerId) return;
+        bubbleGesture = null;
+        frame.classList.remove('active');
+    };
+    frame.addEventListener('pointerup', endGesture);
+    frame.addEventListener('pointercancel', endGesture);
+    
+    // Keep the frame aligned when the preview is resized
+    window.addEventListener('resize', positionCameraBubbleFrame);
+    if (typeof ResizeObserver !== 'undefined' && elements.previewArea) {
+        new ResizeObserver(positionCameraBubbleFrame).observe(elements.previewArea);
+    }
+}
+
+
+// ============================================
+// SCENE LAYOUT CONTROLS
+// ============================================
+
+/**
+ * Switch scene layout and sync the bubble frame and PiP controls
+ * @param {string} layout - Key of SCENE_LAYOUTS
+ */
+export function switchSceneLayout(layout) {
+    const previous = RecordingState.sceneLayout;
+    if (!setSceneLayout(layout, showToast)) return;
+    
+    positionCameraBubbleFrame();
+    syncPipSceneButtons();
+    if (layout !== previous) {
+        showToast(`Layout: ${SCENE_LAYOUTS[layout]}`, 'info');
+    }
+}
+
+/**
+ * Switch to the next scene layout
+ */
+function cycleSceneLayout() {
+    const layouts = Object.keys(SCENE_LAYOUTS);
+    const next = layouts[(layouts.indexOf(RecordingState.sceneLayout) + 1) % layouts.length];
+    switchSceneLayout(next);
+}
+
+// ============================================
+// SCREEN REGION PICKER
+// ============================================
+
+// Picker state - the selection is in screen video pixels until applied
+const RegionPicker = {
+    aspect: 'free',
+    selection: null,
+    previous: null,
+    cropCleared: false,
+    gesture: null,
+    animationId: null,
+    // Resolves pickRegionBeforeStart() once the picker is applied or dismissed
+    onSettled: null
+};
+
+/**
+ * Where the screen video sits on the picker canvas (letterboxed)
+ * @returns {{x: number, y: number, scale: number}|null}
+ */
+function getRegionPickerLayout() {
+    const canvas = elements.regionPickerCanvas;
+    const video = RecordingState.screenVideo;
+    if (!canvas || !video?.videoWidth) return null;
+    
+    const scale = Math.min(canvas.width / video.videoWidth, canvas.height / video.videoHeight);
+    return {
+        x: (canvas.width - video.videoWidth * scale) / 2,
+        y: (canvas.height - video.videoHeight * scale) / 2,
+        scale
+    };
+}
+
+/**
+ * Convert a pointer position to screen video pixels, clamped to the video
+ * @param {PointerEvent} e - Pointer event on the picker canvas
+ * @returns {{x: number, y: number}|null}
+ */
+function getRegionPickerPoint(e) {
+    const canvas = elements.regionPickerCanvas;
+    const video = RecordingState.screenVideo;
+    const layout = getRegionPickerLayout();
+    if (!layout) return null;
+    
+    const bounds = canvas.getBoundingClientRect();
+    const canvasX = (e.clientX - bounds.left) * (canvas.width / bounds.width);
+    const canvasY = (e.clientY - bounds.top) * (canvas.height / bounds.height);
+    return {
+        x: Math.min(Math.max((canvasX - layout.x) / layout.scale, 0), video.videoWidth),
+        y: Math.min(Math.max((canvasY - layout.y) / layout.scale, 0), video.videoHeight)
+    };
+}
+
+/**
+ * Draw the live screen with everything outside the selection dimmed
+ */
+function renderRegionPicker() {
+    if (!canSelectScreenRegion()) {
+        closeRegionPicker();
+        settleRegionPicker();
+        return;
+    }
+    
+    const canvas = elements.regionPickerCanvas;
+    const ctx = canvas.getContext('2d');
+    const video = RecordingState.screenVideo;
+    const layout = getRegionPickerLayout();
+    
+    ctx.fillStyle = '#000';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    
+    if (layout && video.readyState >= 2) {
+        const videoWidth = video.videoWidth * layout.scale;
+        const videoHeight = video.videoHeight * layout.scale;
+        ctx.drawImage(video, layout.x, layout.y, videoWidth, videoHeight);
+        
+        const selection = RegionPicker.selection;
+        if (selection) {
+            const x = layout.x + selection.x * layout.scale;
+            const y = layout.y + selection.y * layout.scale;
+            const width = selection.width * layout.scale;
+            const height = selection.height * layout.scale;
+            
+            // Dim the video around the selection
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.55)';
+            ctx.beginPath();
+            ctx.rect(layout.x, layout.y, videoWidth, videoHeight);
+            ctx.rect(x, y, width, height);
+            ctx.fill('evenodd');
+            
+            ctx.strokeStyle = '#fff';
+            ctx.lineWidth = 2;
+            ctx.setLineDash([8, 6]);
+            ctx.strokeRect(x, y, width, height);
+            ctx.setLineDash([]);
+            
+            // Size label in source pixels
+            const label = `${Math.round(selection.width)} × ${Math.round(selection.height)}`;
+            ctx.font = `${Math.max(12, Math.round(canvas.width / 60))}px sans-serif`;
+            ctx.textBaseline = 'bottom';
+            ctx.fillStyle = '#fff';
+            ctx.fillText(label, x + 4, Math.max(y - 4, 16));
+        }
+    }
+    
+    RegionPicker.animationId = requestAnimationFrame(renderRegionPicker);
+}
+
+/**
+ * Place the picker over the preview canvas
+ */
+function positionRegionPicker() {
+    const picker = elements.regionPicker;
+    const canvas = RecordingState.previewCanvas;
+    if (!picker || picker.classList.contains('hidden') || !canvas?.isConnected) return;
+    
+    picker.style.left = `${canvas.offsetLeft}px`;
+    picker.style.top = `${canvas.offsetTop}px`;
+    picker.style.width = `${canvas.clientWidth}px`;
+    picker.style.height = `${canvas.clientHeight}px`;
+}
+
+function syncRegionAspectButtons() {
+    elements.regionAspectButtons.forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.aspect === RegionPicker.aspect);
+    });
+}
+
+/**
+ * Open the region picker over the live preview
+ * @returns {Promise<boolean>} - Whether the picker was opened
+ */
+export async function openRegionPicker() {
+    const canvas = elements.regionPickerCanvas;
+    if (!elements.regionPicker || !canvas) return false;
+    
+    if (!canSelectScreenRegion()) {
+        showToast('Start a screen recording to select a region', 'warning');
+        return false;
+    }
+    if (!elements.regionPicker.classList.contains('hidden')) return false;
+    closeAnnotations();
+    
+    // A Region Capture crop has to come off so the whole surface can be shown
+    RegionPicker.previous = RecordingState.screenRegion;
+    RegionPicker.cropCleared = !!RecordingState.regionCropElement;
+    if (RegionPicker.cropCleared) {
+        await setScreenRegion(null);
+    }
+    
+    const video = RecordingState.screenVideo;
+    const previous = RegionPicker.previous;
+    RegionPicker.selection = previous && video.videoWidth ? {
+        x: previous.x * video.videoWidth,
+        y: previous.y * video.videoHeight,
+        width: previous.width * video.videoWidth,
+        height: previous.height * video.videoHeight
+    } : null;
+    RegionPicker.gesture = null;
+    syncRegionAspectButtons();
+    
+    canvas.width = RecordingState.previewCanvas.width;
+    canvas.height = RecordingState.previewCanvas.height;
+    elements.regionPicker.classList.remove('hidden');
+    positionRegionPicker();
+    renderRegionPicker();
+    elements.regionApply?.focus();
+    return true;
+}
+
+/**
+ * Show the picker over the preview before the recorder starts
+ * @returns {Promise<void>} - Resolves once the region is applied or the picker dismissed
+ */
+async function pickRegionBeforeStart() {
+    const settled = new Promise(resolve => { RegionPicker.onSettled = resolve; });
+    if (!(await openRegionPicker())) settleRegionPicker();
+    return settled;
+}
+
+function settleRegionPicker() {
+    const onSettled = RegionPicker.onSettled;
+    RegionPicker.onSettled = null;
+    onSettled?.();
+}
+
+/**
+ * Hide the picker without changing the region
+ */
+function closeRegionPicker() {
+    if (RegionPicker.animationId) {
+        cancelAnimationFrame(RegionPicker.animationId);
+        RegionPicker.animationId = null;
+    }
+    RegionPicker.gesture = null;
+    elements.regionPicker?.classList.add('hidden');
+}
+
+/**
+ * Close the picker and put back the region it was opened with
+ */
+async function cancelRegionPicker() {
+    closeRegionPicker();
+    if (RegionPicker.cropCleared && canSelectScreenRegion()) {
+        await setScreenRegion(RegionPicker.previous);
+    }
+    settleRegionPicker();
+}
+
+/**
+ * Record the selected region (or the whole screen when nothing is selected)
+ */
+async function applyRegionPicker() {
+    const video = RecordingState.screenVideo;
+    const selection = RegionPicker.selection;
+    if (!canSelectScreenRegion() || !video.videoWidth) {
+        closeRegionPicker();
+        settleRegionPicker();
+        return;
+    }
+    
+    if (selection && (selection.width < CONFIG.REGION_MIN_SIZE || selection.height < CONFIG.REGION_MIN_SIZE)) {
+        showToast(`Region must be at least ${CONFIG.REGION_MIN_SIZE}px on each side`, 'warning');
+        return;
+    }
+    
+    const region = selection ? {
+        x: selection.x / video.videoWidth,
+        y: selection.y / video.videoHeight,
+        width: Math.min(selection.width / video.videoWidth, 1),
+        height: Math.min(selection.height / video.videoHeight, 1)
+    } : null;
+    
+    closeRegionPicker();
+    if (await setScreenRegion(region, showToast)) {
+        showToast(selection
+            ? `Recording region: ${Math.round(selection.width)} × ${Math.round(selection.height)}`
+            : 'Recording the full screen', 'info');
+    }
+    settleRegionPicker();
+}
+
+/**
+ * Setup region drawing, moving and the picker toolbar
+ */
+function setupRegionPicker() {
+    const canvas = elements.regionPickerCanvas;
+    if (!canvas) return;
+    
+    elements.regionBtn?.addEventListener('click', openRegionPicker);
+    elements.regionApply?.addEventListener('click', applyRegionPicker);
+    elements.regionCancel?.addEventListener('click', cancelRegionPicker);
+    elements.regionFull?.addEventListener('click', () => {
+        RegionPicker.selection = null;
+    });
+    
+    elements.regionAspectButtons.forEach(btn => {
+        btn.addEventListener('click', () => {
+            const video = RecordingState.screenVideo;
+            RegionPicker.aspect = btn.dataset.aspect;
+            syncRegionAspectButtons();
+            
+            const aspect = REGION_ASPECTS[RegionPicker.aspect];
+            if (aspect && video?.videoWidth) {
+                RegionPicker.selection = fitRegionToAspect(RegionPicker.selection, aspect, video.videoWidth, video.videoHeight);
+            }
+        });
+    });
+    
+    canvas.addEventListener('pointerdown', (e) => {
+        const point = getRegionPickerPoint(e);
+        if (!point) return;
+        
+        e.preventDefault();
+        canvas.setPointerCapture(e.pointerId);
+        const selection = RegionPicker.selection;
+        const inside = selection && point.x >= selection.x && point.x <= selection.x + selection.width &&
+            point.y >= selection.y && point.y <= selection.y + selection.height;
+        
+        // Drag inside the selection moves it, anywhere else draws a new one
+        RegionPicker.gesture = { pointerId: e.pointerId, start: point, startRect: inside ? selection : null };
+    });
+    
+    canvas.addEventListener('pointermove', (e) => {
+        const gesture = RegionPicker.gesture;
+        const video = RecordingState.screenVideo;
+        if (!gesture || e.pointerId !== gesture.pointerId || !video) return;
+        
+        const point = getRegionPickerPoint(e);
+        if (!point) return;
+        
+        const { start, startRect } = gesture;
+        RegionPicker.selection = startRect
+            ? moveOverlayRect(startRect, point.x - start.x, point.y - start.y, video.videoWidth, video.videoHeight)
+            : getRegionFromDrag(start.x, start.y, point.x, point.y, REGION_ASPECTS[RegionPicker.aspect], video.videoWidth, video.videoHeight);
+    });
+    
+    const endGesture = (e) => {
+        const gesture = RegionPicker.gesture;
+        if (!gesture || e.pointerId !== gesture.pointerId) return;
+        RegionPicker.gesture = null;
+        
+        // A click without a drag clears the selection
+        const selection = RegionPicker.selection;
+        if (!gesture.startRect && selection && (selection.width < 2 || selection.height < 2)) {
+            RegionPicker.selection = null;
+        }
+    };
+    canvas.addEventListener('pointerup', endGesture);
+    canvas.addEventListener('pointercancel', endGesture);
+    
+    document.addEventListener('keydown', (e) => {
+        if (elements.regionPicker?.classList.contains('hidden')) return;
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            cancelRegionPicker();
+        } else if (e.key === 'Enter' && e.target.tagName !== 'BUTTON') {
+            e.preventDefault();
+            applyRegionPicker();
+        }
+    });
+    
+    // Keep the picker over the preview when it's resized
+    window.addEventListener('resize', positionRegionPicker);
+    if (typeof ResizeObserver !== 'undefined' && elements.previewArea) {
+        new ResizeObserver(positionRegionPicker).observe(elements.previewArea);
+    }
+}
+
+// ============================================
+// ANNOTATION LAYER
+// ============================================
+
+// Toolbar state, the pointer gesture in progress and the open text label
+const AnnotationState = {
+    tool: 'pen',
+    gesture: null,
+    text: null
+};
+
+/**
+ * Pen width, text size and colour in recording canvas pixels
+ * @returns {{color: string, width: number, size: number}}
+ */
+function getAnnotationStyle() {
+    const canvas = RecordingState.recordingCanvas;
+    const unit = Math.min(canvas.width, canvas.height);
+    return {
+        color: AppConfig.config.annotationColor,
+        width: Math.max(2, Math.round(unit * CONFIG.ANNOTATION_STROKE_WIDTH)),
+        size: Math.max(12, Math.round(unit * CONFIG.ANNOTATION_TEXT_SIZE))
+    };
+}
+
+/**
+ * Convert a pointer position over the layer to recording canvas pixels
+ * @param {PointerEvent} e - Pointer event on the layer
+ * @returns {{x: number, y: number}}
+ */
+function getAnnotationPoint(e) {
+    const canvas = RecordingState.recordingCanvas;
+    const bounds = elements.annotationLayer.getBoundingClientRect();
+    return {
+        x: (e.clientX - bounds.left) * (canvas.width / bounds.width),
+        y: (e.clientY - bounds.top) * (canvas.height / bounds.height)
+    };
+}
+
+/**
+ * Place the layer over the preview canvas
+ */
+function positionAnnotationLayer() {
+    const layer = elements.annotationLayer;
+    const canvas = RecordingState.previewCanvas;
+    if (!layer || layer.classList.contains('hidden') || !canvas?.isConnected) return;
+    
+    layer.style.left = `${canvas.offsetLeft}px`;
+    layer.style.top = `${canvas.offsetTop}px`;
+    layer.style.width = `${canvas.clientWidth}px`;
+    layer.style.height = `${canvas.clientHeight}px`;
+}
+
+function syncAnnotationToolbar() {
+    elements.annotationTools?.querySelectorAll('button').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.tool === AnnotationState.tool);
+    });
+    elements.annotationColors?.querySelectorAll('button').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.color === AppConfig.config.annotationColor);
+    });
+    if (elements.annotationFade) elements.annotationFade.value = String(AppConfig.config.annotationFadeSeconds);
+    if (elements.annotationLayer) elements.annotationLayer.dataset.tool = AnnotationState.tool;
+}
+
+/**
+ * Put the typed label on the recording (or drop it) and remove the text box
+ * @param {boolean} keep - False discards the label
+ */
+function finishAnnotationText(keep = true) {
+    const text = AnnotationState.text;
+    if (!text) return;
+    AnnotationState.text = null;
+    if (keep && canAnnotate()) Annotations.addText(text.point, text.input.value, getAnnotationStyle());
+    text.input.remove();
+}
+
+/**
+ * Open a text box where the label will be placed
+ * @param {PointerEvent} e - Pointer event on the layer
+ * @param {{x: number, y: number}} point - Label position in canvas pixels
+ */
+function openAnnotationText(e, point) {
+    const layer = elements.annotationLayer;
+    const bounds = layer.getBoundingClientRect();
+    const style = getAnnotationStyle();
+    const scale = bounds.width / RecordingState.recordingCanvas.width;
+    
+    const input = createElement('input', {
+        type: 'text',
+        className: 'annotation-text-input',
+        placeholder: 'Type, then Enter',
+        'aria-label': 'Annotation text',
+        style: {
+            left: `${e.clientX - bounds.left}px`,
+            top: `${e.clientY - bounds.top}px`,
+            color: style.color,
+            fontSize: `${Math.max(12, style.size * scale)}px`
+        }
+    });
+    input.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter') {
+            event.preventDefault();
+            finishAnnotationText();
+        } else if (event.key === 'Escape') {
+            event.preventDefault();
+            event.stopPropagation();
+            finishAnnotationText(false);
+        }
+    });
+    input.addEventListener('blur', () => finishAnnotationText());
+    
+    layer.appendChild(input);
+    AnnotationState.text = { input, point };
+    input.focus();
+}
+
+/**
+ * Show the drawing toolbar over the live preview
+ */
+export function openAnnotations() {
+    if (!elements.annotationLayer) return;
+    
+    if (!canAnnotate()) {
+        showToast('Start a recording to draw on it', 'warning');
+        return;
+    }
+    if (!elements.regionPicker?.classList.contains('hidden')) cancelRegionPicker();
+    
+    Annotations.fadeSeconds = AppConfig.config.annotationFadeSeconds;
+    elements.annotationLayer.classList.remove('hidden');
+    elements.annotateBtn?.classList.add('active');
+    positionAnnotationLayer();
+    syncAnnotationToolbar();
+}
+
+/**
+ * Hide the drawing toolbar. Annotations already drawn stay on the recording until cleared or faded.
+ */
+export function closeAnnotations() {
+    finishAnnotationText();
+    if (AnnotationState.gesture) {
+        Annotations.end();
+        AnnotationState.gesture = null;
+    }
+    elements.annotationLayer?.classList.add('hidden');
+    elements.annotateBtn?.classList.remove('active');
+}
+
+function toggleAnnotations() {
+    if (elements.annotationLayer?.classList.contains('hidden')) {
+        openAnnotations();
+    } else {
+        closeAnnotations();
+    }
+}
+
+/**
+ * Setup the drawing toolbar and pointer drawing on the layer
+ */
+function setupAnnotations() {
+    const layer = elements.annotationLayer;
+    if (!layer) return;
+    
+    elements.annotateBtn?.addEventListener('click', toggleAnnotations);
+    elements.annotationDone?.addEventListener('click', closeAnnotations);
+    elements.annotationClear?.addEventListener('click', () => {
+        finishAnnotationText(false);
+        Annotations.clear();
+    });
+    
+    elements.annotationTools?.replaceChildren(...Object.entries(ANNOTATION_TOOLS).map(([tool, label]) =>
+        createElement('button', {
+            type: 'button',
+            className: 'region-aspect-btn',
+            dataset: { tool },
+            textContent: label,
+            onclick: () => {
+                finishAnnotationText();
+                AnnotationState.tool = tool;
+                syncAnnotationToolbar();
+            }
+        })
+    ));
+    
+    elements.annotationColors?.replaceChildren(...CONFIG.ANNOTATION_COLORS.map(color =>
+        createElement('button', {
+            type: 'button',
+            className: 'annotation-color',
+            dataset: { color },
+            style: { background: color },
+            title: color,
+            'aria-label': `Colour ${color}`,
+            onclick: () => {
+                AppConfig.setConfig('annotationColor', color);
+                syncAnnotationToolbar();
+            }
+        })
+    ));
+    
+    elements.annotationFade?.replaceChildren(...CONFIG.ANNOTATION_FADE_OPTIONS.map(seconds =>
+        createElement('option', { value: String(seconds), textContent: seconds ? `Fade after ${seconds}s` : 'Keep until cleared' })
+    ));
+    elements.annotationFade?.addEventListener('change', (e) => {
+        AppConfig.setConfig('annotationFadeSeconds', Number(e.target.value));
+        Annotations.fadeSeconds = AppConfig.config.annotationFadeSeconds;
+    });
+    
+    layer.addEventListener('pointerdown', (e) => {
+        // The toolbar and text box sit on the layer too
+        if (e.target !== layer || !canAnnotate()) return;
+        
+        e.preventDefault();
+        finishAnnotationText();
+        const point = getAnnotationPoint(e);
+        const tool = AnnotationState.tool;
+        if (tool === 'text') {
+            openAnnotationText(e, point);
+            return;
+        }
+        
+        layer.setPointerCapture(e.pointerId);
+        AnnotationState.gesture = { pointerId: e.pointerId };
+        const style = getAnnotationStyle();
+        if (tool === 'eraser') {
+            Annotations.erase(point, style.width * CONFIG.ANNOTATION_ERASER_SCALE);
+        } else {
+            Annotations.begin(tool, point, style);
+        }
+    });
+    
+    layer.addEventListener('pointermove', (e) => {
+        const gesture = AnnotationState.gesture;
+        if (!gesture || e.pointerId !== gesture.pointerId || !canAnnotate()) return;
+        
+        const point = getAnnotationPoint(e);
+        if (AnnotationState.tool === 'eraser') {
+            Annotations.erase(point, getAnnotationStyle().width * CONFIG.ANNOTATION_ERASER_SCALE);
+        } else {
+            Annotations.extend(point);
+        }
+    });
+    
+    const endGesture = (e) => {
+        const gesture = AnnotationState.gesture;
+        if (!gesture || e.pointerId !== gesture.pointerId) return;
+        AnnotationState.gesture = null;
+        if (AnnotationState.tool !== 'eraser') Annotations.end();
+    };
+    layer.addEventListener('pointerup', endGesture);
+    layer.addEventListener('pointercancel', endGesture);
+    
+    // Escape leaves drawing mode (text being typed handles its own Escape first)
+    document.addEventListener('keydown', (e) => {
+        if (layer.classList.contains('hidden') || e.key !== 'Escape') return;
+        e.preventDefault();
+        closeAnnotations();
+    });
+    
+    // Keep the layer over the preview when it's resized
+    window.addEventListener('resize', positionAnnotationLayer);
+    if (typeof ResizeObserver !== 'undefined' && elements.previewArea) {
+        new ResizeObserver(positionAnnotationLayer).observe(elements.previewArea);
+    }
+}
+
+// ============================================
+// SCREEN ZOOM
+// ============================================
+
+// Where the pointer last was over the preview, and whether the zoom key is held
+const ZoomState = {
+    hover: null,
+    keyHeld: false
+};
+
+/**
+ * Screen point under the pointer on the preview canvas
+ * @param {PointerEvent|MouseEvent} e - Event on the preview canvas
+ * @returns {{x: number, y: number}|null} - Normalized to the screen video
+ */
+function getZoomFocus(e) {
+    const canvas = RecordingState.previewCanvas;
+    const bounds = canvas.getBoundingClientRect();
+    if (!bounds.width || !bounds.height) return null;
+    return ScreenZoom.focusFromCanvas(
+        (e.clientX - bounds.left) * (canvas.width / bounds.width),
+        (e.clientY - bounds.top) * (canvas.height / bounds.height)
+    );
+}
+
+function syncZoomCursor() {
+    const canvas = RecordingState.previewCanvas;
+    if (!canvas) return;
+    const zoomable = canZoomScreen();
+    canvas.classList.toggle('zoom-in', zoomable && !ScreenZoom.isZoomed);
+    canvas.classList.toggle('zoom-out', zoomable && ScreenZoom.isZoomed);
+}
+
+/**
+ * Setup zooming into the screen: click the preview to toggle, move over it to pan,
+ * or hold Z to zoom around the pointer
+ */
+function setupScreenZoom() {
+    const area = elements.previewArea;
+    if (!area) return;
+    
+    // The preview canvas is recreated for each recording, so listen on its container
+    area.addEventListener('click', (e) => {
+        if (e.target !== RecordingState.previewCanvas || !canZoomScreen()) return;
+        
+        if (ScreenZoom.isZoomed) {
+            ScreenZoom.zoomOut();
+        } else {
+            ScreenZoom.zoomTo(AppConfig.config.zoomLevel, getZoomFocus(e));
+        }
+        syncZoomCursor();
+    });
+    
+    area.addEventListener('pointermove', (e) => {
+        if (e.target !== RecordingState.previewCanvas || !canZoomScreen()) return;
+        
+        ZoomState.hover = getZoomFocus(e);
+        if (ZoomState.hover) ScreenZoom.panTo(ZoomState.hover);
+        syncZoomCursor();
+    });
+    area.addEventListener('pointerout', (e) => {
+        if (e.target === RecordingState.previewCanvas) ZoomState.hover = null;
+    });
+    
+    const release = () => {
+        if (!ZoomState.keyHeld) return;
+        ZoomState.keyHeld = false;
+        ScreenZoom.zoomOut();
+        syncZoomCursor();
+    };
+    
+    // Hold Z: zoom around the pointer over the preview, or follow the cursor when recording this tab
+    document.addEventListener('keydown', (e) => {
+        if (e.code !== 'KeyZ' || e.repeat || e.metaKey || e.ctrlKey || e.altKey || e.shiftKey) return;
+        if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA' || e.target.isContentEditable) return;
+        if (!canZoomScreen()) return;
+        
+        e.preventDefault();
+        ZoomState.keyHeld = true;
+        ScreenZoom.zoomTo(AppConfig.config.zoomLevel, ZoomState.hover, { followCursor: !ZoomState.hover });
+        syncZoomCursor();
+    });
+    document.addEventListener('keyup', (e) => {
+        if (e.code === 'KeyZ') release();
+    });
+    // Keyup never arrives if focus leaves while the key is down
+    window.addEventListener('blur', release);
+}
+
+// ============================================
+// TEXT OVERLAYS
+// ============================================
+
+// Field labels per overlay kind - null hides the second field
+const TEXT_OVERLAY_FIELDS = {
+    'title': ['Title', 'Subtitle'],
+    'lower-third': ['Name', 'Role'],
+    'caption': ['Caption', null]
+};
+
+// Starter library, used until the first preset is saved or deleted
+const DEFAULT_TEXT_OVERLAYS = [
+    { id: 'preset-title', type: 'title', title: 'Welcome', subtitle: 'A quick walkthrough', color: CONFIG.TEXT_OVERLAY_COLORS[0] },
+    { id: 'preset-lower-third', type: 'lower-third', title: 'Your Name', subtitle: 'Your Role', color: CONFIG.TEXT_OVERLAY_COLORS[0] },
+    { id: 'preset-caption', type: 'caption', title: 'Back in a moment', subtitle: '', color: '#FFFFFF' }
+];
+
+const TEXT_OVERLAY_COMMAND_ICON = '<svg viewBox="0 0 16 16" fill="none" stroke="currentColor" stroke-width="1.5"><rect x="2" y="9" width="12" height="4.5" rx="1"/><path d="M4.5 11.25h5"/></svg>';
+
+// Saved overlay presets {id, type, title, subtitle, color}, kept in localStorage
+const OverlayPresets = {
+    items: [],
+    
+    load() {
+        let stored = null;
+        try {
+            stored = JSON.parse(localStorage.getItem(CONFIG.TEXT_OVERLAY_STORAGE_KEY));
+        } catch (e) {
+            stored = null;
+        }
+        if (!Array.isArray(stored)) {
+            this.items = DEFAULT_TEXT_OVERLAYS.map(preset => ({ ...preset }));
+            return;
+        }
+        this.items = stored.filter(preset =>
+            preset && typeof preset.id === 'string' && TEXT_OVERLAY_TYPES[preset.type] && typeof preset.title === 'string'
+        ).map(preset => ({
+            ...preset,
+            subtitle: typeof preset.subtitle === 'string' ? preset.subtitle : '',
+            color: CONFIG.TEXT_OVERLAY_COLORS.includes(preset.color) ? preset.color : CONFIG.TEXT_OVERLAY_COLORS[0]
+        }));
+    },
+    
+    save() {
+        try {
+            localStorage.setItem(CONFIG.TEXT_OVERLAY_STORAGE_KEY, JSON.stringify(this.items));
+        } catch (e) {
+            console.warn('Failed to save text overlays:', e);
+        }
+    },
+    
+    get(id) {
+        return this.items.find(preset => preset.id === id) || null;
+    },
+    
+    /**
+     * Add a preset, or replace the one with the same ID
+     * @param {Object} preset - {id?, type, title, subtitle, color}
+     * @returns {Object|null} - The saved preset, or null when the library is full
+     */
+    put(preset) {
+        const index = this.items.findIndex(item => item.id === preset.id);
+        if (index >= 0) {
+            this.items[index] = { ...preset };
+        } else {
+            if (this.items.length >= CONFIG.TEXT_OVERLAY_MAX_PRESETS) return null;
+            preset = { ...preset, id: `overlay-${Date.now()}-${Math.random().toString(36).slice(2, 8)}` };
+            this.items.push(preset);
+        }
+        this.save();
+        return preset;
+    },
+    
+    remove(id) {
+        this.items = this.items.filter(preset => preset.id !== id);
+        this.save();
+    }
+};
+
+// Preset being edited in the form (null = new) and the colour picked
+const TextOverlayForm = {
+    editingId: null,
+    color: CONFIG.TEXT_OVERLAY_COLORS[0]
+};
+
+/**
+ * Show or hide a saved overlay on the recording
+ * @param {string} id - Preset ID
+ */
+export function toggleTextOverlay(id) {
+    const preset = OverlayPresets.get(id);
+    if (!preset) return;
+    
+    if (!canShowTextOverlays()) {
+        showToast('Start a recording to show overlays', 'warning');
+        return;
+    }
+    
+    const shown = TextOverlays.toggle(preset);
+    showToast(shown ? `Showing "${preset.title}"` : `"${preset.title}" hidden`, 'info');
+    renderTextOverlayList();
+}
+
+/**
+ * Refresh the command menu's show/hide item for each preset
+ */
+function renderTextOverlayCommands() {
+    const anchor = document.querySelector('#command-results .command-item[data-action="text-overlays"]');
+    if (!anchor) return;
+    
+    anchor.parentElement.querySelectorAll('.command-item[data-action="text-overlay"]').forEach(item => item.remove());
+    anchor.after(...OverlayPresets.items.map(preset =>
+        createElement('button', {
+            className: 'command-item',
+            dataset: { action: 'text-overlay', overlayId: preset.id },
+            innerHTML: TEXT_OVERLAY_COMMAND_ICON
+        }, [
+            createElement('span', { textContent: `${TextOverlays.isShown(preset.id) ? 'Hide' : 'Show'} Overlay: ${preset.title}` })
+        ])
+    ));
+}
+
+function renderTextOverlayList() {
+    const { textOverlayList } = elements;
+    if (!textOverlayList) return;
+    
+    if (OverlayPresets.items.length === 0) {
+        textOverlayList.replaceChildren(createElement('li', { className: 'text-overlay-empty', textContent: 'No saved overlays' }));
+        return;
+    }
+    
+    const live = canShowTextOverlays();
+    textOverlayList.replaceChildren(...OverlayPresets.items.map(preset => {
+        const shown = TextOverlays.isShown(preset.id);
+        const detail = [TEXT_OVERLAY_TYPES[preset.type], preset.subtitle].filter(Boolean).join(' · ');
+        
+        const toggle = createElement('button', {
+            type: 'button',
+            className: shown ? 'btn-primary' : 'btn-secondary',
+            textContent: shown ? 'Hide' : 'Show',
+            title: live ? '' : 'Start a recording to show overlays',
+            onclick: () => toggleTextOverlay(preset.id)
+        });
+        toggle.disabled = !live;
+        
+        return createElement('li', { className: 'text-overlay-item' }, [
+            createElement('span', { className: 'text-overlay-swatch', style: { background: preset.color } }),
+            createElement('div', { className: 'text-overlay-item-text' }, [
+                createElement('span', { textContent: preset.title }),
+                createElement('span', { className: 'text-overlay-item-detail', textContent: detail })
+            ]),
+            toggle,
+            createElement('button', {
+                type: 'button',
+                className: 'btn-secondary',
+                textContent: 'Edit',
+                onclick: () => fillTextOverlayForm(preset)
+            }),
+            createElement('button', {
+                type: 'button',
+                className: 'btn-secondary',
+                textContent: 'Delete',
+                'aria-label': `Delete the overlay "${preset.title}"`,
+                onclick: () => {
+                    TextOverlays.hide(preset.id);
+                    OverlayPresets.remove(preset.id);
+                    if (TextOverlayForm.editingId === preset.id) fillTextOverlayForm(null);
+                    renderTextOverlayList();
+                    showToast('Overlay deleted', 'info');
+                }
+            })
+        ]);
+    }));
+}
+
+/**
+ * Match the form's labels and colour buttons to the chosen kind and colour
+ */
+function syncTextOverlayForm() {
+    const [titleLabel, subtitleLabel] = TEXT_OVERLAY_FIELDS[elements.textOverlayType?.value] || TEXT_OVERLAY_FIELDS.title;
+    if (elements.textOverlayTitleLabel) elements.textOverlayTitleLabel.textContent = titleLabel;
+    if (elements.textOverlaySubtitleLabel && subtitleLabel) elements.textOverlaySubtitleLabel.textContent = subtitleLabel;
+    elements.textOverlaySubtitleGroup?.classList.toggle('hidden', !subtitleLabel);
+    elements.textOverlayColors?.querySelectorAll('button').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.color === TextOverlayForm.color);
+    });
+}
+
+/**
+ * Load a preset into the form for editing, or clear it for a new one
+ * @param {Object|null} preset - Saved preset
+ */
+function fillTextOverlayForm(preset) {
+    const { textOverlayFormLabel, textOverlayType, textOverlayTitle, textOverlaySubtitle, textOverlayCancelEdit, textOverlaySave } = elements;
+    
+    TextOverlayForm.editingId = preset?.id || null;
+    TextOverlayForm.color = preset?.color || CONFIG.TEXT_OVERLAY_COLORS[0];
+    if (textOverlayFormLabel) textOverlayFormLabel.textContent = preset ? 'Edit overlay' : 'New overlay';
+    if (textOverlayType) textOverlayType.value = preset?.type || 'lower-third';
+    if (textOverlayTitle) textOverlayTitle.value = preset?.title || '';
+    if (textOverlaySubtitle) textOverlaySubtitle.value = preset?.subtitle || '';
+    if (textOverlaySave) textOverlaySave.textContent = preset ? 'Update Overlay' : 'Save Overlay';
+    textOverlayCancelEdit?.classList.toggle('hidden', !preset);
+    syncTextOverlayForm();
+    if (preset) textOverlayTitle?.focus();
+}
+
+/**
+ * Save the form as a preset. An edited overlay that is showing updates live.
+ */
+function saveTextOverlayForm() {
+    const { textOverlayType, textOverlayTitle, textOverlaySubtitle } = elements;
+    const type = textOverlayType?.value;
+    const title = textOverlayTitle?.value.trim() || '';
+    
+    if (!TEXT_OVERLAY_TYPES[type]) return;
+    if (!title) {
+        showToast(`Enter the ${TEXT_OVERLAY_FIELDS[type][0].toLowerCase()} text`, 'warning');
+        textOverlayTitle?.focus();
+        return;
+    }
+    
+    const editingId = TextOverlayForm.editingId;
+    const preset = OverlayPresets.put({
+        id: editingId,
+        type,
+        title,
+        subtitle: TEXT_OVERLAY_FIELDS[type][1] ? textOverlaySubtitle?.value.trim() || '' : '',
+        color: TextOverlayForm.color
+    });
+    if (!preset) {
+        showToast(`You can save up to ${CONFIG.TEXT_OVERLAY_MAX_PRESETS} overlays`, 'warning');
+        return;
+    }
+    
+    if (editingId && TextOverlays.isShown(editingId)) {
+        TextOverlays.hide(editingId);
+        TextOverlays.show(preset);
+    }
+    fillTextOverlayForm(null);
+    renderTextOverlayList();
+    showToast(editingId ? 'Overlay updated' : 'Overlay saved', 'success');
+}
+
+/**
+ * Setup the text overlays modal and load the saved presets
+ */
+function setupTextOverlays() {
+    OverlayPresets.load();
+    
+    const { textOverlaysModal, textOverlayType, textOverlayColors, textOverlayCancelEdit, textOverlaySave, textOverlaysClose } = elements;
+    if (!textOverlaysModal) return;
+    
+    textOverlayType?.replaceChildren(...Object.entries(TEXT_OVERLAY_TYPES).map(([value, label]) =>
+        createElement('option', { value, textContent: label })
+    ));
+    textOverlayType?.addEventListener('change', syncTextOverlayForm);
+    
+    textOverlayColors?.replaceChildren(...CONFIG.TEXT_OVERLAY_COLORS.map(color =>
+        createElement('button', {
+            type: 'button',
+            className: 'text-overlay-color',
+            dataset: { color },
+            style: { background: color },
+            title: color,
+            'aria-label': `Colour ${color}`,
+            onclick: () => {
+                TextOverlayForm.color = color;
+                syncTextOverlayForm();
+            }
+        })
+    ));
+    
+    textOverlaySave?.addEventListener('click', saveTextOverlayForm);
+    textOverlayCancelEdit?.addEventListener('click', () => fillTextOverlayForm(null));
+    
+    const closeModal = () => textOverlaysModal.classList.add('hidden');
+    textOverlaysClose?.addEventListener('click', closeModal);
+    const closeBtn = textOverlaysModal.querySelector('.modal-close');
+    closeBtn?.addEventListener('click', closeModal);
+    
+    // Close on backdrop click
+    textOverlaysModal.addEventListener('click', (e) => {
+        if (e.target === textOverlaysModal || e.target.classList.contains('modal-backdrop')) {
+            closeModal();
+        }
+    });
+}
+
+/**
+ * Open text overlays modal
+ */
+export function openTextOverlaysModal() {
+    if (!elements.textOverlaysModal) return;
+    
+    fillTextOverlayForm(null);
+    renderTextOverlayList();
+    elements.textOverlaysModal.classList.remove('hidden');
+}
+
+// ============================================
+// AUDIO MIXER CONTROLS
+// ============================================
+
+// Config key that remembers each channel's volume
+const AUDIO_VOLUME_KEYS = {
+    mic: 'micVolume',
+    systemAudio: 'systemAudioVolume'
+};
+
+// Meter level (0..1) above which the bar turns amber
+const METER_HOT_LEVEL = 0.85;
+
+const SPEAKER_ICON = `
+    <svg viewBox="0 0 16 16" fill="none" stroke="currentColor" stroke-width="1.5">
+        <path d="M2 6h3l4-3v10l-4-3H2z"/>
+        <path d="M11.5 5.5a3.5 3.5 0 0 1 0 5"/>
+    </svg>`;
+const MUTED_ICON = `
+    <svg viewBox="0 0 16 16" fill="none" stroke="currentColor" stroke-width="1.5">
+        <path d="M2 6h3l4-3v10l-4-3H2z"/>
+        <path d="M11 6l4 4M15 6l-4 4"/>
+    </svg>`;
+
+// Meter loop - driven by the PiP window's frames while it's open, since the
+// page's own requestAnimationFrame stops when the tab is in the background
+let audioMeterFrame = null;
+
+// Channels already warned about clipping in this recording
+const clipWarnedChannels = new Set();
+
+/**
+ * Build one mixer row: mute, name, meter, volume and clip indicator
+ * @param {string} channel - Key of AUDIO_CHANNELS
+ * @returns {HTMLElement}
+ */
+function createMixerChannel(channel) {
+    const name = AUDIO_CHANNELS[channel];
+    const volume = AudioMixer.getVolume(channel);
+    
+    const muteBtn = createElement('button', {
+        type: 'button',
+        className: 'audio-mute-btn',
+        title: `Mute ${name}`,
+        'aria-pressed': 'false',
+        innerHTML: SPEAKER_ICON,
+        onclick: () => toggleAudioMute(channel)
+    });
+    
+    const meter = createElement('div', { className: 'audio-meter' }, [
+        createElement('div', { className: 'audio-meter-fill' }),
+        createElement('div', { className: 'audio-meter-peak' })
+    ]);
+    
+    const valueLabel = createElement('span', { className: 'settings-value', textContent: `${volume}%` });
+    const slider = createElement('input', {
+        type: 'range',
+        className: 'settings-range',
+        min: 0,
+        max: CONFIG.AUDIO_MAX_VOLUME,
+        step: 5,
+        value: volume,
+        'aria-label': `${name} volume`,
+        oninput: (e) => {
+            AudioMixer.setVolume(channel, Number(e.target.value));
+            valueLabel.textContent = `${e.target.value}%`;
+        },
+        // Remember the volume for the next recording
+        onchange: (e) => AppConfig.setConfig(AUDIO_VOLUME_KEYS[channel], Number(e.target.value))
+    });
+    const volumeControl = createElement('div', { className: 'audio-mixer-volume' }, [slider, valueLabel]);
+    
+    return createElement('div', { className: 'audio-mixer-channel', dataset: { channel } }, [
+        muteBtn,
+        createElement('span', { className: 'audio-mixer-label', textContent: name }),
+        meter,
+        volumeControl,
+        createElement('span', { className: 'audio-clip-indicator', textContent: 'CLIP', title: 'Clipping - lower the volume' })
+    ]);
+}
+
+/**
+ * Show the mixer for the recording's audio sources and start the meters
+ */
+function showAudioMixer() {
+    const mixer = elements.audioMixer;
+    if (!mixer) return;
+    
+    mixer.innerHTML = '';
+    AudioMixer.channels.forEach(channel => mixer.appendChild(createMixerChannel(channel)));
+    mixer.classList.toggle('hidden', AudioMixer.channels.length === 0);
+    
+    clipWarnedChannels.clear();
+    stopAudioMeters();
+    if (AudioMixer.channels.length > 0) updateAudioMeters();
+}
+
+function stopAudioMeters() {
+    if (audioMeterFrame) {
+        audioMeterFrame.source.cancelAnimationFrame(audioMeterFrame.id);
+        audioMeterFrame = null;
+    }
+}
+
+/**
+ * Draw a level on a meter row (main page or PiP)
+ * @param {Element|null} row - Channel row
+ * @param {Object} level - From AudioMixer.getLevel()
+ * @param {string} prefix - Class prefix: 'audio' or 'pip'
+ */
+function renderAudioMeter(row, level, prefix) {
+    if (!row || !level) return;
+    
+    const fill = row.querySelector(`.${prefix}-meter-fill`);
+    if (fill) {
+        fill.style.width = `${level.level * 100}%`;
+        fill.classList.toggle('hot', level.level >= METER_HOT_LEVEL && !level.clipping);
+        fill.classList.toggle('clipping', level.clipping);
+    }
+    const peak = row.querySelector(`.${prefix}-meter-peak`);
+    if (peak) peak.style.left = `calc(${level.peak * 100}% - 2px)`;
+    
+    row.querySelector(prefix === 'pip' ? '.pip-clip' : '.audio-clip-indicator')?.classList.toggle('active', level.clipping);
+}
+
+/**
+ * Refresh every meter, warn once per channel about clipping, and schedule the next frame
+ */
+function updateAudioMeters() {
+    audioMeterFrame = null;
+    const mixer = elements.audioMixer;
+    
+    if (!RecordingState.isRecording || AudioMixer.channels.length === 0) {
+        mixer?.classList.add('hidden');
+        return;
+    }
+    
+    const pipOpen = pipWindow && !pipWindow.closed;
+    AudioMixer.channels.forEach(channel => {
+        const level = AudioMixer.getLevel(channel);
+        renderAudioMeter(mixer?.querySelector(`[data-channel="${channel}"]`), level, 'audio');
+        if (pipOpen) {
+            renderAudioMeter(pipWindow.document.querySelector(`.pip-meter[data-channel="${channel}"]`), level, 'pip');
+        }
+        
+        if (level?.clipping && !AudioMixer.isMuted(channel) && !clipWarnedChannels.has(channel)) {
+            clipWarnedChannels.add(channel);
+            showToast(`${AUDIO_CHANNELS[channel]} is clipping - lower its volume`, 'warning');
+        }
+    });
+    
+    const source = pipOpen ? pipWindow : window;
+    audioMeterFrame = { source, id: source.requestAnimationFrame(updateAudioMeters) };
+}
+
+/**
+ * Mute or unmute an audio channel and sync the mixer and PiP buttons
+ * @param {string} channel - Key of AUDIO_CHANNELS
+ */
+function toggleAudioMute(channel) {
+    if (!AUDIO_CHANNELS[channel] || !AudioMixer.channels.includes(channel)) return;
+    
+    const muted = AudioMixer.toggleMuted(channel);
+    const name = AUDIO_CHANNELS[channel];
+    
+    const row = elements.audioMixer?.querySelector(`[data-channel="${channel}"]`);
+    if (row) {
+        row.classList.toggle('muted', muted);
+        const muteBtn = row.querySelector('.audio-mute-btn');
+        muteBtn.setAttribute('aria-pressed', String(muted));
+        muteBtn.title = `${muted ? 'Unmute' : 'Mute'} ${name}`;
+        muteBtn.innerHTML = muted ? MUTED_ICON : SPEAKER_ICON;
+    }
+    
+    if (pipWindow && !pipWindow.closed) {
+        const pipRow = pipWindow.document.querySelector(`.pip-meter[data-channel="${channel}"]`);
+        pipRow?.classList.toggle('muted', muted);
+        const pipBtn = pipRow?.querySelector('.pip-mute');
+        if (pipBtn) {
+            pipBtn.textContent = muted ? '🔇' : '🔊';
+            pipBtn.title = `${muted ? 'Unmute' : 'Mute'} ${name}`;
+        }
+    }
+    
+    showToast(`${name} ${muted ? 'muted' : 'unmuted'}`, 'info');
 }
\ No newline at end of file
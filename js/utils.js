@@ -15,6 +15,7 @@ const DEFAULT_CONFIG = {
     CAMERA_WIDTH: 1280,
     CAMERA_HEIGHT: 720,
     RECORDING_FPS: 30,
+    RECORDING_TIMESLICE: 1000, // Emit (and persist) a chunk every second
     VIDEO_MIME_TYPE: 'video/mp4',
     
     // Resolution options (for quality settings UI)
@@ -32,10 +33,108 @@ const DEFAULT_CONFIG = {
     // Codec preferences (in order of preference)
     CODEC_PREFERENCES: ['vp9', 'vp8', 'h264'],
     
+    // Quality presets (for quality settings UI) - bitrates in bits per second
+    QUALITY_PRESETS: {
+        small: { label: 'Small file', resolution: '720p', fps: 30, bitrate: 1500000 },
+        balanced: { label: 'Balanced', resolution: '1080p', fps: 30, bitrate: 4000000 },
+        high: { label: 'High quality', resolution: '1080p', fps: 60, bitrate: 8000000 }
+    },
+    BITRATE_OPTIONS: [1000000, 1500000, 2500000, 4000000, 6000000, 8000000, 12000000, 20000000],
+    AUDIO_BITRATE: 128000,
+    
+    // Time limits and scheduled recordings
+    MAX_DURATION_OPTIONS: [0, 15, 30, 60, 90, 120, 180], // Minutes - 0 = no limit
+    LIMIT_WARNING_OPTIONS: [1, 2, 5, 10], // Minutes before the limit
+    SCHEDULE_MISSED_GRACE: 60000, // ms a scheduled start may be late (e.g. page reloading) and still run
+    
+    // Splitting long recordings into parts - sizes stay under MAX_FILE_SIZE so every part fits the library
+    SPLIT_SIZE_OPTIONS: [0, 100, 250, 450], // MB - 0 = no size limit
+    SPLIT_DURATION_OPTIONS: [0, 10, 15, 30, 60], // Minutes - 0 = no duration limit
+    
+    // Countdown before the recorder starts
+    COUNTDOWN_OPTIONS: [0, 3, 5, 10], // Seconds - 0 starts straight away
+    COUNTDOWN_BEEP_FREQUENCY: 880, // Hz
+    COUNTDOWN_FINAL_BEEP_FREQUENCY: 1320, // Hz - last second
+    COUNTDOWN_BEEP_DURATION: 0.12, // Seconds
+    
+    // Audio mixer
+    AUDIO_MAX_VOLUME: 200, // Percent - sliders can boost quiet sources
+    AUDIO_METER_FLOOR_DB: -60, // Level shown as an empty meter
+    AUDIO_CLIP_THRESHOLD: 0.99, // Sample peak that counts as clipping
+    AUDIO_CLIP_HOLD: 1500, // ms the clip indicator stays lit
+    
+    // Microphone processing
+    MIC_GATE_ATTACK: 0.005, // Seconds for the gate to open
+    MIC_GATE_HOLD: 0.12, // Seconds the gate stays open after the level drops
+    MIC_GATE_RELEASE: 0.15, // Seconds for the gate to close
+    MIC_COMPRESSOR_KNEE: 6, // dB
+    MIC_COMPRESSOR_ATTACK: 0.003, // Seconds
+    MIC_COMPRESSOR_RELEASE: 0.25, // Seconds
+    
     // Canvas overlay
     OVERLAY_SCALE: 0.2, // 20% of screen width
     OVERLAY_CORNER_RADIUS: 30,
     OVERLAY_MARGIN: 10,
+    OVERLAY_SIZE_PRESETS: { small: 0.12, medium: 0.2, large: 0.3 }, // Fraction of canvas width
+    OVERLAY_MIN_SCALE: 0.05,
+    OVERLAY_MAX_SCALE: 0.5,
+    OVERLAY_SHADOW_BLUR: 24,
+    
+    // Scene layouts
+    SCENE_SPLIT_RATIO: 0.65, // Screen share of the width in side-by-side
+    SCENE_TRANSITION_DURATION: 400, // ms
+    
+    // Screen region
+    REGION_MIN_SIZE: 64, // Smallest recordable region side, in source pixels
+    
+    // Cursor highlight (recordings of this tab)
+    CURSOR_OPTIONS: ['always', 'motion', 'never'], // getDisplayMedia cursor constraint
+    CURSOR_HIGHLIGHT_COLOR: '#FFD60A',
+    CURSOR_HALO_RADIUS: 0.03, // Relative to the shorter side of the drawn screen
+    CURSOR_HALO_OPACITY: 0.35,
+    CLICK_RIPPLE_RADIUS: 0.07, // Relative to the shorter side of the drawn screen
+    CLICK_RIPPLE_DURATION: 600, // ms
+    
+    // Screen zoom
+    ZOOM_LEVELS: [1.5, 2, 3],
+    ZOOM_MAX_SCALE: 4,
+    ZOOM_SMOOTHING: 120, // ms - time constant for easing zoom and pan
+    
+    // Annotations
+    ANNOTATION_COLORS: ['#FF3B30', '#FFD60A', '#34C759', '#0A84FF', '#FFFFFF', '#000000'],
+    ANNOTATION_FADE_OPTIONS: [0, 3, 5, 10], // Seconds - 0 = strokes stay until cleared
+    ANNOTATION_FADE_DURATION: 600, // ms to fade out
+    ANNOTATION_STROKE_WIDTH: 0.006, // Relative to the shorter canvas side
+    ANNOTATION_TEXT_SIZE: 0.045, // Relative to the shorter canvas side
+    ANNOTATION_HIGHLIGHTER_SCALE: 4, // Highlighter width in pen widths
+    ANNOTATION_HIGHLIGHTER_OPACITY: 0.35,
+    ANNOTATION_ERASER_SCALE: 4, // Eraser reach in pen widths
+    
+    // Camera background effects
+    CAMERA_EFFECT_OPTIONS: ['none', 'blur', 'color', 'image'],
+    CAMERA_BLUR_OPTIONS: [1, 2, 4], // Blur radius, percent of the shorter camera side
+    CAMERA_EFFECT_FPS: 15, // Segmentation runs - frames in between reuse the last mask
+    CAMERA_EFFECT_EDGE_BLUR: 0.006, // Softens the person outline, relative to the shorter camera side
+    CAMERA_BACKGROUND_MAX_SIZE: 5 * 1024 * 1024, // 5 MB
+    
+    // Camera adjustments (per device)
+    CAMERA_ZOOM_MAX: 3,
+    CAMERA_FILTER_MIN: 50, // Brightness, contrast and saturation, percent
+    CAMERA_FILTER_MAX: 150,
+    
+    // Text overlays
+    TEXT_OVERLAY_COLORS: ['#8B9CF4', '#FF3B30', '#FFD60A', '#34C759', '#FFFFFF'],
+    TEXT_OVERLAY_TITLE_SIZE: 0.08, // Title card text, relative to the shorter canvas side
+    TEXT_OVERLAY_TEXT_SIZE: 0.045, // Lower third name and caption text
+    TEXT_OVERLAY_FADE_DURATION: 300, // ms to fade in or out
+    TEXT_OVERLAY_MAX_PRESETS: 30,
+    
+    // Watermark
+    WATERMARK_SCALE: 0.08, // Logo height relative to the shorter canvas side
+    WATERMARK_MIN_SCALE: 0.03,
+    WATERMARK_MAX_SCALE: 0.2,
+    WATERMARK_MAX_WIDTH: 0.4, // Custom logos never exceed this share of the canvas width
+    WATERMARK_MAX_LOGO_SIZE: 2 * 1024 * 1024, // 2 MB
     
     // Performance
     MAX_URLS: 100,
@@ -49,8 +148,11 @@ const DEFAULT_CONFIG = {
     
     // Database
     DB_NAME: 'ScreenRecordDB',
-    DB_VERSION: 1,
+    DB_VERSION: 3,
     STORE_NAME: 'videos',
+    CHUNK_STORE_NAME: 'chunks',
+    SESSION_STORE_NAME: 'sessions',
+    BRANDING_STORE_NAME: 'branding',
     
     // UI
     MAX_TITLE_LENGTH: 100,
@@ -74,7 +176,10 @@ const DEFAULT_CONFIG = {
     // Storage keys
     CONFIG_STORAGE_KEY: 'screenrecord_config',
     STATE_STORAGE_KEY: 'screenrecord_state',
-    DRAFT_STORAGE_KEY: 'screenrecord_draft'
+    DRAFT_STORAGE_KEY: 'screenrecord_draft',
+    SCHEDULE_STORAGE_KEY: 'screenrecord_schedule',
+    TEXT_OVERLAY_STORAGE_KEY: 'screenrecord_text_overlays',
+    CAMERA_ADJUSTMENTS_STORAGE_KEY: 'screenrecord_camera_adjustments'
 };
 
 // Configuration storage key
@@ -297,6 +402,9 @@ export const Capabilities = {
     // Secure context (required for some APIs)
     secureContext: window.isSecureContext,
     
+    // getDisplayMedia cursor constraint ('always' | 'motion' | 'never')
+    cursorConstraint: !!navigator.mediaDevices?.getSupportedConstraints?.().cursor,
+    
     // Mobile device detection
     isMobile: /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent),
     
@@ -419,15 +527,117 @@ export function initCapabilitiesUI() {
 export const STATE_VERSION = 1;
 export const STORAGE_KEY = CONFIG.STATE_STORAGE_KEY;
 
+// Capture source keys (what gets recorded)
+export const SOURCE_CONFIG_KEYS = ['screen', 'camera', 'mic', 'systemAudio'];
+
 // Valid config keys
-export const VALID_CONFIG_KEYS = ['screen', 'camera', 'mic', 'systemAudio'];
+export const VALID_CONFIG_KEYS = [
+    ...SOURCE_CONFIG_KEYS,
+    'overlayPosition', 'overlaySize', 'overlayCustomSize', 'overlayShape',
+    'overlayBorderColor', 'overlayBorderWidth', 'overlayShadow',
+    'watermarkEnabled', 'watermarkLogo', 'watermarkPosition', 'watermarkOpacity', 'watermarkScale',
+    'qualityPreset', 'qualityResolution', 'qualityFps', 'qualityCodec', 'qualityBitrate',
+    'micVolume', 'systemAudioVolume', 'cameraDeviceId', 'micDeviceId', 'screenEndedAction', 'recordInTakes',
+    'countdownSeconds', 'countdownBeep', 'maxRecordingMinutes', 'limitWarningMinutes',
+    'splitSizeMB', 'splitMinutes', 'screenCursor', 'cursorHighlight', 'clickRipples', 'regionBeforeStart',
+    'zoomLevel', 'annotationColor', 'annotationFadeSeconds',
+    'cameraEffect', 'cameraBlur', 'cameraBackgroundColor',
+    'micNoiseSuppression', 'micEchoCancellation', 'micAutoGainControl',
+    'micNoiseGate', 'micGateThreshold', 'micCompressor', 'micCompressorThreshold', 'micCompressorRatio'
+];
 export const VALID_CONFIG_VALUES = {
     screen: 'boolean',
     camera: 'boolean',
     mic: 'boolean',
-    systemAudio: 'boolean'
+    systemAudio: 'boolean',
+    overlayPosition: 'string',
+    overlaySize: 'string',
+    overlayCustomSize: 'number', // Percent of canvas width
+    overlayShape: 'string',
+    overlayBorderColor: 'string',
+    overlayBorderWidth: 'number',
+    overlayShadow: 'boolean',
+    watermarkEnabled: 'boolean',
+    watermarkLogo: 'string',
+    watermarkPosition: 'string',
+    watermarkOpacity: 'number', // Percent
+    watermarkScale: 'number', // Percent of the shorter canvas side
+    qualityPreset: 'string',
+    qualityResolution: 'string',
+    qualityFps: 'number',
+    qualityCodec: 'string',
+    qualityBitrate: 'number', // Video bits per second
+    micVolume: 'number', // Percent
+    systemAudioVolume: 'number', // Percent
+    cameraDeviceId: 'string', // '' = browser default
+    micDeviceId: 'string', // '' = browser default
+    screenEndedAction: 'string', // What to do when screen sharing is stopped mid-recording
+    recordInTakes: 'boolean', // Record several takes and join them when finishing
+    countdownSeconds: 'number', // 0 = no countdown
+    countdownBeep: 'boolean',
+    maxRecordingMinutes: 'number', // 0 = no limit
+    limitWarningMinutes: 'number', // Warn this long before a time limit stops the recording
+    splitSizeMB: 'number', // Start a new part at this size - 0 = never
+    splitMinutes: 'number', // Start a new part after this long - 0 = never
+    screenCursor: 'string', // Whether the browser captures the cursor, where supported
+    cursorHighlight: 'boolean', // Halo around the pointer when recording this tab
+    clickRipples: 'boolean', // Ripple on each click when recording this tab
+    regionBeforeStart: 'boolean', // Open the region picker over the preview before the recorder starts
+    zoomLevel: 'number', // Scale used when holding the zoom shortcut
+    annotationColor: 'string',
+    annotationFadeSeconds: 'number', // 0 = annotations stay until cleared
+    cameraEffect: 'string', // Background blur or replacement behind the person on camera
+    cameraBlur: 'number', // Percent of the shorter camera side
+    cameraBackgroundColor: 'string',
+    micNoiseSuppression: 'boolean',
+    micEchoCancellation: 'boolean',
+    micAutoGainControl: 'boolean',
+    micNoiseGate: 'boolean',
+    micGateThreshold: 'number', // dBFS
+    micCompressor: 'boolean',
+    micCompressorThreshold: 'number', // dBFS
+    micCompressorRatio: 'number'
 };
 
+// Allowed values for enumerated config keys
+export const VALID_CONFIG_OPTIONS = {
+    overlayPosition: ['top-left', 'top-right', 'bottom-left', 'bottom-right'],
+    overlaySize: ['small', 'medium', 'large', 'custom'],
+    overlayShape: ['rounded', 'circle', 'square'],
+    watermarkLogo: ['default', 'custom'],
+    watermarkPosition: ['top-left', 'top-right', 'bottom-left', 'bottom-right'],
+    qualityPreset: [...Object.keys(DEFAULT_CONFIG.QUALITY_PRESETS), 'custom'],
+    qualityResolution: DEFAULT_CONFIG.RESOLUTION_OPTIONS.map(option => option.label),
+    qualityFps: DEFAULT_CONFIG.FRAME_RATE_OPTIONS,
+    qualityCodec: ['auto', ...DEFAULT_CONFIG.CODEC_PREFERENCES],
+    qualityBitrate: DEFAULT_CONFIG.BITRATE_OPTIONS,
+    screenEndedAction: ['pause', 'stop', 'camera'],
+    countdownSeconds: DEFAULT_CONFIG.COUNTDOWN_OPTIONS,
+    maxRecordingMinutes: DEFAULT_CONFIG.MAX_DURATION_OPTIONS,
+    limitWarningMinutes: DEFAULT_CONFIG.LIMIT_WARNING_OPTIONS,
+    splitSizeMB: DEFAULT_CONFIG.SPLIT_SIZE_OPTIONS,
+    splitMinutes: DEFAULT_CONFIG.SPLIT_DURATION_OPTIONS,
+    screenCursor: DEFAULT_CONFIG.CURSOR_OPTIONS,
+    zoomLevel: DEFAULT_CONFIG.ZOOM_LEVELS,
+    annotationColor: DEFAULT_CONFIG.ANNOTATION_COLORS,
+    annotationFadeSeconds: DEFAULT_CONFIG.ANNOTATION_FADE_OPTIONS,
+    cameraEffect: DEFAULT_CONFIG.CAMERA_EFFECT_OPTIONS,
+    cameraBlur: DEFAULT_CONFIG.CAMERA_BLUR_OPTIONS
+};
+
+/**
+ * Check a recording config entry against the known keys, types and options
+ * @param {string} key - Config key
+ * @param {*} value - Proposed value
+ * @returns {boolean}
+ */
+export function isValidConfigValue(key, value) {
+    if (!VALID_CONFIG_KEYS.includes(key) || typeof value !== VALID_CONFIG_VALUES[key]) return false;
+    if (typeof value === 'number' && !Number.isFinite(value)) return false;
+    if (VALID_CONFIG_OPTIONS[key] && !VALID_CONFIG_OPTIONS[key].includes(value)) return false;
+    return true;
+}
+
 // ============================================
 // DOM ELEMENT FACTORY
 // ============================================
@@ -930,6 +1140,37 @@ export function generateSafeFilename(title) {
     return sanitizeTitle(title).replace(/[^a-z0-9]/gi, '_');
 }
 
+// Codec ids as they appear in a MIME type's codecs parameter -> display name
+const VIDEO_CODEC_NAMES = {
+    vp9: 'VP9', vp09: 'VP9',
+    vp8: 'VP8',
+    avc1: 'H.264', h264: 'H.264',
+    av1: 'AV1', av01: 'AV1',
+    hvc1: 'H.265', hev1: 'H.265'
+};
+
+/**
+ * Describe the container and video codec of a recording MIME type
+ * @param {string} mimeType - e.g. 'video/webm;codecs=vp9,opus'
+ * @returns {{mimeType: string, container: string, extension: string, codec: string}}
+ */
+export function getVideoFormat(mimeType = '') {
+    const [baseType, ...params] = mimeType.toLowerCase().split(';').map(part => part.trim());
+    const codecsParam = params.find(param => param.startsWith('codecs='));
+    const codecIds = codecsParam ? codecsParam.slice(7).replace(/"/g, '').split(',') : [];
+    const videoCodec = codecIds.map(id => VIDEO_CODEC_NAMES[id.trim().split('.')[0]]).find(Boolean) || '';
+    const container = baseType === 'video/webm' ? 'webm'
+        : baseType === 'video/x-matroska' ? 'mkv'
+            : 'mp4';
+    
+    return {
+        mimeType: mimeType || CONFIG.VIDEO_MIME_TYPE,
+        container,
+        extension: `.${container}`,
+        codec: videoCodec
+    };
+}
+
 // Wait for video to have dimensions
 export function waitForVideoDimensions(video) {
     return new Promise((resolve) => {
@@ -1035,6 +1276,102 @@ export async function estimateStorageUsage() {
     return 0;
 }
 
+// ============================================
+// CAMERA ADJUSTMENTS
+// ============================================
+
+// Neutral adjustments - what a camera without saved settings gets
+export const DEFAULT_CAMERA_ADJUSTMENTS = Object.freeze({
+    mirror: false,
+    zoom: 1, // 1 = the whole frame
+    offsetX: 0, // Pan across the zoomed-out area, -1 (left) to 1 (right)
+    offsetY: 0, // -1 (top) to 1 (bottom)
+    brightness: 100, // Percent
+    contrast: 100,
+    saturation: 100
+});
+
+/**
+ * Fill in and clamp camera adjustments, so stored values can always be drawn
+ * @param {Object} adjustments - Possibly partial or out-of-range adjustments
+ * @returns {Object} - Complete adjustments
+ */
+export function normalizeCameraAdjustments(adjustments = {}) {
+    const number = (value, fallback, min, max) => {
+        const parsed = Number(value);
+        return Number.isFinite(parsed) ? Math.min(Math.max(parsed, min), max) : fallback;
+    };
+    const defaults = DEFAULT_CAMERA_ADJUSTMENTS;
+    const filterMin = CONFIG.CAMERA_FILTER_MIN;
+    const filterMax = CONFIG.CAMERA_FILTER_MAX;
+    
+    return {
+        mirror: adjustments.mirror === true,
+        zoom: number(adjustments.zoom, defaults.zoom, 1, CONFIG.CAMERA_ZOOM_MAX),
+        offsetX: number(adjustments.offsetX, defaults.offsetX, -1, 1),
+        offsetY: number(adjustments.offsetY, defaults.offsetY, -1, 1),
+        brightness: number(adjustments.brightness, defaults.brightness, filterMin, filterMax),
+        contrast: number(adjustments.contrast, defaults.contrast, filterMin, filterMax),
+        saturation: number(adjustments.saturation, defaults.saturation, filterMin, filterMax)
+    };
+}
+
+// Adjustments saved per camera deviceId. Read every frame while recording, so kept in memory after the first read.
+export const CameraAdjustments = {
+    _byDevice: null,
+    
+    _load() {
+        if (this._byDevice) return this._byDevice;
+        
+        this._byDevice = {};
+        try {
+            const stored = JSON.parse(localStorage.getItem(CONFIG.CAMERA_ADJUSTMENTS_STORAGE_KEY) || '{}');
+            if (stored && typeof stored === 'object') {
+                Object.entries(stored).forEach(([deviceId, adjustments]) => {
+                    if (deviceId && adjustments && typeof adjustments === 'object') {
+                        this._byDevice[deviceId] = normalizeCameraAdjustments(adjustments);
+                    }
+                });
+            }
+        } catch (e) {
+            console.warn('Failed to load camera adjustments:', e);
+        }
+        return this._byDevice;
+    },
+    
+    /**
+     * @param {string} deviceId - Camera deviceId ('' when unknown)
+     * @returns {Object} - Saved adjustments, or neutral ones
+     */
+    get(deviceId) {
+        return (deviceId && this._load()[deviceId]) || DEFAULT_CAMERA_ADJUSTMENTS;
+    },
+    
+    /**
+     * Save a camera's adjustments. Neutral adjustments are forgotten.
+     * @param {string} deviceId - Camera deviceId
+     * @param {Object} adjustments - Adjustments to keep
+     */
+    set(deviceId, adjustments) {
+        if (!deviceId) return;
+        
+        const byDevice = this._load();
+        const normalized = normalizeCameraAdjustments(adjustments);
+        const neutral = Object.keys(DEFAULT_CAMERA_ADJUSTMENTS).every(key => normalized[key] === DEFAULT_CAMERA_ADJUSTMENTS[key]);
+        if (neutral) {
+            delete byDevice[deviceId];
+        } else {
+            byDevice[deviceId] = normalized;
+        }
+        
+        try {
+            localStorage.setItem(CONFIG.CAMERA_ADJUSTMENTS_STORAGE_KEY, JSON.stringify(byDevice));
+        } catch (e) {
+            console.warn('Failed to save camera adjustments:', e);
+        }
+    }
+};
+
 // ============================================
 // RETRY LOGIC WITH EXPONENTIAL BACKOFF
 // ============================================
@@ -1232,7 +1569,8 @@ export const PermissionManager = {
     
     /**
      * Request screen share with retry
-     * @param {Object} options - Options for getDisplayMedia
+     * @param {Object} options - Options for getDisplayMedia, plus cursor ('always' | 'motion' | 'never')
+     *   which is applied only where the browser supports the constraint
      * @param {Function} showToast - Toast notification function
      * @returns {Promise<MediaStream>} - Screen stream
      */
@@ -1243,8 +1581,13 @@ export const PermissionManager = {
         }
         
         return this.requestWithRetry('screen', async () => {
+            let video = options.video || true;
+            if (options.cursor && Capabilities.cursorConstraint) {
+                video = { ...(typeof video === 'object' ? video : {}), cursor: options.cursor };
+            }
+            
             const getDisplayMediaOptions = {
-                video: true,
+                video,
                 audio: options.audio || false
             };
             
@@ -1286,6 +1629,26 @@ export const PermissionManager = {
         }, { showToast, maxRetries: 1 });
     },
     
+    /**
+     * List connected cameras or microphones.
+     * Labels stay empty until camera/mic permission has been granted once.
+     * @param {string} kind - 'videoinput' or 'audioinput'
+     * @returns {Promise<MediaDeviceInfo[]>} - Devices of that kind
+     */
+    async listDevices(kind) {
+        if (!navigator.mediaDevices?.enumerateDevices) return [];
+        
+        try {
+            const devices = await navigator.mediaDevices.enumerateDevices();
+            // Skip Chrome's 'default'/'communications' aliases - the picker has its own default entry
+            return devices.filter(device => device.kind === kind && device.deviceId &&
+                device.deviceId !== 'default' && device.deviceId !== 'communications');
+        } catch (err) {
+            console.warn('[Permissions] Could not list devices:', err);
+            return [];
+        }
+    },
+    
     /**
      * Check current permission status
      * @param {string} feature - Feature name
@@ -0,0 +1,595 @@
+// ============================================
+// WEBM METADATA MODULE - Duration & Cues Injection
+// ============================================
+//
+// MediaRecorder writes WebM as a live stream: the Segment and Clusters have
+// unknown sizes, Info has no Duration and there is no Cues index, so players
+// report an Infinity duration and can't seek. rewriteWebm() walks the block
+// timestamps and rebuilds the container with sizes, a Duration, a SeekHead
+// and Cues. Cluster payloads are copied as Blob slices, so the recording is
+// never held in memory twice. concatWebm() uses the same layout to join
+// takes recorded with identical tracks into one file.
+
+// EBML element IDs (marker bits included, as they appear in the file)
+const EBML_ID = {
+    EBML: 0x1A45DFA3,
+    SEGMENT: 0x18538067,
+    SEEK_HEAD: 0x114D9B74,
+    SEEK: 0x4DBB,
+    SEEK_ID: 0x53AB,
+    SEEK_POSITION: 0x53AC,
+    INFO: 0x1549A966,
+    TIMECODE_SCALE: 0x2AD7B1,
+    DURATION: 0x4489,
+    TRACKS: 0x1654AE6B,
+    TRACK_ENTRY: 0xAE,
+    TRACK_NUMBER: 0xD7,
+    TRACK_TYPE: 0x83,
+    CODEC_ID: 0x86,
+    DEFAULT_DURATION: 0x23E383,
+    CLUSTER: 0x1F43B675,
+    TIMECODE: 0xE7,
+    SIMPLE_BLOCK: 0xA3,
+    BLOCK_GROUP: 0xA0,
+    BLOCK: 0xA1,
+    REFERENCE_BLOCK: 0xFB,
+    CUES: 0x1C53BB6B,
+    CUE_POINT: 0xBB,
+    CUE_TIME: 0xB3,
+    CUE_TRACK_POSITIONS: 0xB7,
+    CUE_TRACK: 0xF7,
+    CUE_CLUSTER_POSITION: 0xF1,
+    CHAPTERS: 0x1043A770,
+    TAGS: 0x1254C367,
+    ATTACHMENTS: 0x1941A469,
+    VOID: 0xEC
+};
+
+// Elements that only live at Segment level - seeing one ends an unknown-sized Cluster
+const SEGMENT_LEVEL_IDS = new Set([
+    EBML_ID.EBML, EBML_ID.SEGMENT, EBML_ID.SEEK_HEAD, EBML_ID.INFO, EBML_ID.TRACKS,
+    EBML_ID.CLUSTER, EBML_ID.CUES, EBML_ID.CHAPTERS, EBML_ID.TAGS, EBML_ID.ATTACHMENTS
+]);
+
+const DEFAULT_TIMECODE_SCALE = 1000000; // 1ms per tick, in nanoseconds
+const VIDEO_TRACK_TYPE = 1;
+const KEYFRAME_FLAG = 0x80;
+const SIZE_FIELD_LENGTH = 8; // vint width used for every size we write
+const READ_WINDOW_SIZE = 1024 * 1024; // Bytes read from the blob at a time
+const MAX_HEADER_LENGTH = 16; // Longest ID (4) + longest size (8), rounded up
+const TAKE_GAP = 20000000; // Nanoseconds between joined takes - one Opus frame, so audio doesn't overlap
+
+// ============================================
+// EBML READING
+// ============================================
+
+/**
+ * Reads a Blob through a sliding window so large recordings aren't loaded whole
+ */
+class BlobReader {
+    constructor(blob) {
+        this.blob = blob;
+        this.size = blob.size;
+        this.start = 0;
+        this.bytes = new Uint8Array(0);
+    }
+
+    /**
+     * Make sure [pos, pos + length) is in the window (clamped to the end of the blob)
+     */
+    async load(pos, length) {
+        const end = Math.min(this.size, pos + length);
+        if (pos >= this.start && end <= this.start + this.bytes.length) return;
+
+        const windowEnd = Math.min(this.size, pos + Math.max(length, READ_WINDOW_SIZE));
+        this.bytes = new Uint8Array(await this.blob.slice(pos, windowEnd).arrayBuffer());
+        this.start = pos;
+    }
+
+    /**
+     * Copy out [pos, pos + length) - used for small elements parsed in memory
+     */
+    async read(pos, length) {
+        await this.load(pos, length);
+        return this.bytes.slice(pos - this.start, Math.min(pos + length, this.size) - this.start);
+    }
+}
+
+/**
+ * Read a variable-length integer
+ * @param {Uint8Array} bytes - Source bytes
+ * @param {number} offset - Position of the first byte
+ * @param {boolean} keepMarker - Keep the length marker bit (element IDs do)
+ * @returns {{value: number|null, length: number}|null} - value is null for the reserved "unknown size"
+ */
+function readVint(bytes, offset, keepMarker = false) {
+    const first = bytes[offset];
+    if (!first) return null;
+
+    let length = 1;
+    while (!(first & (0x80 >> (length - 1)))) length++;
+    if (offset + length > bytes.length) return null;
+
+    let value = keepMarker ? first : first & (0xFF >> length);
+    let allOnes = value === (0xFF >> length);
+    for (let i = 1; i < length; i++) {
+        value = value * 256 + bytes[offset + i];
+        allOnes = allOnes && bytes[offset + i] === 0xFF;
+    }
+
+    return { value: !keepMarker && allOnes ? null : value, length };
+}
+
+/**
+ * Parse an element header
+ * @param {Uint8Array} bytes - Source bytes
+ * @param {number} offset - Position of the element
+ * @returns {Object|null} - { id, size, start, dataStart, end } with size/end null when unknown
+ */
+function parseHeader(bytes, offset) {
+    const id = readVint(bytes, offset, true);
+    if (!id) return null;
+    const size = readVint(bytes, offset + id.length);
+    if (!size) return null;
+
+    const dataStart = offset + id.length + size.length;
+    return {
+        id: id.value,
+        size: size.value,
+        start: offset,
+        dataStart,
+        end: size.value === null ? null : dataStart + size.value
+    };
+}
+
+/**
+ * Read the element header at a position in the blob
+ */
+async function readHeader(reader, pos) {
+    if (pos >= reader.size) return null;
+    await reader.load(pos, MAX_HEADER_LENGTH);
+    const header = parseHeader(reader.bytes.subarray(pos - reader.start), 0);
+    if (!header) return null;
+
+    return {
+        ...header,
+        start: pos,
+        dataStart: pos + header.dataStart,
+        end: header.end === null ? null : pos + header.end
+    };
+}
+
+/**
+ * List the complete children of an element held in memory
+ * @param {Uint8Array} bytes - Element payload
+ * @returns {Object[]} - Child headers, positions relative to bytes
+ */
+function readChildren(bytes) {
+    const children = [];
+    let pos = 0;
+    while (pos < bytes.length) {
+        const child = parseHeader(bytes, pos);
+        if (!child || child.end === null || child.end > bytes.length) break;
+        children.push(child);
+        pos = child.end;
+    }
+    return children;
+}
+
+function readUint(bytes) {
+    let value = 0;
+    for (const byte of bytes) value = value * 256 + byte;
+    return value;
+}
+
+function readFloat(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    if (bytes.length === 4) return view.getFloat32(0);
+    if (bytes.length === 8) return view.getFloat64(0);
+    return 0;
+}
+
+/**
+ * Read the track number, timecode and keyframe flag at the start of a (Simple)Block
+ * @param {Uint8Array} bytes - Block payload (at least the first few bytes)
+ */
+function parseBlockHeader(bytes) {
+    const track = readVint(bytes, 0);
+    if (!track || bytes.length < track.length + 3) return null;
+
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    return {
+        track: track.value,
+        timecode: view.getInt16(track.length),
+        flags: bytes[track.length + 2]
+    };
+}
+
+// ============================================
+// WEBM PARSING
+// ============================================
+
+function parseInfo(bytes, webm) {
+    const keptChildren = [];
+    for (const child of readChildren(bytes)) {
+        const data = bytes.subarray(child.dataStart, child.end);
+        if (child.id === EBML_ID.DURATION) {
+            webm.hasDuration = readFloat(data) > 0;
+            continue;
+        }
+        if (child.id === EBML_ID.TIMECODE_SCALE) webm.timecodeScale = readUint(data) || DEFAULT_TIMECODE_SCALE;
+        keptChildren.push(bytes.subarray(child.start, child.end));
+    }
+    return keptChildren;
+}
+
+function parseTracks(bytes, webm) {
+    for (const entry of readChildren(bytes)) {
+        if (entry.id !== EBML_ID.TRACK_ENTRY) continue;
+
+        const track = {};
+        const entryBytes = bytes.subarray(entry.dataStart, entry.end);
+        for (const field of readChildren(entryBytes)) {
+            const data = entryBytes.subarray(field.dataStart, field.end);
+            if (field.id === EBML_ID.TRACK_NUMBER) track.number = readUint(data);
+            if (field.id === EBML_ID.TRACK_TYPE) track.type = readUint(data);
+            if (field.id === EBML_ID.DEFAULT_DURATION) track.defaultDuration = readUint(data);
+            if (field.id === EBML_ID.CODEC_ID) track.codec = new TextDecoder().decode(data);
+        }
+        webm.trackList.push(track);
+
+        if (webm.cueTrack === null) webm.cueTrack = track.number;
+        if (track.type === VIDEO_TRACK_TYPE && webm.videoTrack === null) {
+            webm.videoTrack = track.number;
+            webm.cueTrack = track.number;
+            webm.frameDuration = track.defaultDuration || 0;
+        }
+    }
+}
+
+/**
+ * Walk a Cluster's blocks, recording the first and latest timestamps and the first keyframe
+ * @returns {Promise<Object>} - { dataStart, end, timecode, timecodeElement, cueTime, truncated } where end stops before any truncated block
+ */
+async function parseCluster(reader, header, segmentEnd, webm) {
+    const limit = header.end === null ? segmentEnd : Math.min(header.end, segmentEnd);
+    let pos = header.dataStart;
+    let timecode = 0;
+    let timecodeElement = null;
+    let cueTime = null;
+    let truncated = false;
+
+    const addTime = (time) => {
+        webm.firstTime = Math.min(webm.firstTime ?? time, time);
+        webm.lastTime = Math.max(webm.lastTime ?? time, time);
+    };
+
+    const addBlock = (block, isKeyframe) => {
+        if (!block) return;
+        const time = timecode + block.timecode;
+        addTime(time);
+
+        const isCueTrack = webm.videoTrack === null || block.track === webm.videoTrack;
+        if (cueTime === null && isCueTrack && isKeyframe) cueTime = time;
+    };
+
+    while (pos < limit) {
+        const child = await readHeader(reader, pos);
+        if (header.end === null && child && SEGMENT_LEVEL_IDS.has(child.id)) break;
+        // Cut off by a crash (or unreadable) - drop the partial block
+        if (!child || child.end === null || child.end > limit) {
+            truncated = true;
+            break;
+        }
+
+        if (child.id === EBML_ID.TIMECODE) {
+            timecode = readUint(await reader.read(child.dataStart, child.size));
+            timecodeElement = { start: child.start, end: child.end };
+            addTime(timecode);
+        } else if (child.id === EBML_ID.SIMPLE_BLOCK) {
+            const block = parseBlockHeader(await reader.read(child.dataStart, Math.min(child.size, 12)));
+            addBlock(block, Boolean(block && block.flags & KEYFRAME_FLAG));
+        } else if (child.id === EBML_ID.BLOCK_GROUP) {
+            const groupBytes = await reader.read(child.dataStart, child.size);
+            const fields = readChildren(groupBytes);
+            const blockField = fields.find(field => field.id === EBML_ID.BLOCK);
+            const hasReference = fields.some(field => field.id === EBML_ID.REFERENCE_BLOCK);
+            if (blockField) {
+                addBlock(parseBlockHeader(groupBytes.subarray(blockField.dataStart, blockField.end)), !hasReference);
+            }
+        }
+        pos = child.end;
+    }
+
+    return { dataStart: header.dataStart, end: pos, timecode, timecodeElement, cueTime, truncated };
+}
+
+/**
+ * Map out a WebM file
+ * @param {Blob} blob - WebM recording
+ * @returns {Promise<Object|null>} - Parsed layout, or null if this isn't WebM we understand
+ */
+async function parseWebm(blob) {
+    const reader = new BlobReader(blob);
+    const ebml = await readHeader(reader, 0);
+    if (!ebml || ebml.id !== EBML_ID.EBML || ebml.end === null) return null;
+
+    const segment = await readHeader(reader, ebml.end);
+    if (!segment || segment.id !== EBML_ID.SEGMENT) return null;
+    const segmentEnd = segment.end === null ? blob.size : Math.min(segment.end, blob.size);
+
+    const webm = {
+        headerEnd: ebml.end,
+        knownSizes: segment.end !== null,
+        info: null,
+        tracks: null,
+        extras: [],
+        clusters: [],
+        timecodeScale: DEFAULT_TIMECODE_SCALE,
+        hasDuration: false,
+        hasCues: false,
+        trackList: [],
+        videoTrack: null,
+        cueTrack: null,
+        frameDuration: 0,
+        firstTime: null,
+        lastTime: null
+    };
+
+    let pos = segment.dataStart;
+    while (pos < segmentEnd) {
+        const element = await readHeader(reader, pos);
+        if (!element) break;
+
+        if (element.id === EBML_ID.CLUSTER) {
+            if (element.end === null) webm.knownSizes = false;
+            const cluster = await parseCluster(reader, element, segmentEnd, webm);
+            if (cluster.end > cluster.dataStart) webm.clusters.push(cluster);
+            if (cluster.truncated) break;
+            pos = cluster.end;
+            continue;
+        }
+
+        if (element.end === null || element.end > segmentEnd) break;
+
+        switch (element.id) {
+            case EBML_ID.INFO:
+                webm.info = parseInfo(await reader.read(element.dataStart, element.size), webm);
+                break;
+            case EBML_ID.TRACKS: {
+                const bytes = await reader.read(element.start, element.end - element.start);
+                parseTracks(bytes.subarray(element.dataStart - element.start), webm);
+                webm.tracks = bytes;
+                break;
+            }
+            case EBML_ID.CUES:
+                webm.hasCues = true;
+                break;
+            case EBML_ID.SEEK_HEAD:
+            case EBML_ID.VOID:
+                // Rebuilt below / padding only
+                break;
+            default:
+                webm.extras.push(element);
+        }
+        pos = element.end;
+    }
+
+    return webm;
+}
+
+// ============================================
+// EBML WRITING
+// ============================================
+
+function encodeId(id) {
+    const bytes = [];
+    for (let value = id; value > 0; value = Math.floor(value / 256)) {
+        bytes.unshift(value % 256);
+    }
+    return Uint8Array.from(bytes);
+}
+
+function encodeSize(size, length = SIZE_FIELD_LENGTH) {
+    const bytes = new Uint8Array(length);
+    let value = size;
+    for (let i = length - 1; i >= 0; i--) {
+        bytes[i] = value % 256;
+        value = Math.floor(value / 256);
+    }
+    bytes[0] |= 0x80 >> (length - 1);
+    return bytes;
+}
+
+function encodeUint(value, length = 0) {
+    const bytes = [];
+    for (let rest = value; rest > 0 || bytes.length === 0; rest = Math.floor(rest / 256)) {
+        bytes.unshift(rest % 256);
+    }
+    while (bytes.length < length) bytes.unshift(0);
+    return Uint8Array.from(bytes);
+}
+
+function encodeFloat(value) {
+    const bytes = new Uint8Array(8);
+    new DataView(bytes.buffer).setFloat64(0, value);
+    return bytes;
+}
+
+function concatBytes(parts) {
+    const bytes = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+    let offset = 0;
+    for (const part of parts) {
+        bytes.set(part, offset);
+        offset += part.length;
+    }
+    return bytes;
+}
+
+function buildHeader(id, size) {
+    return concatBytes([encodeId(id), encodeSize(size)]);
+}
+
+function buildElement(id, ...children) {
+    const payload = concatBytes(children);
+    return concatBytes([buildHeader(id, payload.length), payload]);
+}
+
+/**
+ * Build the SeekHead. Positions are always written as 8 bytes so its size
+ * doesn't depend on them and can be laid out before they're known.
+ * @param {Array<[number, number]>} entries - [element ID, position in segment]
+ */
+function buildSeekHead(entries) {
+    return buildElement(EBML_ID.SEEK_HEAD, ...entries.map(([id, position]) => buildElement(EBML_ID.SEEK,
+        buildElement(EBML_ID.SEEK_ID, encodeId(id)),
+        buildElement(EBML_ID.SEEK_POSITION, encodeUint(position, 8))
+    )));
+}
+
+/**
+ * Lay out a finished WebM: SeekHead, Info (with Duration), Tracks, extras (Tags etc.), Clusters, Cues
+ * @param {Blob} blob - File the EBML header, Info, Tracks and extras come from
+ * @param {Object} webm - Parsed layout of that file
+ * @param {Array<{parts: Array, size: number, cueTime: number|null}>} clusters - Cluster payloads in order
+ * @param {number} durationTicks - Duration in timecode ticks
+ * @returns {Blob}
+ */
+function writeWebm(blob, webm, clusters, durationTicks) {
+    const info = buildElement(EBML_ID.INFO, ...webm.info, buildElement(EBML_ID.DURATION, encodeFloat(durationTicks)));
+    const extrasSize = webm.extras.reduce((total, element) => total + element.end - element.start, 0);
+    const cuedClusters = clusters.filter(cluster => cluster.cueTime !== null);
+    const hasCues = cuedClusters.length > 0 && webm.cueTrack !== null;
+
+    // Layout: SeekHead, Info, Tracks, extras (Tags etc.), Clusters, Cues
+    const seekIds = [EBML_ID.INFO, EBML_ID.TRACKS, ...(hasCues ? [EBML_ID.CUES] : [])];
+    const seekHeadSize = buildSeekHead(seekIds.map(id => [id, 0])).length;
+    const infoPosition = seekHeadSize;
+    const tracksPosition = infoPosition + info.length;
+    let position = tracksPosition + webm.tracks.length + extrasSize;
+
+    const clusterParts = [];
+    for (const cluster of clusters) {
+        const header = buildHeader(EBML_ID.CLUSTER, cluster.size);
+        cluster.position = position;
+        clusterParts.push(header, ...cluster.parts);
+        position += header.length + cluster.size;
+    }
+
+    const cues = hasCues ? buildElement(EBML_ID.CUES, ...cuedClusters.map(cluster => buildElement(EBML_ID.CUE_POINT,
+        buildElement(EBML_ID.CUE_TIME, encodeUint(cluster.cueTime)),
+        buildElement(EBML_ID.CUE_TRACK_POSITIONS,
+            buildElement(EBML_ID.CUE_TRACK, encodeUint(webm.cueTrack)),
+            buildElement(EBML_ID.CUE_CLUSTER_POSITION, encodeUint(cluster.position))
+        )
+    ))) : new Uint8Array(0);
+
+    const seekHead = buildSeekHead([
+        [EBML_ID.INFO, infoPosition],
+        [EBML_ID.TRACKS, tracksPosition],
+        ...(hasCues ? [[EBML_ID.CUES, position]] : [])
+    ]);
+    const segmentSize = position + cues.length;
+
+    return new Blob([
+        blob.slice(0, webm.headerEnd),
+        buildHeader(EBML_ID.SEGMENT, segmentSize),
+        seekHead,
+        info,
+        webm.tracks,
+        ...webm.extras.map(element => blob.slice(element.start, element.end)),
+        ...clusterParts,
+        cues
+    ], { type: blob.type });
+}
+
+/**
+ * Tracks, codecs and time base of a file - takes must match to be joined
+ * @returns {string}
+ */
+function getTrackLayout(webm) {
+    return `${webm.timecodeScale}|${webm.trackList.map(track => `${track.number}:${track.type}:${track.codec}`).join(',')}`;
+}
+
+// ============================================
+// PUBLIC API
+// ============================================
+
+/**
+ * Make a MediaRecorder WebM seekable: add element sizes, a Duration and a Cues index
+ * @param {Blob} blob - WebM recording
+ * @returns {Promise<{blob: Blob, duration: number|null}>} - Rewritten (or untouched) blob and its duration in seconds
+ */
+export async function rewriteWebm(blob) {
+    const webm = await parseWebm(blob);
+    if (!webm || !webm.info || !webm.tracks || webm.clusters.length === 0 || webm.lastTime === null) {
+        return { blob, duration: null };
+    }
+
+    const durationTicks = webm.lastTime + webm.frameDuration / webm.timecodeScale;
+    const duration = durationTicks * webm.timecodeScale / 1e9;
+
+    // Already a finished file (e.g. Firefox) - nothing to fix
+    if (webm.knownSizes && webm.hasDuration && webm.hasCues) {
+        return { blob, duration };
+    }
+
+    const clusters = webm.clusters.map(cluster => ({
+        parts: [blob.slice(cluster.dataStart, cluster.end)],
+        size: cluster.end - cluster.dataStart,
+        cueTime: cluster.cueTime
+    }));
+    return { blob: writeWebm(blob, webm, clusters, durationTicks), duration };
+}
+
+/**
+ * Join WebM takes back to back into one seekable file. Each take's cluster
+ * timecodes are shifted to follow the previous take; block data is copied as is.
+ * @param {Blob[]} blobs - Takes in playback order, recorded with the same tracks and codecs
+ * @returns {Promise<{blob: Blob, duration: number}>} - Joined file and its duration in seconds
+ * @throws {Error} If a take can't be parsed or its tracks don't match the first
+ */
+export async function concatWebm(blobs) {
+    const takes = [];
+    for (const blob of blobs) {
+        const webm = await parseWebm(blob);
+        if (!webm || !webm.info || !webm.tracks || webm.clusters.length === 0 || webm.lastTime === null) {
+            throw new Error('A take is not a readable WebM recording');
+        }
+        takes.push({ blob, webm });
+    }
+    if (takes.length === 0) throw new Error('No takes to join');
+
+    const [first] = takes;
+    const layout = getTrackLayout(first.webm);
+    if (takes.some(({ webm }) => getTrackLayout(webm) !== layout)) {
+        throw new Error('Takes were recorded with different tracks or codecs');
+    }
+
+    const gap = Math.round(TAKE_GAP / first.webm.timecodeScale);
+    const clusters = [];
+    let offset = 0;
+    for (const { blob, webm } of takes) {
+        // Each take starts right after the previous one, whatever its own first timestamp
+        const shift = offset - webm.firstTime;
+        for (const cluster of webm.clusters) {
+            const timecode = buildElement(EBML_ID.TIMECODE, encodeUint(cluster.timecode + shift));
+            const element = cluster.timecodeElement;
+            const parts = element
+                ? [blob.slice(cluster.dataStart, element.start), timecode, blob.slice(element.end, cluster.end)]
+                : [timecode, blob.slice(cluster.dataStart, cluster.end)];
+            clusters.push({
+                parts,
+                size: parts.reduce((total, part) => total + (part.size ?? part.length), 0),
+                cueTime: cluster.cueTime === null ? null : cluster.cueTime + shift
+            });
+        }
+        offset += webm.lastTime - webm.firstTime + gap;
+    }
+
+    const durationTicks = offset - gap + first.webm.frameDuration / first.webm.timecodeScale;
+    return {
+        blob: writeWebm(first.blob, first.webm, clusters, durationTicks),
+        duration: durationTicks * first.webm.timecodeScale / 1e9
+    };
+}